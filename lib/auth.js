@@ -1,8 +1,15 @@
 'use strict';
 require('sugar');
-var url = require('url')
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , url = require('url')
+  , crypto = require('crypto')
+  , querystring = require('querystring')
+  , childProcess = require('child_process')
   , Promise = require('bluebird')
   , request = require('request')
+  , middleware = require('./middleware')
   , errors  = require('./errors');
 
 /**
@@ -10,16 +17,27 @@ var url = require('url')
  * @public
  * @function
  * @memberof module:auth
- * @description Authenticate and save the new oAuth token
+ * @description Authenticate and save the new credentials
  *
- * Authenticate with the Kubernetes deployment's oAuth server. The `token` property of the given
- * [ClientConfig]{@link module:client~ClientConfig} is updated to match the new token.
+ * Authenticate using the [AuthProvider]{@link module:auth.AuthProvider} configured for the client. The `token`
+ * and `tokenExpiry` properties of the given [ClientConfig]{@link module:client~ClientConfig} are updated to match the
+ * new token.
+ *
+ * If `flush` is set then the provider is asked to refresh its credentials even if the current ones appear valid. If
+ * `flush` is a token string, the credentials are only refreshed if that token is still the client's current token.
+ * This allows many requests that were rejected with the same token to trigger a single refresh. Credentials are also
+ * refreshed proactively when the token expires within `authOptions.refreshWindow` milliseconds.
+ *
+ * Only one authentication is in flight for a client at any time. Concurrent calls share the pending `Promise`.
+ *
+ * If the client has a [token store]{@link module:auth.FileTokenStore}, a still-valid token saved by a previous process
+ * is reused instead of authenticating again. New tokens are saved to the store, and rejected tokens are deleted.
  *
  * @param {module:client~ClientConfig} config - Client configuration to update
- * @param {boolean} [flush=false] - Delete the previous token if it already exists
+ * @param {boolean|string} [flush=false] - Refresh the credentials even if they already exist
  * @param {function} [next] - Node.js callback (replaces Promise output)
  *
- * @throws {module:errors.TokenParseError}
+ * @throws {module:errors.TokenParseError|module:errors.ProviderError}
  *
  * @returns {?Promise.<module:client~ClientConfig>} `ClientConfig` with updated `token` property
  */
@@ -28,32 +46,828 @@ var url = require('url')
  * @description Authentication Management Module
  */
 module.exports = function Authenticate(config, flush, next) {
-    if (flush && config.token !== null) {
-        config.token = null;
+    var provider = config.authProvider || new OAuthProvider();
+    if (!config.hasOwnProperty('pendingAuth')) {
+        Object.defineProperty(config, 'pendingAuth', { writable: true, value: null });
+    }
+    var refresh = (typeof flush === 'string') ? flush === config.token : !!flush;
+    function track(promise) {
+        var pending = config.pendingAuth = promise.finally(function () {
+            if (config.pendingAuth === pending) config.pendingAuth = null;
+        });
+    }
+    // Join the authentication that is already in flight, or start a new one
+    if (!config.pendingAuth) {
+        track(authenticateWith(provider, config, refresh));
+    } else if (refresh) {
+        // The pending authentication may resolve with the rejected token, so refresh after it if the token is unchanged
+        var rejected = config.token;
+        track(config.pendingAuth.catch(function () {}).then(function () {
+            if (config.token === rejected) {
+                return authenticateWith(provider, config, true);
+            }
+        }));
+    }
+    return config.pendingAuth.then(function () {
+        return config;
+    }).catch(function (error) {
+        if (!error.logged) {
+            Object.defineProperty(error, 'logged', { value: true });
+            errors.throw(config.log, 'fatal', error, { provider: provider.type }, 'authentication failed');
+        }
+        throw error;
+    }).nodeify(next);
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:auth
+ * @description Create the authentication provider for a client configuration
+ *
+ * The `authProvider` option may be a provider type name, an object with a `type` property and provider-specific
+ * options, an async function (see [FunctionProvider]{@link module:auth.FunctionProvider}), or an object implementing
+ * the [AuthProvider]{@link module:auth.AuthProvider} interface. If it is omitted then the provider is chosen from the
+ * other client options: `auth` selects the OpenShift oAuth flow, `tokenFile` selects the token file provider, and
+ * otherwise the static `token` (if any) is used.
+ *
+ * @param {object} options - Client configuration options
+ * @param {?string|object|function|module:auth.AuthProvider} [options.authProvider] - Provider specification
+ *
+ * @returns {module:auth.AuthProvider}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+module.exports.createProvider = function (options) {
+    var spec = options.authProvider;
+    if (!spec) {
+        spec = options.auth ? 'oauth' : (options.tokenFile ? 'tokenFile' : 'token');
+    }
+    if (typeof spec === 'function') {
+        return new FunctionProvider({ callback: spec });
+    }
+    if (typeof spec.authenticate === 'function' && typeof spec.refresh === 'function') {
+        return spec;
+    }
+    if (typeof spec === 'string') {
+        spec = { type: spec };
+    }
+    if (!providers.hasOwnProperty(spec.type)) {
+        throw new errors.ParameterError('authProvider.type');
+    }
+    return new providers[spec.type](spec);
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:auth
+ * @description Create the token store for a client configuration
+ *
+ * The `tokenStore` option may be `true` (use a [FileTokenStore]{@link module:auth.FileTokenStore} in the default
+ * directory), the path of a directory for a `FileTokenStore`, or a custom object implementing the same `get`, `set`
+ * and `delete` methods. The methods of custom stores may return values or `Promise` objects.
+ *
+ * @param {object} options - Client configuration options
+ * @param {?boolean|string|object} [options.tokenStore] - Token store specification
+ *
+ * @returns {?module:auth.FileTokenStore|object}
+ *
+ * @throws {TypeError}
+ */
+module.exports.createTokenStore = function (options) {
+    var spec = options.tokenStore;
+    if (!spec) {
+        return null;
+    }
+    if (spec === true || typeof spec === 'string') {
+        return new FileTokenStore(spec === true ? null : spec);
+    }
+    if (['get', 'set', 'delete'].any(function (method) { return typeof spec[method] !== 'function'; })) {
+        throw new TypeError('parameter \'tokenStore\' must implement get, set and delete');
+    }
+    return spec;
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ *
+ * @summary File Token Store
+ * @classdesc Saves tokens as files so that they can be reused across process restarts. Each entry is stored in its own
+ * file named by a hash of the key. The directory is created with mode `0700` and the files with mode `0600`, so that
+ * tokens are only readable by the current user.
+ *
+ * @description Create a new `FileTokenStore` object.
+ *
+ * @param {?string} [dir=~/.kube/cisco-kube-client] - Directory for the token files
+ */
+function FileTokenStore(dir) {
+    /**
+     * @name dir
+     * @memberof module:auth.FileTokenStore#
+     * @description Directory for the token files
+     * @type {string}
+     */
+    Object.defineProperty(this, 'dir', { enumerable: true
+        , value: dir || path.join(os.homedir(), '.kube', 'cisco-kube-client') });
+}
+Object.defineProperty(FileTokenStore.prototype, 'toString', { value: function () {
+    return '[FileTokenStore ' + this.dir + ']';
+}});
+module.exports.FileTokenStore = FileTokenStore;
+
+/**
+ * @public
+ * @description Read a stored token
+ *
+ * @param {string} key - Key of the entry
+ *
+ * @returns {Promise.<?{token: string, expiry: ?string}>} Stored entry, or null if there is none
+ */
+FileTokenStore.prototype.get = function (key) {
+    return Promise.promisify(fs.readFile)(this.path(key), 'utf8').then(function (data) {
+        return JSON.parse(data);
+    }).catch(function (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+            return null;
+        }
+        throw error;
+    });
+};
+
+/**
+ * @public
+ * @description Save a token
+ *
+ * The entry is written to a temporary file first and then renamed, so readers never see a partial entry.
+ *
+ * @param {string} key - Key of the entry
+ * @param {{token: string, expiry: ?Date}} entry - Token and its expiration time
+ *
+ * @returns {Promise}
+ */
+FileTokenStore.prototype.set = function (key, entry) {
+    var file = this.path(key)
+      , temp = file + '.' + process.pid + '.tmp';
+    return Promise.promisify(fs.mkdir)(this.dir, 448 /* 0700 */).catch(function (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }).then(function () {
+        return Promise.promisify(fs.writeFile)(temp, JSON.stringify(entry), { mode: 384 /* 0600 */ });
+    }).then(function () {
+        return Promise.promisify(fs.chmod)(temp, 384 /* 0600 */);
+    }).then(function () {
+        return Promise.promisify(fs.rename)(temp, file);
+    });
+};
+
+/**
+ * @public
+ * @description Delete a stored token
+ *
+ * @param {string} key - Key of the entry
+ *
+ * @returns {Promise}
+ */
+FileTokenStore.prototype.delete = function (key) {
+    return Promise.promisify(fs.unlink)(this.path(key)).catch(function (error) {
+        if (error.code !== 'ENOENT') throw error;
+    });
+};
+
+/**
+ * @private
+ * @description Path of the file for the given key
+ *
+ * @param {string} key - Key of the entry
+ *
+ * @returns {string}
+ */
+FileTokenStore.prototype.path = function (key) {
+    return path.join(this.dir, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ *
+ * @summary Authentication Provider
+ * @classdesc Base class for authentication providers. A provider obtains credentials for the client and applies them
+ * to outgoing requests. Custom providers may inherit from this class or implement the same methods.
+ *
+ * @description Create a new `AuthProvider` object.
+ *
+ * @param {object} [options] - Provider options
+ */
+function AuthProvider(options) {
+    /**
+     * @name options
+     * @memberof module:auth.AuthProvider#
+     * @description Provider options
+     * @type {object}
+     */
+    Object.defineProperty(this, 'options', { value: options || {} });
+}
+Object.defineProperty(AuthProvider.prototype, 'toString', { value: function () {
+    return '[AuthProvider ' + this.type + ']';
+}});
+module.exports.AuthProvider = AuthProvider;
+
+/**
+ * @name type
+ * @memberof module:auth.AuthProvider#
+ * @description Name of the provider type
+ * @type {string}
+ */
+AuthProvider.prototype.type = 'token';
+
+/**
+ * @public
+ * @description Make sure the client has valid credentials, obtaining them if necessary
+ *
+ * @param {module:client~ClientConfig} config - Client configuration to update
+ *
+ * @returns {Promise.<module:client~ClientConfig>}
+ */
+AuthProvider.prototype.authenticate = function (config) {
+    return Promise.resolve(config);
+};
+
+/**
+ * @public
+ * @description Obtain new credentials for the client (e.g. after an authentication failure)
+ *
+ * The default implementation has no means of obtaining new credentials, so the current ones are kept.
+ *
+ * @param {module:client~ClientConfig} config - Client configuration to update
+ *
+ * @returns {Promise.<module:client~ClientConfig>}
+ */
+AuthProvider.prototype.refresh = function (config) {
+    return this.authenticate(config);
+};
+
+/**
+ * @public
+ * @description Add the client's credentials to the options of an outgoing request
+ *
+ * The default implementation sends the client's token as a bearer token.
+ *
+ * @param {object} options - Request options to update
+ * @param {module:client~ClientConfig} config - Client configuration
+ *
+ * @returns {object} Updated request options
+ */
+AuthProvider.prototype.apply = function (options, config) {
+    if (config.token) {
+        options.auth = Object.create(Object.prototype, {
+            bearer: { enumerable: true, value: config.token }
+        });
+    }
+    return options;
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary Static Token Provider
+ * @classdesc Sends the `token` of the client configuration. The token is never refreshed. This is the default provider
+ * if neither user credentials nor a token file are configured.
+ *
+ * @description Create a new `TokenProvider` object.
+ *
+ * @param {object} [options] - Provider options
+ */
+function TokenProvider(options) {
+    AuthProvider.call(this, options);
+}
+TokenProvider.prototype = Object.create(AuthProvider.prototype);
+TokenProvider.prototype.constructor = TokenProvider;
+TokenProvider.prototype.type = 'token';
+module.exports.TokenProvider = TokenProvider;
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary Token File Provider
+ * @classdesc Reads the token from the `tokenFile` of the client configuration. The file is read again after
+ * `TOKEN_FILE_INTERVAL` or after an authentication failure, so that rotated tokens (e.g. projected service account
+ * tokens) are picked up without restarting the client.
+ *
+ * @description Create a new `TokenFileProvider` object.
+ *
+ * @param {object} [options] - Provider options
+ * @param {string} [options.path] - Path of the token file (defaults to `ClientConfig#tokenFile`)
+ */
+function TokenFileProvider(options) {
+    AuthProvider.call(this, options);
+    /**
+     * @private
+     * @name lastRead
+     * @memberof module:auth.TokenFileProvider#
+     * @description Time of the last read of the token file
+     * @type {number}
+     */
+    Object.defineProperty(this, 'lastRead', { writable: true, value: 0 });
+}
+TokenFileProvider.prototype = Object.create(AuthProvider.prototype);
+TokenFileProvider.prototype.constructor = TokenFileProvider;
+TokenFileProvider.prototype.type = 'tokenFile';
+module.exports.TokenFileProvider = TokenFileProvider;
+
+/** @inheritdoc */
+TokenFileProvider.prototype.authenticate = function (config) {
+    if (config.token && Date.now() - this.lastRead < TOKEN_FILE_INTERVAL) {
+        return Promise.resolve(config);
+    }
+    return this.refresh(config);
+};
+
+/** @inheritdoc */
+TokenFileProvider.prototype.refresh = function (config) {
+    var self = this
+      , file = this.options.path || config.tokenFile;
+    if (!file) {
+        return Promise.reject(new errors.ParameterError('tokenFile'));
+    }
+    return Promise.promisify(fs.readFile)(file, 'utf8').then(function (token) {
+        config.token = token.trim();
+        self.lastRead = Date.now();
+        config.log.debug({tokenFile: file}, 'token file read');
+        return config;
+    });
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary Basic Authentication Provider
+ * @classdesc Sends user credentials with every request using HTTP basic authentication.
+ *
+ * @description Create a new `BasicProvider` object.
+ *
+ * @param {object} [options] - Provider options
+ * @param {string} [options.user] - Client username (defaults to `ClientConfig#auth`)
+ * @param {string} [options.pass] - Client password (defaults to `ClientConfig#auth`)
+ */
+function BasicProvider(options) {
+    AuthProvider.call(this, options);
+}
+BasicProvider.prototype = Object.create(AuthProvider.prototype);
+BasicProvider.prototype.constructor = BasicProvider;
+BasicProvider.prototype.type = 'basic';
+module.exports.BasicProvider = BasicProvider;
+
+/** @inheritdoc */
+BasicProvider.prototype.authenticate = function (config) {
+    if (!this.options.user && !config.auth) {
+        return Promise.reject(new errors.ParameterError('auth'));
+    }
+    return Promise.resolve(config);
+};
+
+/** @inheritdoc */
+BasicProvider.prototype.apply = function (options, config) {
+    var credentials = this.options.user ? this.options : config.auth;
+    if (credentials) {
+        options.auth = { user: credentials.user, pass: credentials.pass, sendImmediately: true };
+    }
+    return options;
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary OpenShift oAuth Provider
+ * @classdesc Requests a token from the OpenShift oAuth server using the `auth` credentials of the client configuration
+ * and the `openshift-challenging-client` challenge flow. This is the default provider if user credentials are given.
+ *
+ * @description Create a new `OAuthProvider` object.
+ *
+ * @param {object} [options] - Provider options
+ */
+function OAuthProvider(options) {
+    AuthProvider.call(this, options);
+}
+OAuthProvider.prototype = Object.create(AuthProvider.prototype);
+OAuthProvider.prototype.constructor = OAuthProvider;
+OAuthProvider.prototype.type = 'oauth';
+module.exports.OAuthProvider = OAuthProvider;
+
+/** @inheritdoc */
+OAuthProvider.prototype.authenticate = function (config) {
+    // Skip authentication if the client already has a token or there are no credentials
+    if (config.token || config.auth === null) {
+        return Promise.resolve(config);
     }
-    if (config.auth === null) {
-        return Promise.resolve(config).nodeify(next);
+    return getNewToken(config);
+};
+
+/** @inheritdoc */
+OAuthProvider.prototype.refresh = function (config) {
+    config.token = null;
+    config.tokenExpiry = null;
+    return this.authenticate(config);
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary Exec Credential Plugin Provider
+ * @classdesc Runs an external command which prints an `ExecCredential` object, as with the `exec` section of a
+ * kubeconfig user. The returned token (or client certificate) is cached until its `expirationTimestamp`.
+ *
+ * @see https://kubernetes.io/docs/reference/access-authn-authz/authentication/#client-go-credential-plugins
+ *
+ * @description Create a new `ExecProvider` object.
+ *
+ * @param {object} options - Provider options
+ * @param {string} options.command - Command to execute
+ * @param {string[]} [options.args] - Command arguments
+ * @param {object|object[]} [options.env] - Additional environment variables (map, or list of `{name, value}`)
+ * @param {string} [options.apiVersion=client.authentication.k8s.io/v1beta1] - ExecCredential API version
+ */
+function ExecProvider(options) {
+    AuthProvider.call(this, options);
+    if (!this.options.command) {
+        throw new errors.ParameterError('authProvider.command');
+    }
+    /**
+     * @private
+     * @name credential
+     * @memberof module:auth.ExecProvider#
+     * @description Status of the last ExecCredential
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'credential', { writable: true, value: null });
+}
+ExecProvider.prototype = Object.create(AuthProvider.prototype);
+ExecProvider.prototype.constructor = ExecProvider;
+ExecProvider.prototype.type = 'exec';
+module.exports.ExecProvider = ExecProvider;
+
+/** @inheritdoc */
+ExecProvider.prototype.authenticate = function (config) {
+    if (this.credential && !isExpired(this.credential.expirationTimestamp)) {
+        return Promise.resolve(config);
+    }
+    return this.refresh(config);
+};
+
+/** @inheritdoc */
+ExecProvider.prototype.refresh = function (config) {
+    var self = this
+      , apiVersion = this.options.apiVersion || 'client.authentication.k8s.io/v1beta1'
+      , env = Object.merge({}, process.env);
+    if (Array.isArray(this.options.env)) {
+        this.options.env.each(function (each) {
+            env[each.name] = each.value;
+        });
     } else {
-        return getNewToken(config).nodeify(next);
+        Object.merge(env, this.options.env || {});
+    }
+    env.KUBERNETES_EXEC_INFO = JSON.stringify({
+        apiVersion: apiVersion
+        , kind: 'ExecCredential'
+        , spec: { interactive: false }
+    });
+    return new Promise(function (resolve, reject) {
+        childProcess.execFile(self.options.command, self.options.args || [], { env: env }
+            , function (error, stdout, stderr) {
+                if (error) {
+                    error.stderr = stderr;
+                    reject(new errors.ProviderError(self.type, error));
+                } else {
+                    resolve(stdout);
+                }
+            });
+    }).then(function (stdout) {
+        var credential;
+        try {
+            credential = JSON.parse(stdout);
+        } catch (error) {
+            throw new errors.ProviderError(self.type, error);
+        }
+        if (!credential || credential.kind !== 'ExecCredential' || !credential.status) {
+            throw new errors.ProviderError(self.type, new TypeError('command output is not an ExecCredential'));
+        }
+        if (!credential.status.token && !credential.status.clientCertificateData) {
+            throw new errors.ProviderError(self.type, new TypeError('ExecCredential has no token or certificate'));
+        }
+        self.credential = credential.status;
+        config.token = self.credential.token || null;
+        config.tokenExpiry = self.credential.expirationTimestamp ? new Date(self.credential.expirationTimestamp) : null;
+        config.log.debug({expirationTimestamp: self.credential.expirationTimestamp}, 'exec credential received');
+        return config;
+    });
+};
+
+/** @inheritdoc */
+ExecProvider.prototype.apply = function (options, config) {
+    AuthProvider.prototype.apply.call(this, options, config);
+    if (this.credential && this.credential.clientCertificateData) {
+        options.agentOptions = Object.merge(options.agentOptions || {}, {
+            cert: this.credential.clientCertificateData
+            , key: this.credential.clientKeyData
+        }, true);
     }
+    return options;
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary OpenID Connect Provider
+ * @classdesc Sends an OpenID Connect ID token as the bearer token. When the ID token expires, a new one is requested
+ * from the issuer's token endpoint using the refresh token grant, as with the `oidc` kubeconfig auth-provider.
+ *
+ * @description Create a new `OIDCProvider` object.
+ *
+ * @param {object} options - Provider options
+ * @param {string} options.issuerUrl - URL of the OpenID Connect issuer
+ * @param {string} options.clientId - Client ID registered with the issuer
+ * @param {string} [options.clientSecret] - Client secret registered with the issuer
+ * @param {string} [options.idToken] - Current ID token
+ * @param {string} [options.refreshToken] - Refresh token
+ * @param {object} [options.requestOptions] - Request options for the issuer
+ */
+function OIDCProvider(options) {
+    AuthProvider.call(this, options);
+    if (!this.options.issuerUrl) {
+        throw new errors.ParameterError('authProvider.issuerUrl');
+    }
+    if (!this.options.clientId) {
+        throw new errors.ParameterError('authProvider.clientId');
+    }
+    /**
+     * @name idToken
+     * @memberof module:auth.OIDCProvider#
+     * @description Current ID token
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'idToken', { writable: true, value: this.options.idToken || null });
+    /**
+     * @private
+     * @name refreshToken
+     * @memberof module:auth.OIDCProvider#
+     * @description Current refresh token (the issuer may rotate it on every refresh)
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'refreshToken', { writable: true, value: this.options.refreshToken || null });
+}
+OIDCProvider.prototype = Object.create(AuthProvider.prototype);
+OIDCProvider.prototype.constructor = OIDCProvider;
+OIDCProvider.prototype.type = 'oidc';
+module.exports.OIDCProvider = OIDCProvider;
+
+/** @inheritdoc */
+OIDCProvider.prototype.authenticate = function (config) {
+    if (this.idToken && config.token === this.idToken) {
+        return Promise.resolve(config);
+    }
+    if (this.idToken && !isExpired(tokenExpiry(this.idToken))) {
+        config.token = this.idToken;
+        config.tokenExpiry = tokenExpiry(this.idToken);
+        return Promise.resolve(config);
+    }
+    return this.refresh(config);
+};
+
+/** @inheritdoc */
+OIDCProvider.prototype.refresh = function (config) {
+    var self = this;
+    if (!this.refreshToken) {
+        return Promise.reject(new errors.ParameterError('authProvider.refreshToken'));
+    }
+    return requestAsync(Object.merge({
+        url: this.options.issuerUrl.replace(/\/$/, '') + '/.well-known/openid-configuration'
+        , json: true
+    }, this.options.requestOptions || {}, true), config).then(function (response) {
+        if (!response.body || !response.body.token_endpoint) {
+            throw new errors.ProviderError(self.type, new ReferenceError('\'token_endpoint\' is not defined'));
+        }
+        var form = { grant_type: 'refresh_token', refresh_token: self.refreshToken, client_id: self.options.clientId };
+        if (self.options.clientSecret) {
+            form.client_secret = self.options.clientSecret;
+        }
+        return requestAsync(Object.merge({
+            url: response.body.token_endpoint
+            , method: 'POST'
+            , form: form
+            , json: true
+        }, self.options.requestOptions || {}, true), config);
+    }).then(function (response) {
+        if (!response.body || !response.body.id_token) {
+            throw new errors.ProviderError(self.type, new ReferenceError('\'id_token\' is not defined'));
+        }
+        self.idToken = response.body.id_token;
+        self.refreshToken = response.body.refresh_token || self.refreshToken;
+        config.token = self.idToken;
+        config.tokenExpiry = tokenExpiry(self.idToken);
+        config.log.debug({tokenExpiry: config.tokenExpiry}, 'oidc token refreshed');
+        return config;
+    });
+};
+
+/**
+ * @class
+ * @static
+ * @memberof module:auth
+ * @extends module:auth.AuthProvider
+ *
+ * @summary User Function Provider
+ * @classdesc Calls a user supplied function to obtain a token. The function receives the client configuration and
+ * may return (or return a `Promise` of) either a token string or an object with `token` and `expirationTimestamp`
+ * properties. Returned tokens are used until shortly before they expire, or until the API server rejects them if no
+ * expiration is given.
+ *
+ * @description Create a new `FunctionProvider` object.
+ *
+ * @param {object} options - Provider options
+ * @param {function} options.callback - Function that returns the token
+ */
+function FunctionProvider(options) {
+    AuthProvider.call(this, options);
+    if (typeof this.options.callback !== 'function') {
+        throw new errors.ParameterError('authProvider.callback');
+    }
+}
+FunctionProvider.prototype = Object.create(AuthProvider.prototype);
+FunctionProvider.prototype.constructor = FunctionProvider;
+FunctionProvider.prototype.type = 'function';
+module.exports.FunctionProvider = FunctionProvider;
+
+/** @inheritdoc */
+FunctionProvider.prototype.authenticate = function (config) {
+    if (config.token) {
+        return Promise.resolve(config);
+    }
+    return this.refresh(config);
+};
+
+/** @inheritdoc */
+FunctionProvider.prototype.refresh = function (config) {
+    var self = this;
+    return Promise.try(function () {
+        return self.options.callback(config);
+    }).then(function (result) {
+        if (typeof result === 'string') {
+            result = { token: result };
+        }
+        if (!result || typeof result.token !== 'string') {
+            throw new errors.ProviderError(self.type, new TypeError('function did not return a token'));
+        }
+        config.token = result.token;
+        config.tokenExpiry = result.expirationTimestamp ? new Date(result.expirationTimestamp) : null;
+        return config;
+    });
 };
 
 /**
  * @private
- * @description Request a new token if one is not already defined
+ * @description Provider classes by type name
+ * @type {object.<function>}
+ */
+var providers = {
+    basic: BasicProvider
+    , exec: ExecProvider
+    , oauth: OAuthProvider
+    , oidc: OIDCProvider
+    , token: TokenProvider
+    , tokenFile: TokenFileProvider
+};
+
+/**
+ * @private
+ * @constant
+ * @description Interval in milliseconds after which the token file is read again
+ * @type {number}
+ */
+const TOKEN_FILE_INTERVAL = 60000;
+
+/**
+ * @private
+ * @constant
+ * @description Default time in milliseconds before token expiry at which the token is refreshed
+ * @type {number}
+ */
+const REFRESH_WINDOW = 60000;
+
+/**
+ * @private
+ * @description Authenticate with the provider, using the client's token store if there is one
+ *
+ * @param {module:auth.AuthProvider} provider - Authentication provider of the client
+ * @param {module:client~ClientConfig} config - Client configuration to update
+ * @param {boolean} refresh - Refresh the credentials even if they already exist
+ *
+ * @returns {Promise.<module:client~ClientConfig>}
+ */
+function authenticateWith(provider, config, refresh) {
+    var store = config.tokenStore
+      , key = store ? tokenStoreKey(config) : null
+      , previous = config.token;
+    return Promise.try(function () {
+        if (!store) {
+            return null;
+        } else if (refresh) {
+            // The current token has been rejected
+            return callStore(config, 'delete', key);
+        } else if (!config.token) {
+            // Reuse a token saved by a previous process
+            return callStore(config, 'get', key).then(function (entry) {
+                if (entry && entry.token) {
+                    config.token = previous = entry.token;
+                    config.tokenExpiry = entry.expiry ? new Date(entry.expiry) : null;
+                    config.log.debug({tokenExpiry: config.tokenExpiry}, 'token loaded from store');
+                }
+            });
+        }
+    }).then(function () {
+        return (refresh || expiresSoon(config)) ? provider.refresh(config) : provider.authenticate(config);
+    }).then(function () {
+        if (store && config.token && config.token !== previous) {
+            return callStore(config, 'set', key, { token: config.token, expiry: config.tokenExpiry });
+        }
+    }).then(function () {
+        return config;
+    });
+}
+
+/**
+ * @private
+ * @description Call a method of the client's token store
+ *
+ * Token store failures are logged, but they never cause the authentication to fail.
+ *
+ * @param {module:client~ClientConfig} config - Client configuration
+ * @param {string} method - Name of the store method
+ * @param {string} key - Key of the entry
+ * @param {object} [entry] - Entry to save
+ *
+ * @returns {Promise.<?object>}
+ */
+function callStore(config, method, key, entry) {
+    return Promise.try(function () {
+        return config.tokenStore[method](key, entry);
+    }).catch(function (error) {
+        config.log.warn({err: error}, 'token store ' + method + ' failed');
+        return null;
+    });
+}
+
+/**
+ * @private
+ * @description Key of the client's entry in the token store
+ *
+ * The key is made of the API server host and the user (or the provider type if there are no user credentials). It is
+ * computed once, since user credentials may be cleared after the first authentication.
+ *
+ * @param {module:client~ClientConfig} config - Client configuration
+ *
+ * @returns {string}
+ */
+function tokenStoreKey(config) {
+    if (!config.hasOwnProperty('tokenStoreKey')) {
+        Object.defineProperty(config, 'tokenStoreKey', {
+            value: config.host + '|' + ((config.auth && config.auth.user) || config.authProvider.type)
+        });
+    }
+    return config.tokenStoreKey;
+}
+
+/**
+ * @private
+ * @description Request a new token from the OpenShift oAuth server
  *
  * @param {module:client~ClientConfig} config - Client configuration to update
  * @param {string} config.token - Replace this value with the new oAuth token
  *
  * @throws {module:errors.TokenParseError}
- * 
+ *
  * @returns {Promise.<module:client~ClientConfig>} `ClientConfig` with updated `token` property
  */
 function getNewToken(config) {
-    // Skip authentication if the client already has a token
-    if (config.token) {
-        return Promise.resolve(config);
-    }
     // Refuse to authenticate over HTTP unless the override is set
     if (!config.authOptions.allowUnsafe && !config.host.match(/^https:\/\//)) {
         return errors.throw(config.log, 'fatal', new errors.ClientError('refusing to authenticate over http')
@@ -68,12 +882,13 @@ function getNewToken(config) {
             response_type: 'token'
             , client_id: 'openshift-challenging-client'
         }
+        , agentOptions: Object.clone(config.agentOptions || {})
     }, config.authOptions, true);
     // Clear user credentials after first authentication
     if (config.authOptions.preserveAuth === false) {
         config.auth = null;
     }
-    return requestAsync(options).then(function (response) {
+    return requestAsync(options, config).then(function (response) {
         var error = errors(null, response);
         if (error) {
             /** @name error.statusCode */
@@ -82,7 +897,9 @@ function getNewToken(config) {
             }
             throw error;
         }
-        config.token = parseToken(response);
+        var token = parseToken(response);
+        config.token = token.token;
+        config.tokenExpiry = token.expiresIn ? new Date(Date.now() + token.expiresIn * 1000) : null;
         return config;
     }).catch(function (error) {
         if (!error.logged) {
@@ -92,18 +909,19 @@ function getNewToken(config) {
                 , options: options
             }, null);
         }
+        throw error;
     });
 }
 
 /**
  * @private
- * @description Extract an oAuth token from the server response
- * 
+ * @description Extract an oAuth token and its lifetime from the server response
+ *
  * @param {object} response - Response from the oAuth server
  *
  * @throws {module:errors.TokenParseError}
- * 
- * @returns {string} New oAuth token
+ *
+ * @returns {{token: string, expiresIn: ?number}} New oAuth token and its lifetime in seconds
  */
 function parseToken(response) {
     if (!response.headers || !response.headers.location) {
@@ -111,9 +929,10 @@ function parseToken(response) {
         throw new errors.TokenParseError(null, new ReferenceError('\'location\' is not defined in \'headers\' object'));
     }
     try {
-        // Parse the header to extract the token
-        var token = url.parse(response.headers.location).hash
-            .split('#')[1].split('&')[0].split('=')[1];
+        // Parse the redirect fragment to extract the token and its lifetime
+        var fragment = querystring.parse(url.parse(response.headers.location).hash.split('#')[1])
+          , token = fragment.access_token
+          , expiresIn = parseInt(fragment.expires_in, 10);
     } catch (error) {
         // Error thrown while parsing header
         throw new errors.TokenParseError(response.headers.location, error);
@@ -122,24 +941,77 @@ function parseToken(response) {
         // Unspecified parsing error without an exception
         throw new errors.TokenParseError(response.headers.location, new TypeError(token));
     }
-    return token;
+    return { token: token, expiresIn: isNaN(expiresIn) ? null : expiresIn };
+}
+
+/**
+ * @private
+ * @description Read the expiration time of a JSON Web Token
+ *
+ * @param {string} token - Encoded JWT
+ *
+ * @returns {?Date} Expiration time, or null if it cannot be determined
+ */
+function tokenExpiry(token) {
+    try {
+        var payload = JSON.parse(Buffer.from(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+        return (typeof payload.exp === 'number') ? new Date(payload.exp * 1000) : null;
+    } catch (ignore) {
+        return null;
+    }
+}
+
+/**
+ * @private
+ * @description Check whether the client's token expires within the refresh window
+ *
+ * @param {module:client~ClientConfig} config - Client configuration
+ * @param {?Date} config.tokenExpiry - Expiration time of the current token
+ *
+ * @returns {boolean}
+ */
+function expiresSoon(config) {
+    if (!config.tokenExpiry) {
+        return false;
+    }
+    var window = (typeof config.authOptions.refreshWindow === 'number') ? config.authOptions.refreshWindow
+        : REFRESH_WINDOW;
+    return config.tokenExpiry.getTime() - Date.now() <= window;
+}
+
+/**
+ * @private
+ * @description Check whether an expiration time has passed
+ *
+ * @param {?string|Date} expiration - Expiration time (never expires if null)
+ *
+ * @returns {boolean}
+ */
+function isExpired(expiration) {
+    return !!expiration && new Date(expiration).getTime() <= Date.now();
 }
 
 /**
  * @private
  * @description Wrap the request in a Promise and expand error handling to '4xx/5xx/etc.' responses
+ *
+ * The request is sent through the [middleware]{@link module:client~ClientConfig#middleware} of the client.
+ *
  * @param options - Request options
+ * @param {module:client~ClientConfig} config - Client configuration
  * @returns {Promise}
  */
-function requestAsync(options) {
-    return new Promise(function (resolve, reject) {
-        request(options, function (error, response) {
-            error = errors(error, response);
-            if (error) {
-                reject(error);
-            } else {
-                resolve(response);
-            }
-        })
-    });
+function requestAsync(options, config) {
+    return middleware(config.middleware, options, function (options) {
+        return new Promise(function (resolve, reject) {
+            request(options, function (error, response) {
+                error = errors(error, response);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(response);
+                }
+            })
+        });
+    }, { type: 'auth', resource: null });
 }
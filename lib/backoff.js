@@ -0,0 +1,148 @@
+'use strict';
+require('sugar');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:backoff
+ * @description Create a new exponential backoff policy
+ *
+ * @param {?object} [options] - Backoff policy options
+ * @param {number} [options.initial=500] - Delay in milliseconds before the first retry
+ * @param {number} [options.max=30000] - Upper bound of the delay in milliseconds
+ * @param {number} [options.factor=2] - Multiplier applied to the delay after each attempt
+ * @param {number} [options.jitter=0.5] - Fraction of the delay (between 0 and 1) that is randomized
+ *
+ * @returns {module:backoff~Backoff}
+ */
+/**
+ * @module backoff
+ * @description Exponential Backoff Module
+ */
+module.exports = function CreateBackoff(options) {
+    return new Backoff(options);
+};
+module.exports.Backoff = Backoff;
+
+/**
+ * @class
+ * @memberof module:backoff
+ * @description Jittered exponential backoff policy
+ *
+ * Each call to [next]{@link module:backoff~Backoff#next} returns the delay before the next attempt and advances the
+ * attempt counter. The delay grows by `factor` with each attempt up to `max`, and a random portion of up to `jitter`
+ * of the delay is subtracted so that many clients retrying at once do not all hit the server at the same time.
+ *
+ * @param {?object} [options] - Backoff policy options
+ * @param {number} [options.initial=500] - Delay in milliseconds before the first retry
+ * @param {number} [options.max=30000] - Upper bound of the delay in milliseconds
+ * @param {number} [options.factor=2] - Multiplier applied to the delay after each attempt
+ * @param {number} [options.jitter=0.5] - Fraction of the delay (between 0 and 1) that is randomized
+ */
+function Backoff(options) {
+    options = options || {};
+    /**
+     * @name initial
+     * @memberof module:backoff~Backoff#
+     * @description Delay in milliseconds before the first retry
+     * @type {number}
+     */
+    Object.defineProperty(this, 'initial', { enumerable: true, value: valueOf(options.initial, INITIAL_DELAY) });
+    /**
+     * @name max
+     * @memberof module:backoff~Backoff#
+     * @description Upper bound of the delay in milliseconds
+     * @type {number}
+     */
+    Object.defineProperty(this, 'max', { enumerable: true, value: valueOf(options.max, MAX_DELAY) });
+    /**
+     * @name factor
+     * @memberof module:backoff~Backoff#
+     * @description Multiplier applied to the delay after each attempt
+     * @type {number}
+     */
+    Object.defineProperty(this, 'factor', { enumerable: true, value: valueOf(options.factor, FACTOR) });
+    /**
+     * @name jitter
+     * @memberof module:backoff~Backoff#
+     * @description Fraction of the delay that is randomized
+     * @type {number}
+     */
+    Object.defineProperty(this, 'jitter', {
+        enumerable: true
+        , value: Math.max(0, Math.min(1, valueOf(options.jitter, JITTER)))
+    });
+    /**
+     * @name attempts
+     * @memberof module:backoff~Backoff#
+     * @description Number of attempts since the policy was last reset
+     * @type {number}
+     */
+    Object.defineProperty(this, 'attempts', { enumerable: true, writable: true, value: 0 });
+}
+
+/**
+ * @public
+ * @description Get the delay before the next attempt
+ *
+ * @returns {number} Delay in milliseconds
+ */
+Backoff.prototype.next = function () {
+    var delay = Math.min(this.max, this.initial * Math.pow(this.factor, this.attempts));
+    this.attempts++;
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+};
+
+/**
+ * @public
+ * @description Reset the policy after a successful attempt
+ */
+Backoff.prototype.reset = function () {
+    this.attempts = 0;
+};
+
+/**
+ * @private
+ * @description Use the given option unless it is not a number
+ *
+ * @param {*} value - Option value
+ * @param {number} fallback - Default value
+ *
+ * @returns {number}
+ */
+function valueOf(value, fallback) {
+    return typeof value === 'number' && !isNaN(value) ? value : fallback;
+}
+
+/**
+ * @private
+ * @constant
+ * @description Default delay in milliseconds before the first retry
+ * @type {number}
+ */
+const INITIAL_DELAY = 500;
+
+/**
+ * @private
+ * @constant
+ * @description Default upper bound of the delay in milliseconds
+ * @type {number}
+ */
+const MAX_DELAY = 30000;
+
+/**
+ * @private
+ * @constant
+ * @description Default multiplier applied to the delay after each attempt
+ * @type {number}
+ */
+const FACTOR = 2;
+
+/**
+ * @private
+ * @constant
+ * @description Default fraction of the delay that is randomized
+ * @type {number}
+ */
+const JITTER = 0.5;
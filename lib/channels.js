@@ -0,0 +1,668 @@
+'use strict';
+require('sugar');
+var EventEmitter = require('events')
+  , stream = require('stream')
+  , https = require('https')
+  , net = require('net')
+  , querystring = require('querystring')
+  , Promise = require('bluebird')
+  , WebSocket = require('ws')
+  , errors = require('./errors');
+
+/**
+ * @private
+ * @name EventEmitter
+ * @property prototype
+ */
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:channels
+ * @description Open a multiplexed channel socket to the API server
+ *
+ * The request is upgraded to a WebSocket with one of the given subprotocols. If the API server refuses the upgrade,
+ * the `Promise` is rejected with the [HttpError]{@link module:errors.HttpError} for its response.
+ *
+ * @param {object} options - Request options (as parsed for the `request` module)
+ * @param {string} options.url - URL of the API resource
+ * @param {object} [options.qs] - Query parameters (arrays are sent as repeated parameters)
+ * @param {object} [options.headers] - Request headers
+ * @param {object} [options.auth] - Bearer token or user credentials
+ * @param {object} [options.agentOptions] - TLS options
+ * @param {number} [options.timeout] - Handshake timeout in milliseconds
+ * @param {string[]} protocols - Accepted subprotocols, in order of preference
+ * @param {function} [create] - Wraps the open socket before any message is received, so that no data is lost
+ *
+ * @returns {Promise.<module:channels~ChannelSocket|*>} Promise of the open socket (or its wrapper)
+ */
+/**
+ * @module channels
+ * @description Channel Protocol Module for streaming API resources (`exec`, `attach` and `portforward`)
+ */
+module.exports = function OpenChannels(options, protocols, create) {
+    var url = getUrl(options);
+    return new Promise(function (resolve, reject) {
+        var socket = new WebSocket(url, protocols, getSocketOptions(options));
+        socket.on('open', function () {
+            socket.removeListener('error', reject);
+            var channelSocket = new ChannelSocket(socket);
+            resolve(create ? create(channelSocket) : channelSocket);
+        }).on('error', reject).on('unexpected-response', function (request, response) {
+            // Parse the refused upgrade like any other failed API request
+            var body = '';
+            response.setEncoding('utf8');
+            response.on('data', function (data) {
+                body += data;
+            }).on('end', function () {
+                reject(errors(null, {
+                    statusCode: response.statusCode
+                    , headers: response.headers
+                    , body: body
+                    , request: { method: 'GET', href: url, headers: options.headers }
+                }) || new errors.ClientError('unexpected server response: ' + response.statusCode));
+            });
+            request.abort();
+        });
+    });
+};
+module.exports.ChannelSocket = ChannelSocket;
+module.exports.ProcessSession = ProcessSession;
+module.exports.PortForward = PortForward;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:channels
+ * @extends EventEmitter
+ *
+ * @summary Multiplexed WebSocket to the API server
+ * @classdesc Sends and receives the binary messages of the Kubernetes channel protocols, where the first byte of each
+ * message is the number of its channel. Channel streams can be created with
+ * [readable]{@link module:channels~ChannelSocket#readable} and
+ * [writable]{@link module:channels~ChannelSocket#writable}.
+ *
+ * @description Initialize a new `ChannelSocket` for an open WebSocket.
+ *
+ * @param {WebSocket} socket - Open WebSocket
+ *
+ * @fires event:data
+ * @fires event:close
+ * @fires event:error
+ */
+function ChannelSocket(socket) {
+    var self = this;
+    EventEmitter.call(this);
+    /**
+     * @private
+     * @name socket
+     * @memberof module:channels~ChannelSocket#
+     * @description Underlying WebSocket
+     * @type {WebSocket}
+     */
+    Object.defineProperty(this, 'socket', { value: socket });
+    /**
+     * @name protocol
+     * @memberof module:channels~ChannelSocket#
+     * @description Subprotocol selected by the API server
+     * @type {string}
+     */
+    Object.defineProperty(this, 'protocol', { enumerable: true, value: socket.protocol });
+    /**
+     * @name closed
+     * @memberof module:channels~ChannelSocket#
+     * @description If true then the socket has been closed
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'closed', { enumerable: true, writable: true, value: false });
+
+    socket.on('message', function (message) {
+        if (typeof message === 'string') {
+            message = Buffer.from(message);
+        }
+        if (message.length === 0) return;
+        /**
+         * Message received on a channel
+         * @event data
+         * @param {number} channel - Channel number
+         * @param {Buffer} data - Message data
+         */
+        self.emit('data', message[0], message.slice(1));
+    }).on('close', function (code, reason) {
+        self.closed = true;
+        /**
+         * The socket has been closed
+         * @event close
+         * @param {number} code - WebSocket close code
+         * @param {string} reason - Reason given for closing the socket
+         */
+        self.emit('close', code, reason);
+    }).on('error', function (error) {
+        /**
+         * Error with the socket
+         * @event error
+         * @type {Error}
+         */
+        self.emit('error', error);
+    });
+}
+ChannelSocket.prototype = Object.create(EventEmitter.prototype);
+ChannelSocket.prototype.constructor = ChannelSocket;
+
+/**
+ * @public
+ * @description Send data on a channel
+ *
+ * @param {number} channel - Channel number
+ * @param {Buffer|string} data - Message data
+ * @param {function} [callback] - Called once the data has been written, or with the error
+ */
+ChannelSocket.prototype.send = function (channel, data, callback) {
+    if (this.closed || this.socket.readyState !== WebSocket.OPEN) {
+        if (callback) callback(new errors.ClientError('channel socket is closed'));
+        return;
+    }
+    this.socket.send(Buffer.concat([Buffer.from([channel]), Buffer.from(data)]), { binary: true }, callback);
+};
+
+/**
+ * @public
+ * @description Create a stream of the data received on a channel
+ *
+ * The stream ends when the socket is closed.
+ *
+ * @param {number} channel - Channel number
+ *
+ * @returns {stream.Readable}
+ */
+ChannelSocket.prototype.readable = function (channel) {
+    var readable = new stream.PassThrough();
+    this.on('data', function (number, data) {
+        if (number === channel) readable.write(data);
+    }).on('close', function () {
+        readable.end();
+    });
+    return readable;
+};
+
+/**
+ * @public
+ * @description Create a stream which sends the data written to it on a channel
+ *
+ * @param {number} channel - Channel number
+ *
+ * @returns {stream.Writable}
+ */
+ChannelSocket.prototype.writable = function (channel) {
+    var self = this;
+    return new stream.Writable({
+        write: function (chunk, encoding, callback) {
+            // Input for a closed socket is discarded, like output to a process which has ended
+            if (self.closed) return callback();
+            self.send(channel, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding), callback);
+        }
+    });
+};
+
+/**
+ * @public
+ * @description Close the socket
+ */
+ChannelSocket.prototype.close = function () {
+    if (this.socket.readyState === WebSocket.CONNECTING || this.socket.readyState === WebSocket.OPEN) {
+        this.socket.close();
+    }
+};
+
+/**
+ * @class
+ * @inner
+ * @memberof module:channels
+ * @extends EventEmitter
+ *
+ * @summary Streams of a process running in a container
+ * @classdesc Exposes the standard streams of a process (from `exec` or `attach`) over a `v4.channel.k8s.io` socket.
+ * Data written to `stdin` is sent to the process, and its output is read from `stdout` and `stderr`. The exit status
+ * is sent by the API server on the error channel when the process ends. When the socket is closed, the output streams
+ * end and a piped input stream is released.
+ *
+ * @description Initialize a new `ProcessSession` for an open channel socket.
+ *
+ * @param {module:channels~ChannelSocket} socket - Open channel socket
+ * @param {object} options - Enabled streams
+ * @param {boolean|stream.Readable} [options.stdin=false] - Enable the `stdin` stream (a readable stream is piped to it)
+ * @param {boolean} [options.stdout=true] - Enable the `stdout` stream
+ * @param {boolean} [options.stderr=true] - Enable the `stderr` stream
+ *
+ * @fires event:exit
+ */
+function ProcessSession(socket, options) {
+    var self = this;
+    EventEmitter.call(this);
+    /**
+     * @private
+     * @name socket
+     * @memberof module:channels~ProcessSession#
+     * @description Channel socket of the session
+     * @type {module:channels~ChannelSocket}
+     */
+    Object.defineProperty(this, 'socket', { value: socket });
+    /**
+     * @name stdin
+     * @memberof module:channels~ProcessSession#
+     * @description Standard input of the process (null if disabled)
+     * @type {?stream.Writable}
+     */
+    Object.defineProperty(this, 'stdin', {
+        enumerable: true
+        , value: options.stdin ? socket.writable(CHANNELS.stdin) : null
+    });
+    /**
+     * @name stdout
+     * @memberof module:channels~ProcessSession#
+     * @description Standard output of the process (null if disabled)
+     * @type {?stream.Readable}
+     */
+    Object.defineProperty(this, 'stdout', {
+        enumerable: true
+        , value: options.stdout !== false ? socket.readable(CHANNELS.stdout) : null
+    });
+    /**
+     * @name stderr
+     * @memberof module:channels~ProcessSession#
+     * @description Standard error of the process (null if disabled)
+     * @type {?stream.Readable}
+     */
+    Object.defineProperty(this, 'stderr', {
+        enumerable: true
+        , value: options.stderr !== false ? socket.readable(CHANNELS.stderr) : null
+    });
+    /**
+     * @name status
+     * @memberof module:channels~ProcessSession#
+     * @description `Status` object sent by the API server when the process ended
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'status', { enumerable: true, writable: true, value: null });
+    /**
+     * @private
+     * @name result
+     * @memberof module:channels~ProcessSession#
+     * @description Promise of the exit code
+     * @type {Promise.<?number>}
+     */
+    Object.defineProperty(this, 'result', { value: new Promise(function (resolve, reject) {
+        socket.on('data', function (channel, data) {
+            if (channel !== CHANNELS.error) return;
+            try {
+                self.status = JSON.parse(data.toString());
+            } catch (error) {
+                return reject(new errors.ClientError('invalid exit status: ' + data.toString()));
+            }
+            var code = getExitCode(self.status);
+            if (code === null) {
+                // The status on the error channel has no type metadata
+                reject(errors(null, {
+                    statusCode: self.status.code || 500
+                    , body: Object.merge({ kind: 'Status' }, self.status)
+                }));
+            } else {
+                resolve(code);
+            }
+        }).on('close', function () {
+            // Sessions closed by the client, or by an older API server, have no exit status
+            resolve(null);
+        }).on('error', reject);
+    })});
+    this.result.suppressUnhandledRejections();
+    this.result.then(function (code) {
+        socket.close();
+        /**
+         * The process has ended, or the session has been closed
+         * @event exit
+         * @type {?number}
+         */
+        self.emit('exit', code);
+    }, function () {
+        socket.close();
+    });
+
+    if (options.stdin && typeof options.stdin.pipe === 'function') {
+        options.stdin.pipe(this.stdin);
+    }
+    socket.on('close', function () {
+        // Release the input stream once the process has ended or the session has been detached
+        if (options.stdin && typeof options.stdin.unpipe === 'function') {
+            options.stdin.unpipe(self.stdin);
+        }
+        if (self.stdin) {
+            self.stdin.end();
+        }
+    });
+}
+ProcessSession.prototype = Object.create(EventEmitter.prototype);
+ProcessSession.prototype.constructor = ProcessSession;
+
+/**
+ * @public
+ * @description Wait until the process ends
+ *
+ * Resolves with the exit code of the process (or null if the session was closed without an exit status). Rejects if
+ * the process could not be run, or the socket failed.
+ *
+ * @param {function} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise.<?number>} Promise of the exit code
+ */
+ProcessSession.prototype.wait = function (next) {
+    return this.result.nodeify(next);
+};
+
+/**
+ * @public
+ * @description Resize the terminal of the process (if it has one)
+ *
+ * @param {number} columns - Width of the terminal
+ * @param {number} rows - Height of the terminal
+ */
+ProcessSession.prototype.resize = function (columns, rows) {
+    this.socket.send(CHANNELS.resize, JSON.stringify({ Width: columns, Height: rows }));
+};
+
+/**
+ * @public
+ * @description Close the session
+ *
+ * Sessions of [attach]{@link module:endpoints~PodsEndpoint#attach} are detached, and the process keeps running.
+ */
+ProcessSession.prototype.close = function () {
+    this.socket.close();
+};
+
+/**
+ * @class
+ * @inner
+ * @memberof module:channels
+ * @extends EventEmitter
+ *
+ * @summary Local TCP listeners forwarded to the ports of a pod
+ * @classdesc Listens on a local port for each port mapping. Each accepted connection is forwarded over its own
+ * `portforward` socket, where channel 0 carries the data of the connection and channel 1 the errors of the pod port.
+ * The API server starts each channel with the port number, which is not part of the data.
+ *
+ * Call [listen]{@link module:channels~PortForward#listen} to start listening.
+ *
+ * @description Initialize a new `PortForward` object.
+ *
+ * @param {object[]} mappings - Port mappings
+ * @param {number} mappings.local - Local port (0 for any free port)
+ * @param {number} mappings.remote - Port of the pod
+ * @param {string} address - Local address to listen on
+ * @param {function} open - Opens a channel socket for the given pod port and wraps it with the given function (see
+ * [call]{@link module:channels.call}), returns a `Promise`
+ * @param {bunyan} logger - Logger for the forwarded connections
+ *
+ * @fires event:connection
+ * @fires event:error
+ */
+function PortForward(mappings, address, open, logger) {
+    EventEmitter.call(this);
+    /**
+     * @name ports
+     * @memberof module:channels~PortForward#
+     * @description Port mappings, with the bound local port of each mapping once listening
+     * @type {object[]}
+     * @property {number} local - Local port
+     * @property {number} remote - Port of the pod
+     */
+    Object.defineProperty(this, 'ports', {
+        enumerable: true
+        , value: mappings.map(function (mapping) {
+            return { local: mapping.local, remote: mapping.remote };
+        })
+    });
+    /**
+     * @name address
+     * @memberof module:channels~PortForward#
+     * @description Local address the ports are bound to
+     * @type {string}
+     */
+    Object.defineProperty(this, 'address', { enumerable: true, value: address });
+    /**
+     * @private
+     * @name open
+     * @memberof module:channels~PortForward#
+     * @description Opens a channel socket for a pod port
+     * @type {function}
+     */
+    Object.defineProperty(this, 'open', { value: open });
+    /**
+     * @private
+     * @name servers
+     * @memberof module:channels~PortForward#
+     * @description Local TCP server of each port mapping
+     * @type {net.Server[]}
+     */
+    Object.defineProperty(this, 'servers', { value: [] });
+    /**
+     * @private
+     * @name connections
+     * @memberof module:channels~PortForward#
+     * @description Open local connections
+     * @type {net.Socket[]}
+     */
+    Object.defineProperty(this, 'connections', { value: [] });
+    /**
+     * @private
+     * @name log
+     * @memberof module:channels~PortForward#
+     * @description Bunyan logger for the PortForward
+     * @type {bunyan}
+     */
+    Object.defineProperty(this, 'log', { value: logger });
+}
+PortForward.prototype = Object.create(EventEmitter.prototype);
+PortForward.prototype.constructor = PortForward;
+
+/**
+ * @public
+ * @description Start listening on the local ports
+ *
+ * @returns {Promise.<module:channels~PortForward>} Resolves once all ports are bound
+ */
+PortForward.prototype.listen = function () {
+    var self = this;
+    return Promise.map(this.ports, function (mapping) {
+        return new Promise(function (resolve, reject) {
+            var server = net.createServer(function (connection) {
+                self.forward(connection, mapping.remote);
+            });
+            self.servers.push(server);
+            server.once('error', reject).listen(mapping.local, self.address, function () {
+                server.removeListener('error', reject);
+                mapping.local = server.address().port;
+                self.log.info(mapping, 'forwarding port');
+                resolve();
+            });
+        });
+    }).return(this).catch(function (error) {
+        return self.close().throw(error);
+    });
+};
+
+/**
+ * @private
+ * @description Forward a local connection to a pod port
+ *
+ * @param {net.Socket} connection - Accepted local connection
+ * @param {number} port - Port of the pod
+ */
+PortForward.prototype.forward = function (connection, port) {
+    var self = this;
+    this.connections.push(connection);
+    connection.pause();
+    connection.on('close', function () {
+        self.connections.remove(connection);
+    }).on('error', function (error) {
+        self.log.debug({err: error, remote: port}, 'forwarded connection failed');
+    });
+    // Listen to the socket as soon as it is open, so that the port number messages are not missed
+    this.open(port, function (socket) {
+        var started = [];
+        socket.on('data', function (channel, data) {
+            // The first message of each channel is the port number
+            if (!started[channel]) {
+                started[channel] = true;
+                data = data.slice(2);
+            }
+            if (data.length === 0) return;
+            if (channel === 0) {
+                connection.write(data);
+            } else if (channel === 1) {
+                self.fail(new errors.ClientError('port forward to ' + port + ' failed: ' + data.toString()));
+                connection.destroy();
+            }
+        }).on('close', function () {
+            connection.end();
+        }).on('error', function (error) {
+            self.fail(error);
+            connection.destroy();
+        });
+        return socket;
+    }).then(function (socket) {
+        if (connection.destroyed) return socket.close();
+        /**
+         * A local connection is being forwarded
+         * @event connection
+         * @type {object}
+         * @property {number} remote - Port of the pod
+         */
+        self.emit('connection', { remote: port });
+        connection.on('close', function () {
+            socket.close();
+        }).pipe(socket.writable(0));
+        connection.resume();
+    }).catch(function (error) {
+        self.fail(error);
+        connection.destroy();
+    });
+};
+
+/**
+ * @private
+ * @description Report a failed connection
+ *
+ * The error is emitted only if there are listeners, since a failed connection does not affect other connections.
+ *
+ * @param {Error} error - Reason the connection failed
+ */
+PortForward.prototype.fail = function (error) {
+    this.log.error(error);
+    /**
+     * Forwarding a connection failed
+     * @event error
+     * @type {Error}
+     */
+    if (this.listeners('error').length > 0) this.emit('error', error);
+};
+
+/**
+ * @public
+ * @description Stop listening and close all forwarded connections
+ *
+ * @param {function} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise} Resolves once all local ports are closed
+ */
+PortForward.prototype.close = function (next) {
+    var self = this;
+    this.connections.clone().each(function (connection) {
+        connection.destroy();
+    });
+    return Promise.map(this.servers.splice(0), function (server) {
+        return new Promise(function (resolve) {
+            // Servers which failed to listen are already closed
+            server.close(function () {
+                resolve();
+            });
+        });
+    }).then(function () {
+        self.log.info({ports: self.ports}, 'stopped forwarding ports');
+    }).nodeify(next);
+};
+
+/**
+ * @private
+ * @description Get the exit code from the `Status` object sent on the error channel
+ *
+ * @param {object} status - Status object
+ *
+ * @returns {?number} Exit code, or null if the process could not be run
+ */
+function getExitCode(status) {
+    if (status.status === 'Success') {
+        return 0;
+    }
+    if (status.reason === 'NonZeroExitCode') {
+        var cause = ((status.details || {}).causes || []).find(function (cause) {
+            return cause.reason === 'ExitCode';
+        });
+        var code = cause ? parseInt(cause.message, 10) : NaN;
+        return isNaN(code) ? 1 : code;
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @description Build the WebSocket URL of the request
+ *
+ * @param {object} options - Request options
+ *
+ * @returns {string}
+ */
+function getUrl(options) {
+    var query = querystring.stringify(options.qs || {});
+    return options.url.replace(/^http/, 'ws') + (query ? '?' + query : '');
+}
+
+/**
+ * @private
+ * @description Convert request options to WebSocket options
+ *
+ * @param {object} options - Request options
+ *
+ * @returns {object}
+ */
+function getSocketOptions(options) {
+    var headers = Object.clone(options.headers || {})
+      , auth = options.auth || {};
+    if (auth.bearer) {
+        headers.Authorization = 'Bearer ' + auth.bearer;
+    } else if (auth.user) {
+        headers.Authorization = 'Basic ' + Buffer.from(auth.user + ':' + (auth.pass || '')).toString('base64');
+    }
+    var socketOptions = { headers: headers, perMessageDeflate: false };
+    if (options.timeout) {
+        socketOptions.handshakeTimeout = options.timeout;
+    }
+    if (options.url.match(/^https:/) && options.agentOptions) {
+        socketOptions.agent = new https.Agent(options.agentOptions);
+    }
+    return socketOptions;
+}
+
+/**
+ * @constant
+ * @description Channel numbers of the `v4.channel.k8s.io` protocol
+ * @type {object.<string, number>}
+ */
+const CHANNELS = {
+    stdin: 0
+    , stdout: 1
+    , stderr: 2
+    , error: 3
+    , resize: 4
+};
+module.exports.CHANNELS = CHANNELS;
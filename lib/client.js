@@ -1,10 +1,16 @@
 'use strict';
 require('sugar');
-var Promise = require('bluebird')
+var fs = require('fs')
+  , Promise = require('bluebird')
   , bunyan = require('bunyan')
   , endpoints = require('./endpoints')
   , errors = require('./errors')
   , auth = require('./auth')
+  , kubeconfig = require('./kubeconfig')
+  , queue = require('./queue')
+  , election = require('./election')
+  , retry = require('./retry')
+  , limiter = require('./limiter')
   , spec = require('./spec');
 
 /**
@@ -35,6 +41,36 @@ module.exports = function CreateClient(config) {
 };
 module.exports.spec = spec;
 
+/**
+ * @static
+ * @function
+ * @memberof module:client
+ * @description Initialize a new Kubernetes Client from a kubeconfig file
+ *
+ * The server URL, certificate authority, client certificate and key, user credentials, and default namespace are
+ * resolved from the chosen context. Any other properties of `options` are used as additional client configuration,
+ * and take precedence over the values found in the kubeconfig. The API version defaults to `v1`.
+ *
+ * @see {@link module:kubeconfig}
+ *
+ * @param {?string|string[]} [file] - Path(s) of the kubeconfig file(s) (defaults to `KUBECONFIG` or `~/.kube/config`)
+ * @param {object} [options] - Client configuration options
+ * @param {string} [options.context] - Name of the kubeconfig context (defaults to `current-context`)
+ *
+ * @returns {module:client.KubernetesClient|Promise.<module:client.KubernetesClient>}
+ *
+ * @throws {module:errors.ParameterError|module:errors.VersionError}
+ */
+module.exports.fromKubeconfig = function (file, options) {
+    if (typeof file === 'object' && file !== null && !Array.isArray(file)) {
+        options = file; // Parameter 'file' is optional and can be safely dropped
+        file = null;    // fromKubeconfig(options)
+    }
+    options = options || {};
+    return module.exports(Object.merge(Object.merge({ version: 'v1' }, kubeconfig(file, options.context), true)
+        , Object.reject(options, 'context'), true));
+};
+
 /**
  * @class
  * @static
@@ -123,14 +159,15 @@ KubernetesClient.prototype.toString = function () {
 
 /**
  * @public
- * @description Authenticate with the oAuth server
+ * @description Authenticate with the configured authentication provider
  *
  * The new token is added to the [ClientConfig]{@link module:client~ClientConfig}.
  * Returns a `Promise` of the updated `ClientConfig` with the new token parameter.
  *
  * @see {@link module:auth}
  *
- * @param {boolean} [flush=false] - Delete the client's token if it already exists
+ * @param {boolean|string} [flush=false] - Refresh the client's credentials even if they already exist (if a token is
+ * given, only refresh if it is still the current token)
  * @param {function} [next] - Node.js callback (replaces Promise output)
  *
  * @returns {?Promise.<module:client~ClientConfig>}
@@ -139,6 +176,150 @@ KubernetesClient.prototype.authenticate = function(flush, next) {
     return auth(this.config, flush, next);
 };
 
+/**
+ * @public
+ * @description Add a middleware function to the client
+ *
+ * Middleware can inspect and modify the options of every request sent by the client, and its response or error.
+ * Functions are called in the order they were added.
+ *
+ * @see {@link module:middleware}
+ *
+ * @example
+ * client.use(function (options, next) {
+ *     options.headers = Object.merge(options.headers || {}, { 'X-Trace-Id': traceId() });
+ *     return next(options);
+ * });
+ *
+ * @param {module:middleware~Middleware} fn - Middleware function
+ *
+ * @returns {module:client.KubernetesClient} The client itself (for chaining)
+ *
+ * @throws {module:errors.ClientError}
+ */
+KubernetesClient.prototype.use = function (fn) {
+    if (typeof fn !== 'function') {
+        errors.throw(this.config.log, 'error', new errors.ClientError('middleware must be a function'));
+    }
+    this.config.middleware.push(fn);
+    return this;
+};
+
+/**
+ * @public
+ * @description Create a client which acts on behalf of another user
+ *
+ * The derived client shares the configuration, credentials, rate limiter and middleware of this client, and sends every
+ * request with the impersonation headers for the given user (see
+ * [ClientConfig#impersonate]{@link module:client~ClientConfig#impersonate}). The client's credentials must be allowed
+ * to impersonate the user.
+ *
+ * @example
+ * client.as({ user: 'jane', groups: ['developers'] }).pods.get().then(function (pods) {
+ *     // Pods that jane is allowed to see
+ * });
+ *
+ * @param {string|object} impersonate - Name of the user, or the user to impersonate
+ * @param {string} impersonate.user - Name of the user
+ * @param {string} [impersonate.uid] - Unique identifier of the user
+ * @param {string|string[]} [impersonate.groups] - Groups of the user
+ * @param {object.<string, string|string[]>} [impersonate.extra] - Extra fields of the user
+ *
+ * @returns {module:client.KubernetesClient}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+KubernetesClient.prototype.as = function (impersonate) {
+    var self = this
+      , derived = Object.create(this);
+    try {
+        impersonate = parseImpersonation(impersonate);
+    } catch (error) {
+        errors.throw(this.config.log, 'error', error);
+    }
+    if (!impersonate) {
+        errors.throw(this.config.log, 'error', new errors.ParameterError('impersonate'));
+    }
+    Object.defineProperty(derived, 'config', {
+        value: Object.create(this.config, {
+            impersonate: { enumerable: true, value: impersonate }
+        })
+    });
+    // Credentials are refreshed on the parent configuration, so both clients keep using the same token
+    Object.defineProperty(derived, 'authenticate', { value: function (flush, next) {
+        return Promise.resolve(self.authenticate(flush)).return(derived.config).nodeify(next);
+    }});
+    // Bind a copy of each endpoint (and its nicknames) to the derived client
+    var originals = []
+      , copies = [];
+    Object.getOwnPropertyNames(this).each(function (key) {
+        var endpoint = self[key];
+        if (!(endpoint instanceof endpoints.Endpoint)) return;
+        if (originals.indexOf(endpoint) === -1) {
+            originals.push(endpoint);
+            copies.push(endpoints.derive(endpoint, derived));
+        }
+        Object.defineProperty(derived, key, {
+            enumerable: Object.getOwnPropertyDescriptor(self, key).enumerable
+            , configurable: true
+            , value: copies[originals.indexOf(endpoint)]
+        });
+    });
+    this.config.log.debug({user: impersonate.user}, 'impersonating client created');
+    return derived;
+};
+
+/**
+ * @public
+ * @description Create a new work queue for a controller
+ *
+ * The work queue logs to the client logger. Keys can be added directly, or from the events of a watch or informer.
+ *
+ * @see {@link module:queue}
+ *
+ * @example
+ * var informer = client.pods.informer();
+ * var queue = client.queue(function (key) {
+ *     return reconcile(informer.get(key));
+ * }, { concurrency: 4 }).watch(informer);
+ *
+ * @param {function} handler - Processes a single key, may return a `Promise`
+ * @param {?object} [options] - Work queue options (see [WorkQueue]{@link module:queue~WorkQueue})
+ *
+ * @returns {module:queue~WorkQueue}
+ */
+KubernetesClient.prototype.queue = function (handler, options) {
+    return queue(handler, options, this.config.log);
+};
+
+/**
+ * @public
+ * @description Create a new leader elector
+ *
+ * Only one of all the replicas which use the same lock object will be the leader at any time.
+ *
+ * @see {@link module:election}
+ *
+ * @example
+ * var elector = client.leaderElector({ name: 'my-controller', lock: 'leases' });
+ * elector.on('started-leading', startController);
+ * elector.on('stopped-leading', stopController);
+ * elector.start();
+ *
+ * process.on('SIGTERM', function () {
+ *     elector.stop().then(function () { process.exit(0); });
+ * });
+ *
+ * @param {object} options - Leader election options (see [LeaderElector]{@link module:election~LeaderElector})
+ *
+ * @returns {module:election~LeaderElector}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+KubernetesClient.prototype.leaderElector = function (options) {
+    return election(this, options);
+};
+
 /**
  * @public
  * @description Define a new API server resource endpoint. The returned object will be an instantiated
@@ -215,21 +396,45 @@ KubernetesClient.prototype.defineAPI = function (api) {
  * `ClientConfig#[authOptions]{@link module:client~ClientConfig#authOptions}`
  * @param {boolean} [options.authOptions.allowUnsafe=false] - Permit authentication without SSL/TLS
  * @param {boolean} [options.authOptions.preserveAuth=true] - Keep user credentials for re-authentication
+ * @param {number} [options.authOptions.refreshWindow=60000] - Refresh tokens this many milliseconds before expiry
+ * @param {string|object|function|module:auth.AuthProvider} [options.authProvider] - Sets
+ * `ClientConfig#[authProvider]{@link module:client~ClientConfig#authProvider}`
  * @param {!string} options.host - Sets
  * `ClientConfig#[host]{@link module:client~ClientConfig#host}`
+ * @param {object.<string, module:content~Decoder>} [options.decoders={}] - Sets
+ * `ClientConfig#[decoders]{@link module:client~ClientConfig#decoders}`
  * @param {string} [options.hostname] - Alias for the `host` parameter
+ * @param {?string|object} [options.impersonate=null] - Sets
+ * `ClientConfig#[impersonate]{@link module:client~ClientConfig#impersonate}`
  * @param {string|number} [options.logLevel=bunyan.FATAL] - Set log output level (equivalent to logOptions.level)
  * @param {object} [options.logOptions={}] - Configure options for the bunyan logger
+ * @param {module:middleware~Middleware[]} [options.middleware=[]] - Sets
+ * `ClientConfig#[middleware]{@link module:client~ClientConfig#middleware}`
  * @param {?string} [options.namespace=null] - Sets
  * `ClientConfig#[namespace]{@link module:client~ClientConfig#namespace}`
+ * @param {boolean|object} [options.inCluster=false] - Read missing parameters from the pod's service account
+ * @param {string} [options.inCluster.root] - Override the service account directory
  * @param {string|number} [options.port] - Sets port component of `ClientConfig#host`
  * @param {string} [options.protocol] - Sets protocol component of `ClientConfig#host`
+ * @param {?object} [options.rateLimit=null] - Sets
+ * `ClientConfig#[limiter]{@link module:client~ClientConfig#limiter}`
+ * @param {?number} [options.rateLimit.qps=null] - Average number of requests per second
+ * @param {?number} [options.rateLimit.burst] - Maximum number of requests sent at once (defaults to `qps`)
+ * @param {?number} [options.rateLimit.concurrency=null] - Maximum number of requests in flight
  * @param {object} [options.requestOptions={}] - Sets
  * `ClientConfig#[requestOptions]{@link module:client~ClientConfig#requestOptions}`
+ * @param {?boolean|number|object} [options.retry=true] - Sets
+ * `ClientConfig#[retry]{@link module:client~ClientConfig#retry}`
  * @param {?number} [options.timeout=null] - Sets
  * `ClientConfig#[timeout]{@link module:client~ClientConfig#timeout}`
+ * @param {object} [options.tls={}] - Sets
+ * `ClientConfig#[tls]{@link module:client~ClientConfig#tls}`
  * @param {?string} [options.token=null] - Sets
  * `ClientConfig#[token]{@link module:client~ClientConfig#token}`
+ * @param {?string} [options.tokenFile=null] - Sets
+ * `ClientConfig#[tokenFile]{@link module:client~ClientConfig#tokenFile}`
+ * @param {?boolean|string|object} [options.tokenStore=null] - Sets
+ * `ClientConfig#[tokenStore]{@link module:client~ClientConfig#tokenStore}`
  * @param {!string|number} options.version - Sets
  * `ClientConfig#[version]{@link module:client~ClientConfig#version}`
  *
@@ -254,6 +459,15 @@ function ClientConfig(options) {
         }, options.logOptions || {}, true))
     });
 
+    // Resolve missing parameters from the pod's service account (explicit options take precedence)
+    if (options.inCluster) {
+        try {
+            options = Object.merge(kubeconfig.inCluster(options.inCluster.root), options, true);
+        } catch (error) {
+            errors.throw(this.log, 'fatal', error);
+        }
+    }
+
     /**
      * @name auth
      * @memberof module:client~ClientConfig#
@@ -311,6 +525,28 @@ function ClientConfig(options) {
      */
     Object.defineProperty(this, 'authOptions', { enumerable: true, value: options.authOptions || {} });
 
+    /**
+     * @name authProvider
+     * @memberof module:client~ClientConfig#
+     * @description Authentication provider for the client
+     *
+     * The provider obtains credentials (e.g. the `token` property) and applies them to every request. It is chosen
+     * from the `authProvider` input parameter, which may be a provider type name (`oauth`, `token`, `tokenFile`,
+     * `basic`, `exec` or `oidc`), an object with a `type` property and provider options, an async function returning a
+     * token, or a custom provider object. If omitted, the OpenShift oAuth provider is used when `auth` is given,
+     * otherwise the token file or static token is used.
+     *
+     * @see {@link module:auth.createProvider}
+     *
+     * @type {module:auth.AuthProvider}
+     * @readonly
+     */
+    try {
+        Object.defineProperty(this, 'authProvider', { value: auth.createProvider(options) });
+    } catch (error) {
+        errors.throw(this.log, 'fatal', error);
+    }
+
     /**
      * @name host
      * @memberof module:client~ClientConfig#
@@ -376,6 +612,67 @@ function ClientConfig(options) {
      */
     Object.defineProperty(this, 'timeout', { enumerable: true, value: options.timeout || null });
 
+    /**
+     * @name tls
+     * @memberof module:client~ClientConfig#
+     * @description TLS options for all requests to the API server
+     *
+     * The `ca`, `cert`, and `key` parameters may each be given as a file path, as inline PEM data, or as base64 encoded
+     * PEM data (as found in kubeconfig files). They are resolved to PEM data when the client is initialized. If a
+     * client certificate is given then the `auth` and `token` parameters may be omitted entirely.
+     *
+     * These options are applied to both API requests and token requests, so there is no need to disable certificate
+     * verification globally with `NODE_TLS_REJECT_UNAUTHORIZED`.
+     *
+     * @type {object}
+     * @readonly
+     * @default {}
+     * @property {string} [ca] - Certificate authority for the API server
+     * @property {string} [cert] - Client certificate
+     * @property {string} [key] - Client private key
+     * @property {string} [passphrase] - Passphrase for the client private key
+     * @property {boolean} [insecureSkipVerify=false] - Do not verify the API server certificate
+     * @property {string} [serverName] - Server name for SNI and certificate verification
+     */
+    options.tls = options.tls || {};
+    if (options.tls.cert && !options.tls.key) {
+        errors.throw(this.log, 'fatal', new errors.ParameterError('tls.key'));
+    }
+    if (options.tls.key && !options.tls.cert) {
+        errors.throw(this.log, 'fatal', new errors.ParameterError('tls.cert'));
+    }
+    try {
+        Object.defineProperty(this, 'tls', { enumerable: true
+            , value: Object.create(Object.prototype, {
+                ca: { enumerable: true, value: readPEM(options.tls.ca, 'tls.ca') }
+                , cert: { enumerable: true, value: readPEM(options.tls.cert, 'tls.cert') }
+                , key: { value: readPEM(options.tls.key, 'tls.key') }
+                , passphrase: { value: options.tls.passphrase || null }
+                , insecureSkipVerify: { enumerable: true, value: !!options.tls.insecureSkipVerify }
+                , serverName: { enumerable: true, value: options.tls.serverName || null }
+            })
+        });
+    } catch (error) {
+        errors.throw(this.log, 'fatal', error);
+    }
+
+    /**
+     * @private
+     * @name agentOptions
+     * @memberof module:client~ClientConfig#
+     * @description TLS options in the format expected by the `agentOptions` parameter of the request module
+     * @type {object}
+     * @readonly
+     */
+    var agentOptions = {};
+    if (this.tls.ca) agentOptions.ca = this.tls.ca;
+    if (this.tls.cert) agentOptions.cert = this.tls.cert;
+    if (this.tls.key) agentOptions.key = this.tls.key;
+    if (this.tls.passphrase) agentOptions.passphrase = this.tls.passphrase;
+    if (this.tls.insecureSkipVerify) agentOptions.rejectUnauthorized = false;
+    if (this.tls.serverName) agentOptions.servername = this.tls.serverName;
+    Object.defineProperty(this, 'agentOptions', { value: agentOptions });
+
     /**
      * @name token
      * @memberof module:client~ClientConfig#
@@ -396,6 +693,56 @@ function ClientConfig(options) {
         Object.defineProperty(this, 'token', { writable: true, value: null });
     }
 
+    /**
+     * @name tokenFile
+     * @memberof module:client~ClientConfig#
+     * @description Path of a file containing the oAuth token
+     *
+     * If defined, the `token` property is read from this file and is refreshed periodically (and after any
+     * authentication failure) so that rotated tokens are picked up without restarting the client.
+     *
+     * @type {?string}
+     * @readonly
+     * @default null
+     */
+    Object.defineProperty(this, 'tokenFile', { enumerable: true
+        , value: options.tokenFile ? trim(options.tokenFile, 'tokenFile') : null });
+
+    /**
+     * @name tokenExpiry
+     * @memberof module:client~ClientConfig#
+     * @description Expiration time of the current token
+     *
+     * This is managed by the [auth]{@link module:auth} module. The token is refreshed shortly before it expires (see
+     * `authOptions.refreshWindow`). If null, the token is used until it is rejected by the API server.
+     *
+     * @type {?Date}
+     * @default null
+     */
+    Object.defineProperty(this, 'tokenExpiry', { writable: true, value: null });
+
+    /**
+     * @name tokenStore
+     * @memberof module:client~ClientConfig#
+     * @description Persistent store for tokens
+     *
+     * If defined, tokens are saved to this store (keyed by host and user) and reused by later processes until they
+     * expire or are rejected by the API server. Set the `tokenStore` input parameter to `true` to store tokens in
+     * files under `~/.kube/cisco-kube-client`, to a directory path to choose another location, or to a custom object
+     * with `get`, `set`, and `delete` methods.
+     *
+     * @see {@link module:auth.createTokenStore}
+     *
+     * @type {?module:auth.FileTokenStore|object}
+     * @readonly
+     * @default null
+     */
+    try {
+        Object.defineProperty(this, 'tokenStore', { value: auth.createTokenStore(options) });
+    } catch (error) {
+        errors.throw(this.log, 'fatal', error);
+    }
+
     /**
      * @name requestOptions
      * @memberof module:client~ClientConfig#
@@ -414,6 +761,109 @@ function ClientConfig(options) {
      */
     Object.defineProperty(this, 'requestOptions', { enumerable: true, value: options.requestOptions || {} });
 
+    /**
+     * @name retry
+     * @memberof module:client~ClientConfig#
+     * @description Retry policy for transient request failures
+     *
+     * Idempotent requests are repeated after connection failures and `429`, `500`, `502`, `503` and `504` responses.
+     * Set `false` to disable retries, a number to set the number of retries, or an object to override individual
+     * policy properties. Endpoint methods also accept a `retry` option which takes precedence over this policy.
+     *
+     * @see module:retry~RetryPolicy
+     *
+     * @type {module:retry~RetryPolicy}
+     * @readonly
+     */
+    Object.defineProperty(this, 'retry', { enumerable: true, value: retry.createPolicy(options.retry) });
+
+    /**
+     * @name limiter
+     * @memberof module:client~ClientConfig#
+     * @description Client-wide request rate limiter
+     *
+     * Every request made by the endpoint methods waits for the limiter, so that the client sends no more than
+     * `rateLimit.qps` requests per second (with bursts of up to `rateLimit.burst` requests) and has no more than
+     * `rateLimit.concurrency` requests in flight. Requests are not limited by default. Watch streams are not limited.
+     *
+     * @see module:limiter~Limiter
+     *
+     * @type {module:limiter~Limiter}
+     * @readonly
+     */
+    Object.defineProperty(this, 'limiter', { enumerable: true, value: limiter(options.rateLimit) });
+
+    /**
+     * @name middleware
+     * @memberof module:client~ClientConfig#
+     * @description Middleware chain for all requests of the client
+     *
+     * Every request made by the endpoint methods, watch sockets and authentication providers is passed through these
+     * functions in order. Use [KubernetesClient#use]{@link module:client.KubernetesClient#use} to add middleware.
+     *
+     * @see module:middleware
+     *
+     * @type {module:middleware~Middleware[]}
+     * @readonly
+     * @default []
+     */
+    Object.defineProperty(this, 'middleware', { enumerable: true, value: (options.middleware || []).clone() });
+
+    /**
+     * @name decoders
+     * @memberof module:client~ClientConfig#
+     * @description Response body decoders by media type
+     *
+     * Endpoint methods decode response bodies according to their `Content-Type` header. These decoders are used
+     * instead of the built-in ones for their media types, e.g. the optional
+     * [protobuf]{@link module:content.protobuf} decoder for `application/vnd.kubernetes.protobuf`.
+     *
+     * @see module:content
+     *
+     * @type {object.<string, module:content~Decoder>}
+     * @readonly
+     * @default {}
+     */
+    var decoders = {};
+    Object.keys(options.decoders || {}, function (mediaType, decoder) {
+        decoders[mediaType.toLowerCase()] = decoder;
+    });
+    var invalid = Object.keys(decoders).find(function (mediaType) {
+        return typeof decoders[mediaType] !== 'function';
+    });
+    if (invalid) {
+        errors.throw(this.log, 'fatal', new errors.ClientError('decoder for \'' + invalid + '\' must be a function'));
+    }
+    Object.defineProperty(this, 'decoders', { enumerable: true, value: decoders });
+
+    /**
+     * @name impersonate
+     * @memberof module:client~ClientConfig#
+     * @description User and groups to impersonate in every request
+     *
+     * Requests are sent with the `Impersonate-User`, `Impersonate-Uid`, `Impersonate-Group` and `Impersonate-Extra-*`
+     * headers, so that the API server authorizes them as the given user instead of the client's credentials. A string
+     * is the name of the user. Endpoint methods also accept an `impersonate` option which replaces this value.
+     *
+     * @see https://kubernetes.io/docs/reference/access-authn-authz/authentication/#user-impersonation
+     *
+     * @type {?object}
+     * @property {string} user - Name of the user
+     * @property {string} [uid] - Unique identifier of the user
+     * @property {string|string[]} [groups] - Groups of the user
+     * @property {object.<string, string|string[]>} [extra] - Extra fields of the user
+     * @readonly
+     * @default null
+     */
+    try {
+        Object.defineProperty(this, 'impersonate', {
+            enumerable: true
+            , value: parseImpersonation(options.impersonate)
+        });
+    } catch (error) {
+        errors.throw(this.log, 'fatal', error);
+    }
+
     /**
      * @name version
      * @memberof module:client~ClientConfig#
@@ -466,6 +916,65 @@ function parseVersion(version, spec) {
     }
 }
 
+/**
+ * @private
+ * @description Resolve a certificate or key to PEM data
+ *
+ * The value may be PEM data, base64 encoded PEM data, or the path of a file containing PEM data.
+ *
+ * @param {?string|Buffer} value - Certificate or key reference
+ * @param {string} name - Name of the parameter
+ *
+ * @returns {?string} PEM data
+ *
+ * @throws {TypeError}
+ */
+function readPEM(value, name) {
+    if (!value) {
+        return null;
+    }
+    if (Buffer.isBuffer(value)) {
+        value = value.toString();
+    }
+    if (typeof value !== 'string') {
+        throw new TypeError('parameter \'' + name + '\' must be a string');
+    }
+    if (value.has('-----BEGIN')) {
+        return value;
+    }
+    if (fs.existsSync(value)) {
+        return fs.readFileSync(value, 'utf8');
+    }
+    var decoded = Buffer.from(value, 'base64').toString();
+    if (decoded.has('-----BEGIN')) {
+        return decoded;
+    }
+    throw new TypeError('parameter \'' + name + '\' must be a file path or PEM data');
+}
+
+/**
+ * @private
+ * @description Parse the user to impersonate
+ *
+ * @param {?string|object} value - User name, or user object
+ *
+ * @returns {?object} User object
+ *
+ * @throws {module:errors.ParameterError}
+ */
+function parseImpersonation(value) {
+    if (!value) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        value = { user: value };
+    }
+    if (!value.user) {
+        throw new errors.ParameterError('impersonate.user');
+    }
+    return value;
+}
+
 /**
  * @private
  * @description Trim whitespace and newlines
@@ -0,0 +1,253 @@
+'use strict';
+require('sugar');
+var errors = require('./errors');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:content
+ * @description Decode the body of an API server response
+ *
+ * With the `auto` response type, the body is decoded according to the `Content-Type` header of the response: a
+ * decoder registered for the media type is used if there is one, JSON (`application/json` or any `+json` type) is
+ * parsed, text (`text/*`) is returned as a string and anything else as a `Buffer`. A body without a `Content-Type` is
+ * parsed as JSON if possible and returned as a string otherwise. The `json`, `text` and `buffer` response types skip
+ * the `Content-Type` check.
+ *
+ * @param {object} response - Response from the API server, with the body as a `Buffer` or a string
+ * @param {string} [responseType='auto'] - One of `auto`, `json`, `text` or `buffer`
+ * @param {?object.<string, module:content~Decoder>} [decoders] - Additional decoders by media type
+ *
+ * @returns {*} Decoded response body
+ *
+ * @throws {module:errors.ClientError}
+ */
+/**
+ * @module content
+ * @description Response Content Decoding Module
+ */
+module.exports = function DecodeBody(response, responseType, decoders) {
+    var body = response.body;
+    if (body === undefined || body === null) {
+        return body;
+    }
+    if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+        // Already parsed by the request module for requests with a JSON body
+        return (responseType === 'text' || responseType === 'buffer') ? DecodeBody({
+            body: JSON.stringify(body)
+        }, responseType) : body;
+    }
+    switch (responseType || 'auto') {
+        case 'buffer':
+            return Buffer.isBuffer(body) ? body : Buffer.from(body);
+        case 'text':
+            return body.toString();
+        case 'json':
+            return decodeJson(body);
+    }
+    var mediaType = getMediaType(response.headers)
+      , decoder = (decoders || {})[mediaType] || DECODERS[mediaType];
+    if (decoder) {
+        return decoder(Buffer.isBuffer(body) ? body : Buffer.from(body), response);
+    } else if (!mediaType) {
+        // Older API servers and proxied services do not always set the content type
+        try {
+            return decodeJson(body);
+        } catch (ignore) {
+            return body.toString();
+        }
+    } else if (mediaType.endsWith('+json')) {
+        return decodeJson(body);
+    } else if (mediaType.startsWith('text/')) {
+        return body.toString();
+    }
+    return Buffer.isBuffer(body) ? body : Buffer.from(body);
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:content
+ * @description Check whether a response type is supported
+ *
+ * @param {string} responseType - Response type option
+ *
+ * @returns {boolean}
+ */
+module.exports.supports = function (responseType) {
+    return RESPONSE_TYPES.indexOf(responseType) !== -1;
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:content
+ * @description Decode the envelope of a Kubernetes protobuf response (`application/vnd.kubernetes.protobuf`)
+ *
+ * The envelope holds the type of the object and its protobuf encoding. Decoding the `raw` object requires the
+ * Kubernetes protobuf schemas, so this decoder only unwraps the envelope. It is not registered by default: add it
+ * (or a decoder built on it) to the `decoders` client option, and request protobuf with the `Accept` header.
+ *
+ * @example
+ * var content = require('cisco-kube-client/lib/content');
+ * var client = Client({
+ *     host: 'https://kubernetes.default'
+ *     , decoders: { 'application/vnd.kubernetes.protobuf': content.protobuf }
+ * });
+ * client.pods.get('my-pod', { headers: { Accept: 'application/vnd.kubernetes.protobuf' } });
+ *
+ * @param {Buffer} buffer - Response body
+ *
+ * @returns {module:content~ProtobufEnvelope}
+ *
+ * @throws {module:errors.ClientError}
+ */
+module.exports.protobuf = function DecodeProtobuf(buffer) {
+    if (buffer.length < PROTOBUF_MAGIC.length || !buffer.slice(0, PROTOBUF_MAGIC.length).equals(PROTOBUF_MAGIC)) {
+        throw new errors.ClientError('invalid protobuf response: missing envelope prefix');
+    }
+    var unknown = readFields(buffer.slice(PROTOBUF_MAGIC.length))
+      , typeMeta = readFields(unknown[1] || Buffer.alloc(0));
+    return {
+        apiVersion: (typeMeta[1] || '').toString()
+        , kind: (typeMeta[2] || '').toString()
+        , raw: unknown[2] || Buffer.alloc(0)
+        , contentEncoding: (unknown[3] || '').toString()
+        , contentType: (unknown[4] || '').toString()
+    };
+};
+
+/**
+ * @callback module:content~Decoder
+ * @param {Buffer} body - Response body
+ * @param {object} response - Response from the API server
+ * @returns {*} Decoded response body
+ */
+
+/**
+ * @typedef {object} module:content~ProtobufEnvelope
+ * @property {string} apiVersion - API version of the object
+ * @property {string} kind - Kind of the object
+ * @property {Buffer} raw - Protobuf encoding of the object
+ * @property {string} contentEncoding - Encoding of `raw`, empty if it is not compressed
+ * @property {string} contentType - Media type of `raw`, empty for protobuf
+ */
+
+/**
+ * @private
+ * @description Parse a JSON response body
+ *
+ * @param {Buffer|string} body - Response body
+ *
+ * @returns {?object} Parsed body, or null if the body is empty
+ *
+ * @throws {module:errors.ClientError}
+ */
+function decodeJson(body) {
+    var text = body.toString();
+    if (!text.trim()) {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new errors.ClientError('invalid JSON response: ' + error.message);
+    }
+}
+
+/**
+ * @private
+ * @description Get the media type of a response, without its parameters
+ *
+ * @param {?object} headers - Response headers
+ *
+ * @returns {?string} Lowercase media type, or null if the response has no `Content-Type`
+ */
+function getMediaType(headers) {
+    var contentType = (headers || {})['content-type'];
+    return contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+}
+
+/**
+ * @private
+ * @description Read the fields of a protobuf message
+ *
+ * Varint fields are read as numbers and length-delimited fields as buffers. Fixed-size fields are skipped.
+ *
+ * @param {Buffer} buffer - Encoded message
+ *
+ * @returns {object.<number, number|Buffer>} Last value of each field by field number
+ *
+ * @throws {module:errors.ClientError}
+ */
+function readFields(buffer) {
+    var fields = {}
+      , offset = 0;
+    function readVarint() {
+        var value = 0
+          , shift = 0
+          , byte;
+        do {
+            if (offset >= buffer.length) {
+                throw new errors.ClientError('invalid protobuf response: truncated message');
+            }
+            byte = buffer[offset++];
+            value += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+        } while (byte & 0x80);
+        return value;
+    }
+    while (offset < buffer.length) {
+        var key = readVarint()
+          , field = Math.floor(key / 8);
+        switch (key % 8) {
+            case 0:
+                fields[field] = readVarint();
+                break;
+            case 1:
+                offset += 8;
+                break;
+            case 2:
+                var length = readVarint();
+                if (offset + length > buffer.length) {
+                    throw new errors.ClientError('invalid protobuf response: truncated message');
+                }
+                fields[field] = buffer.slice(offset, offset + length);
+                offset += length;
+                break;
+            case 5:
+                offset += 4;
+                break;
+            default:
+                throw new errors.ClientError('invalid protobuf response: unsupported wire type ' + (key % 8));
+        }
+    }
+    return fields;
+}
+
+/**
+ * @private
+ * @constant
+ * @description Supported values of the `responseType` option
+ * @type {string[]}
+ */
+const RESPONSE_TYPES = ['auto', 'json', 'text', 'buffer'];
+
+/**
+ * @private
+ * @constant
+ * @description Default decoders by media type
+ * @type {object.<string, module:content~Decoder>}
+ */
+const DECODERS = {
+    'application/json': decodeJson
+};
+
+/**
+ * @private
+ * @constant
+ * @description Prefix of every Kubernetes protobuf response ("k8s" followed by a zero byte)
+ * @type {Buffer}
+ */
+const PROTOBUF_MAGIC = Buffer.from([0x6b, 0x38, 0x73, 0x00]);
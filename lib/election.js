@@ -0,0 +1,566 @@
+'use strict';
+require('sugar');
+var EventEmitter = require('events')
+  , os = require('os')
+  , crypto = require('crypto')
+  , Promise = require('bluebird')
+  , endpoints = require('./endpoints')
+  , errors = require('./errors');
+
+/**
+ * @private
+ * @name EventEmitter
+ * @property prototype
+ */
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:election
+ * @description Initialize a new `LeaderElector` for the given client
+ *
+ * @param {module:client.KubernetesClient} client - Client used to read and write the lock object
+ * @param {object} options - Leader election options (see [LeaderElector]{@link module:election~LeaderElector})
+ *
+ * @returns {module:election~LeaderElector}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+/**
+ * @module election
+ * @description Leader Election Module
+ */
+module.exports = function CreateLeaderElector(client, options) {
+    return new LeaderElector(client, options);
+};
+module.exports.LeaderElector = LeaderElector;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:election
+ * @extends EventEmitter
+ *
+ * @summary Leader election with a lock object on the API server
+ * @classdesc Elects a single leader among all replicas which share the same lock object
+ *
+ * The leader election record is stored in the `control-plane.alpha.kubernetes.io/leader` annotation of a ConfigMap or
+ * Endpoints object, or in the spec of a Lease object, in the same format used by the Kubernetes controller manager.
+ * Changes to the record are written with the `resourceVersion` of the object that was read, so the API server rejects
+ * all but one of any concurrent attempts to acquire or renew the lock.
+ *
+ * The lock is considered to be held by another replica until the record has not changed for `leaseDuration`
+ * milliseconds, measured with the local clock. While leading, the record is renewed every `retryPeriod` milliseconds;
+ * if it cannot be renewed within `renewDeadline` milliseconds, leadership is given up and the elector tries to acquire
+ * the lock again.
+ *
+ * @description Initialize a new `LeaderElector` object.
+ *
+ * @param {module:client.KubernetesClient} client - Client used to read and write the lock object
+ * @param {object} options - Leader election options
+ * @param {string} options.name - Name of the lock object
+ * @param {?string} [options.namespace] - Namespace of the lock object (defaults to the client namespace)
+ * @param {string|module:endpoints~Endpoint} [options.lock='leases'] - Type of the lock object (`leases`,
+ * `configmaps` or `endpoints`) or the endpoint of a custom lock resource with the same layout as a ConfigMap
+ * @param {string} [options.identity] - Unique identity of this replica (defaults to the host name and a random suffix)
+ * @param {number} [options.leaseDuration=15000] - Time in milliseconds after which an unrenewed lock may be taken over
+ * @param {number} [options.renewDeadline=10000] - Time in milliseconds the leader keeps trying to renew the lock
+ * @param {number} [options.retryPeriod=2000] - Time in milliseconds between attempts to acquire or renew the lock
+ *
+ * @fires event:started-leading
+ * @fires event:stopped-leading
+ * @fires event:new-leader
+ * @fires event:error
+ *
+ * @throws {module:errors.ParameterError}
+ */
+function LeaderElector(client, options) {
+    EventEmitter.call(this);
+    options = options || {};
+    if (!options.name) {
+        throw new errors.ParameterError('name');
+    }
+    /**
+     * @name client
+     * @memberof module:election~LeaderElector#
+     * @description Client used to read and write the lock object
+     * @type {module:client.KubernetesClient}
+     */
+    Object.defineProperty(this, 'client', { value: client });
+    /**
+     * @name name
+     * @memberof module:election~LeaderElector#
+     * @description Name of the lock object
+     * @type {string}
+     */
+    Object.defineProperty(this, 'name', { enumerable: true, value: options.name });
+    /**
+     * @name namespace
+     * @memberof module:election~LeaderElector#
+     * @description Namespace of the lock object
+     * @type {string}
+     */
+    Object.defineProperty(this, 'namespace', { enumerable: true, value: options.namespace || client.config.namespace });
+    /**
+     * @name lock
+     * @memberof module:election~LeaderElector#
+     * @description Type of the lock object
+     * @type {string}
+     */
+    Object.defineProperty(this, 'lock', {
+        enumerable: true
+        , value: (options.lock && typeof options.lock === 'object') ?
+            options.lock.resource : (options.lock || 'leases').toLowerCase()
+    });
+    /**
+     * @private
+     * @name endpoint
+     * @memberof module:election~LeaderElector#
+     * @description Endpoint of the lock object
+     * @type {module:endpoints~Endpoint}
+     */
+    Object.defineProperty(this, 'endpoint', { value: getEndpoint(client, options.lock) });
+    /**
+     * @name identity
+     * @memberof module:election~LeaderElector#
+     * @description Unique identity of this replica
+     * @type {string}
+     */
+    Object.defineProperty(this, 'identity', {
+        enumerable: true
+        , value: options.identity || os.hostname() + '_' + crypto.randomBytes(6).toString('hex')
+    });
+    /**
+     * @name leaseDuration
+     * @memberof module:election~LeaderElector#
+     * @description Time in milliseconds after which an unrenewed lock may be taken over
+     * @type {number}
+     */
+    Object.defineProperty(this, 'leaseDuration', { enumerable: true, value: options.leaseDuration || LEASE_DURATION });
+    /**
+     * @name renewDeadline
+     * @memberof module:election~LeaderElector#
+     * @description Time in milliseconds the leader keeps trying to renew the lock
+     * @type {number}
+     */
+    Object.defineProperty(this, 'renewDeadline', { enumerable: true, value: options.renewDeadline || RENEW_DEADLINE });
+    /**
+     * @name retryPeriod
+     * @memberof module:election~LeaderElector#
+     * @description Time in milliseconds between attempts to acquire or renew the lock
+     * @type {number}
+     */
+    Object.defineProperty(this, 'retryPeriod', { enumerable: true, value: options.retryPeriod || RETRY_PERIOD });
+    if (this.renewDeadline >= this.leaseDuration) {
+        throw new errors.ParameterError('renewDeadline');
+    }
+    /**
+     * @name isLeader
+     * @memberof module:election~LeaderElector#
+     * @description If true then this replica currently holds the lock
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'isLeader', { writable: true, value: false });
+    /**
+     * @name leader
+     * @memberof module:election~LeaderElector#
+     * @description Identity of the last observed leader
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'leader', { writable: true, value: null });
+    /**
+     * @name started
+     * @memberof module:election~LeaderElector#
+     * @description If true then the elector is trying to acquire or renew the lock
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'started', { writable: true, value: false });
+    /**
+     * @private
+     * @name observed
+     * @memberof module:election~LeaderElector#
+     * @description Last observed leader election record, and the local time it was first observed
+     * @type {?{record: object, time: number}}
+     */
+    Object.defineProperty(this, 'observed', { writable: true, value: null });
+    /**
+     * @private
+     * @name renewed
+     * @memberof module:election~LeaderElector#
+     * @description Local time of the last successful renewal
+     * @type {number}
+     */
+    Object.defineProperty(this, 'renewed', { writable: true, value: 0 });
+    /**
+     * @private
+     * @name timer
+     * @memberof module:election~LeaderElector#
+     * @description Timer for the next attempt to acquire or renew the lock
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'timer', { writable: true, value: null });
+    /**
+     * @private
+     * @name pending
+     * @memberof module:election~LeaderElector#
+     * @description Promise of the current attempt to acquire or renew the lock
+     * @type {Promise}
+     */
+    Object.defineProperty(this, 'pending', { writable: true, value: Promise.resolve() });
+    /**
+     * @private
+     * @name log
+     * @memberof module:election~LeaderElector#
+     * @description Bunyan logger for the LeaderElector
+     * @type {bunyan}
+     */
+    Object.defineProperty(this, 'log', { value: client.config.log.child({
+        lock: this.lock + '/' + this.name
+        , identity: this.identity
+    })});
+}
+LeaderElector.prototype = Object.create(EventEmitter.prototype);
+LeaderElector.prototype.constructor = LeaderElector;
+Object.defineProperty(LeaderElector.prototype, 'toString', { value: function () {
+    /** @this {module:election~LeaderElector} */
+    return '[LeaderElector ' + this.lock + '/' + this.name + ']';
+}});
+
+/**
+ * @public
+ * @description Start trying to acquire the lock
+ *
+ * Repeated calls return immediately.
+ */
+LeaderElector.prototype.start = function () {
+    if (this.started) return;
+    this.started = true;
+    this.log.info('starting leader election');
+    this.schedule(0);
+};
+
+/**
+ * @public
+ * @description Stop the leader election and release the lock if it is held
+ *
+ * The lock is released by clearing the holder identity of the record, so another replica can take over without
+ * waiting for the lease to expire.
+ *
+ * @param {function} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise} Resolves once the lock has been released
+ */
+LeaderElector.prototype.stop = function (next) {
+    var self = this;
+    if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    this.started = false;
+    return this.pending.then(function () {
+        if (!self.isLeader) return;
+        return self.release();
+    }).nodeify(next);
+};
+
+/**
+ * @private
+ * @description Schedule the next attempt to acquire or renew the lock
+ *
+ * @param {number} delay - Delay in milliseconds
+ */
+LeaderElector.prototype.schedule = function (delay) {
+    var self = this;
+    if (!this.started) return;
+    this.timer = setTimeout(function () {
+        self.timer = null;
+        self.pending = self.tryAcquireOrRenew().then(function (acquired) {
+            var now = Date.now();
+            if (acquired) {
+                self.renewed = now;
+                if (!self.isLeader) {
+                    self.isLeader = true;
+                    self.log.info('started leading');
+                    /**
+                     * This replica has acquired the lock
+                     * @event started-leading
+                     */
+                    self.emit('started-leading');
+                }
+            } else if (self.isLeader && (self.leader !== self.identity || now - self.renewed >= self.renewDeadline)) {
+                // The lock has been taken over, or could not be renewed in time
+                self.stepDown();
+            }
+            self.schedule(self.retryPeriod);
+        });
+    }, delay);
+};
+
+/**
+ * @private
+ * @description Attempt to acquire or renew the lock
+ *
+ * Errors are logged and emitted, and count as a failed attempt.
+ *
+ * @returns {Promise.<boolean>} True if this replica holds the lock
+ */
+LeaderElector.prototype.tryAcquireOrRenew = function () {
+    var self = this
+      , now = Date.now()
+      , opts = { namespace: this.namespace };
+    return this.endpoint.get(this.name, opts).catch(function (error) {
+        if (errors.isNotFound(error)) return null;
+        throw error;
+    }).then(function (object) {
+        var record = {
+            holderIdentity: self.identity
+            , leaseDurationSeconds: Math.ceil(self.leaseDuration / 1000)
+            , acquireTime: new Date(now)
+            , renewTime: new Date(now)
+            , leaderTransitions: 0
+        };
+
+        // Create the lock object if it does not exist yet
+        if (!object) {
+            return self.endpoint.create(self.lockObject(null, record), opts).then(function () {
+                self.observe(record, now);
+                return true;
+            });
+        }
+
+        // Check whether the lock is held by another replica
+        var current = self.getRecord(object);
+        if (current) {
+            self.observe(current, now);
+            if (current.holderIdentity && current.holderIdentity !== self.identity &&
+                self.observed.time + current.leaseDurationSeconds * 1000 > now) {
+                return false;
+            }
+            if (current.holderIdentity === self.identity) {
+                record.acquireTime = current.acquireTime;
+                record.leaderTransitions = current.leaderTransitions || 0;
+            } else {
+                record.leaderTransitions = (current.leaderTransitions || 0) + 1;
+            }
+        }
+
+        // Write the new record (fails if the lock object has been changed since it was read)
+        return self.endpoint.update(self.name, self.lockObject(object, record), opts).then(function () {
+            self.observe(record, now);
+            return true;
+        });
+    }).catch(function (error) {
+        if (errors.isConflict(error) || errors.isAlreadyExists(error)) {
+            // Another replica has changed the lock object first
+            self.log.debug('lock object has been changed by another replica');
+        } else {
+            self.log.warn(error, 'unable to acquire or renew lock');
+            /**
+             * Error while reading or writing the lock object
+             * @event error
+             * @type {Error}
+             */
+            if (self.listeners('error').length > 0) self.emit('error', error);
+        }
+        return false;
+    });
+};
+
+/**
+ * @private
+ * @description Release the lock held by this replica
+ *
+ * @returns {Promise}
+ */
+LeaderElector.prototype.release = function () {
+    var self = this
+      , now = new Date()
+      , opts = { namespace: this.namespace };
+    return this.endpoint.get(this.name, opts).then(function (object) {
+        var current = self.getRecord(object);
+        if (!current || current.holderIdentity !== self.identity) return;
+        return self.endpoint.update(self.name, self.lockObject(object, {
+            holderIdentity: ''
+            , leaseDurationSeconds: 1
+            , acquireTime: now
+            , renewTime: now
+            , leaderTransitions: current.leaderTransitions || 0
+        }), opts);
+    }).catch(function (error) {
+        self.log.warn(error, 'unable to release lock');
+    }).finally(function () {
+        self.log.info('released lock');
+        self.stepDown();
+    });
+};
+
+/**
+ * @private
+ * @description Give up leadership
+ */
+LeaderElector.prototype.stepDown = function () {
+    if (!this.isLeader) return;
+    this.isLeader = false;
+    this.log.info('stopped leading');
+    /**
+     * This replica no longer holds the lock
+     * @event stopped-leading
+     */
+    this.emit('stopped-leading');
+};
+
+/**
+ * @private
+ * @description Remember the last observed record and announce leadership changes
+ *
+ * @param {object} record - Leader election record
+ * @param {number} now - Local time of the observation
+ */
+LeaderElector.prototype.observe = function (record, now) {
+    if (!this.observed || JSON.stringify(this.observed.record) !== JSON.stringify(record)) {
+        this.observed = { record: record, time: now };
+    }
+    if (record.holderIdentity && record.holderIdentity !== this.leader) {
+        this.leader = record.holderIdentity;
+        /**
+         * A new leader has been observed
+         * @event new-leader
+         * @type {string}
+         */
+        this.emit('new-leader', this.leader);
+    }
+};
+
+/**
+ * @private
+ * @description Read the leader election record from the lock object
+ *
+ * @param {KubernetesResource} object - Lock object
+ *
+ * @returns {?object} Leader election record
+ */
+LeaderElector.prototype.getRecord = function (object) {
+    if (this.lock === 'leases') {
+        var spec = object.spec || {};
+        if (!spec.holderIdentity && !spec.renewTime) return null;
+        return {
+            holderIdentity: spec.holderIdentity || ''
+            , leaseDurationSeconds: spec.leaseDurationSeconds
+            , acquireTime: spec.acquireTime
+            , renewTime: spec.renewTime
+            , leaderTransitions: spec.leaseTransitions
+        };
+    }
+    var annotation = ((object.metadata || {}).annotations || {})[LEADER_ANNOTATION];
+    if (!annotation) return null;
+    try {
+        return JSON.parse(annotation);
+    } catch (error) {
+        this.log.warn({ error: error, annotation: annotation }, 'ignoring invalid leader election record');
+        return null;
+    }
+};
+
+/**
+ * @private
+ * @description Build the lock object with the given leader election record
+ *
+ * @param {?KubernetesResource} object - Current lock object (null to create a new one)
+ * @param {object} record - Leader election record
+ *
+ * @returns {KubernetesResource}
+ */
+LeaderElector.prototype.lockObject = function (object, record) {
+    object = object ? Object.clone(object, true) : { metadata: { name: this.name, namespace: this.namespace } };
+    if (this.lock === 'leases') {
+        object.spec = Object.merge(object.spec || {}, {
+            holderIdentity: record.holderIdentity
+            , leaseDurationSeconds: record.leaseDurationSeconds
+            , acquireTime: microTime(record.acquireTime)
+            , renewTime: microTime(record.renewTime)
+            , leaseTransitions: record.leaderTransitions
+        });
+    } else {
+        object.metadata.annotations = object.metadata.annotations || {};
+        object.metadata.annotations[LEADER_ANNOTATION] = JSON.stringify({
+            holderIdentity: record.holderIdentity
+            , leaseDurationSeconds: record.leaseDurationSeconds
+            , acquireTime: new Date(record.acquireTime).toISOString().replace(/\.\d+Z$/, 'Z')
+            , renewTime: new Date(record.renewTime).toISOString().replace(/\.\d+Z$/, 'Z')
+            , leaderTransitions: record.leaderTransitions
+        });
+    }
+    return object;
+};
+
+/**
+ * @private
+ * @description Get the endpoint for the given lock type
+ *
+ * Lease objects are not part of the core API, so an endpoint for the `coordination.k8s.io/v1` API is created.
+ *
+ * @param {module:client.KubernetesClient} client - Client used to read and write the lock object
+ * @param {?string|module:endpoints~Endpoint} lock - Type of the lock object or a custom endpoint
+ *
+ * @returns {module:endpoints~Endpoint}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+function getEndpoint(client, lock) {
+    if (typeof lock === 'object' && lock !== null) return lock;
+    switch ((lock || 'leases').toLowerCase()) {
+        case 'leases':
+            return endpoints(client, 'leases', null, { version: 'coordination.k8s.io/v1' });
+        case 'configmaps':
+            return client.configMaps;
+        case 'endpoints':
+            return client.endpoints;
+        default:
+            throw new errors.ParameterError('lock');
+    }
+}
+
+/**
+ * @private
+ * @description Format a time as a Kubernetes MicroTime string
+ *
+ * @param {Date|string} time - Time to format
+ *
+ * @returns {string}
+ */
+function microTime(time) {
+    return new Date(time).toISOString().replace(/Z$/, '000Z');
+}
+
+/**
+ * @private
+ * @constant
+ * @description Annotation of ConfigMap and Endpoints lock objects which stores the leader election record
+ * @type {string}
+ */
+const LEADER_ANNOTATION = 'control-plane.alpha.kubernetes.io/leader';
+
+/**
+ * @private
+ * @constant
+ * @description Default time in milliseconds after which an unrenewed lock may be taken over
+ * @type {number}
+ */
+const LEASE_DURATION = 15000;
+
+/**
+ * @private
+ * @constant
+ * @description Default time in milliseconds the leader keeps trying to renew the lock
+ * @type {number}
+ */
+const RENEW_DEADLINE = 10000;
+
+/**
+ * @private
+ * @constant
+ * @description Default time in milliseconds between attempts to acquire or renew the lock
+ * @type {number}
+ */
+const RETRY_PERIOD = 2000;
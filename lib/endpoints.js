@@ -1,8 +1,16 @@
 'use strict';
 require('sugar');
 var EventEmitter = require('events')
+  , StringDecoder = require('string_decoder').StringDecoder
   , Promise = require('bluebird')
   , request = require('request')
+  , backoff = require('./backoff')
+  , informer = require('./informer')
+  , retry = require('./retry')
+  , middleware = require('./middleware')
+  , channels = require('./channels')
+  , logs = require('./logs')
+  , content = require('./content')
   , errors  = require('./errors');
 
 /**
@@ -36,6 +44,9 @@ module.exports = function CreateEndpoint(client, resource, nested, options) {
         case 'nodes':
             endpoint = NodesEndpoint;
             break;
+        case 'pods':
+            endpoint = PodsEndpoint;
+            break;
         case 'replicationControllers':
             endpoint = ReplicationControllersEndpoint;
             break;
@@ -45,6 +56,32 @@ module.exports = function CreateEndpoint(client, resource, nested, options) {
     }
     return new endpoint(client, resource, nested, options);
 };
+module.exports.Endpoint = Endpoint;
+module.exports.WatchDecoder = WatchDecoder;
+
+/**
+ * @static
+ * @function
+ * @memberof module:endpoints
+ * @description Create a copy of the endpoint which makes its requests through another client
+ *
+ * The copy (and each of its nested endpoints) inherits everything else from the original endpoint.
+ *
+ * @param {module:endpoints~Endpoint} endpoint - Original endpoint
+ * @param {module:client.KubernetesClient} client - Client for the copy
+ *
+ * @returns {module:endpoints~Endpoint}
+ */
+module.exports.derive = function DeriveEndpoint(endpoint, client) {
+    var derived = Object.create(endpoint);
+    Object.defineProperty(derived, 'client', { value: client });
+    Object.keys(endpoint, function (key, nested) {
+        if (nested instanceof Endpoint) {
+            Object.defineProperty(derived, key, { enumerable: true, value: DeriveEndpoint(nested, client) });
+        }
+    });
+    return derived;
+};
 
 /**
  * @class
@@ -67,7 +104,8 @@ module.exports = function CreateEndpoint(client, resource, nested, options) {
  * @param {?object} [options] - Sets `Endpoint#[options]{@link module:endpoints~Endpoint#options}`
  * @param {string} options.version - API version name
  * @param {string} [options.prefix] - Custom API prefix
- * @param {string[]} [options.methods] - If defined, only the listed base methods will be available to the Endpoint
+ * @param {string[]} [options.methods] - If defined, only the listed base methods (and the methods derived from them)
+ * will be available to the Endpoint
  */
 function Endpoint(client, resource, nested, options) {
     var self = this;
@@ -112,9 +150,10 @@ function Endpoint(client, resource, nested, options) {
 
     // Add nested resource endpoints
     (nested || []).each(function (each) {
+        var NestedEndpoint = (each.resource === 'log') ? LogEndpoint : Endpoint;
         Object.defineProperty(self, each.resource, {
             enumerable: true
-            , value: new Endpoint(self.client, self.resource, null, Object.merge({
+            , value: new NestedEndpoint(self.client, self.resource, null, Object.merge({
                 child: each.resource
                 , methods: each.methods
             }, self.options, true, false))
@@ -124,7 +163,9 @@ function Endpoint(client, resource, nested, options) {
     // Remove invalid methods from endpoints
     if (this.options.methods) {
         Object.keys(Object.getPrototypeOf(this), function (each) {
-            if (self.options.methods.none(each)) {
+            // Methods built on other methods are available only if all of those are
+            var required = DERIVED_METHODS[each] || [each];
+            if (!required.all(function (method) { return self.options.methods.any(method); })) {
                 Object.defineProperty(self, each, { value: undefined });
             }
         });
@@ -155,9 +196,15 @@ Object.defineProperty(Endpoint.prototype, 'toString', { value: function () {
  * @param {?object} opts - Method options
  * @param {boolean} [opts.verbose=false] - Return full response instead of body only
  * @param {?string} [opts.child] - Name of nested child resource
+ * @param {?boolean|number|object} [opts.retry] - Retry policy overrides (see
+ * [ClientConfig#retry]{@link module:client~ClientConfig#retry})
+ * @param {?string|object} [opts.impersonate] - User to impersonate instead of the client's user (see
+ * [ClientConfig#impersonate]{@link module:client~ClientConfig#impersonate}), or `null` to not impersonate anyone
+ * @param {string} [opts.responseType='auto'] - Decode the response body according to its `Content-Type` (`auto`), or
+ * as `json`, `text` or a `buffer` (see [content]{@link module:content})
  * @param {?function|*} next - Node.js callback (replaces Promise output)
  *
- * @returns {?Promise.<KubernetesResource|KubernetesList>} Promise of the response body from the API server
+ * @returns {?Promise.<KubernetesResource|KubernetesList|string|Buffer>} Promise of the response body
  */
 function baseRequest(self, method, query, body, opts, next) {
     if (typeof opts === 'function') {
@@ -167,6 +214,13 @@ function baseRequest(self, method, query, body, opts, next) {
     return self.client.authenticate().then(function (config) {
         // Safely merge options objects - precedence: request > endpoint > default
         opts = Object.merge(Object.clone(self.options || {}), opts || {}, true);
+        var policy = retry.createPolicy(opts.retry, config.retry);
+        delete opts.retry;
+        var responseType = opts.responseType || 'auto';
+        delete opts.responseType;
+        if (!content.supports(responseType)) {
+            throw new errors.ClientError('unsupported responseType: \'' + responseType + '\'');
+        }
         
         // Collapse and parse request options
         opts = parseOptions(Object.merge({
@@ -175,25 +229,36 @@ function baseRequest(self, method, query, body, opts, next) {
             , method: method
             , body: body
         }, opts, true), config);
+        if (!opts.hasOwnProperty('encoding')) {
+            // Keep binary response bodies intact until their content type has been checked
+            opts.encoding = null;
+        }
 
-        // Send request to API server
-        return requestAsync(opts).catch(function (error) {
-            if (error.statusCode == 401) {
-                // Refresh the auth token and repeat the request
-                return self.client.authenticate(true).then(function (config) {
-                    /** @name opts.headers */
-                    opts.headers.Authorization = 'Bearer ' + config.token;
-                    return requestAsync(opts);
+        // Send request to API server through the client middleware and within the client rate limits, repeating it
+        // after transient failures
+        function send() {
+            return middleware(config.middleware, opts, function (options) {
+                return config.limiter.schedule(function () {
+                    return requestAsync(options, function (response) {
+                        return content(response, responseType, config.decoders);
+                    });
                 });
-            } else {
-                throw error;
-            }
-        });
-    }).then(function (response) {
-        // Coerce response body into JSON
-        if (typeof response.body === 'string') {
-            response.body = JSON.parse(response.body);
+            }, { type: 'request', resource: self.resource });
         }
+        return retry(function () {
+            return send().catch(function (error) {
+                if (error.statusCode == 401) {
+                    // Refresh the auth token (unless another request already has) and repeat the request
+                    return self.client.authenticate((opts.auth && opts.auth.bearer) || true).then(function (config) {
+                        opts = config.authProvider.apply(opts, config);
+                        return send();
+                    });
+                } else {
+                    throw error;
+                }
+            });
+        }, method, policy, self._log);
+    }).then(function (response) {
         self._log.info({opts: opts});
         return (opts.verbose) ? response : response.body;
     }).catch(function (error) {
@@ -205,6 +270,7 @@ function baseRequest(self, method, query, body, opts, next) {
                 , options: opts
             }, null);
         }
+        throw error;
     }).nodeify(next);
 }
 
@@ -286,18 +352,88 @@ Endpoint.prototype.update = function (query, body, opts, next) {
     return baseRequest(this, 'PUT', query, body, opts, next);
 };
 
+/**
+ * @public
+ * @description Update resource on the API server with optimistic concurrency
+ *
+ * Gets the latest state of the resource, applies the mutator function to it, and sends the result with the
+ * `resourceVersion` that was read. If the resource has been changed by someone else in the meantime, the API server
+ * responds with a [ConflictError]{@link module:errors.ConflictError}, and the whole process is repeated after a backoff
+ * delay (up to `retryCount` times).
+ *
+ * The mutator function is called with a copy of the resource, which it may change in place or replace by returning a
+ * new object (or a `Promise` of one).
+ *
+ * @example
+ * client.configMaps.modify('settings', function (cm) {
+ *     cm.data.mode = 'fast';
+ * });
+ *
+ * @param {string} query - Server resource name
+ * @param {function} mutator - Applies the changes to the resource
+ * @param {?object} [opts] - Method options
+ * @param {number} [opts.retryCount=5] - Maximum number of retries after a conflict
+ * @param {object} [opts.backoff] - Retry backoff policy (see [backoff]{@link module:backoff})
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ *
+ * @this {module:endpoints~Endpoint}
+ *
+ * @returns {?Promise.<KubernetesResource>}
+ */
+Endpoint.prototype.modify = function (query, mutator, opts, next) {
+    var self = this;
+    if (typeof opts === 'function') {
+        next = opts;    // Parameter 'opts' is optional and can be safely dropped
+        opts = null;    // modify(query, mutator, next)
+    }
+    opts = Object.clone(opts || {}, true);
+    var retryCount = typeof opts.retryCount === 'number' ? opts.retryCount : CONFLICT_RETRIES
+      , policy = backoff(opts.backoff);
+    delete opts.retryCount;
+    delete opts.backoff;
+
+    function attempt() {
+        return self.get(query, opts).then(function (current) {
+            var object = Object.clone(current, true);
+            return Promise.resolve(mutator(object)).then(function (result) {
+                object = result || object;
+                object.metadata = Object.merge(object.metadata || {}, {
+                    resourceVersion: current.metadata.resourceVersion
+                });
+                return self.update(query, object, opts);
+            });
+        }).catch(function (error) {
+            if (!errors.isConflict(error) || policy.attempts >= retryCount) throw error;
+            var delay = policy.next();
+            self._log.info({query: query, attempt: policy.attempts, delay: delay}, 'conflict, retrying modification');
+            return Promise.delay(delay).then(attempt);
+        });
+    }
+    return attempt().nodeify(next);
+};
+
 /**
  * @public
  * @description Partially update resource on the API server
  *
  * Corresponds to the 'PATCH' http method.
  *
- * Currently only the `application/strategic-merge-patch+json` content type is supported by default, but other types may
- * be used by manually setting the `Content-Type` header in the method options.
+ * The patch format is selected with the `patchType` option, which sets the matching `Content-Type` header:
+ *
+ * - `strategic` (default) - Strategic merge patch (`application/strategic-merge-patch+json`)
+ * - `merge` - JSON merge patch, RFC 7386 (`application/merge-patch+json`)
+ * - `json` - JSON patch, RFC 6902, given as an array of operations (`application/json-patch+json`)
+ * - `apply` - Server-side apply of the full intended state (`application/apply-patch+yaml`)
+ *
+ * Other types may be used by manually setting the `Content-Type` header in the method options.
  * 
  * @param {string} query - Server resource resource
- * @param {object} body - Resource patch to send
+ * @param {object|object[]} body - Resource patch to send
  * @param {?object} [opts] - Method options
+ * @param {string} [opts.patchType='strategic'] - Patch format (`strategic`, `merge`, `json` or `apply`)
+ * @param {string} [opts.fieldManager] - Name of the actor making the change (defaults to `cisco-kube-client` for
+ * server-side apply)
+ * @param {boolean} [opts.force=false] - Take ownership of fields managed by other actors (server-side apply only)
  * @param {?function|*} [next] - Node.js callback (replaces Promise output)
  *
  * @this {module:endpoints~Endpoint}
@@ -312,6 +448,49 @@ Endpoint.prototype.patch = function (query, body, opts, next) {
     return baseRequest(this, 'PATCH', query, body, opts, next);
 };
 
+/**
+ * @public
+ * @description Apply the intended state of a resource on the API server
+ *
+ * Corresponds to the 'PATCH' http method with the `application/apply-patch+yaml` content type (server-side apply).
+ *
+ * The resource name and namespace are taken from the object's metadata, and missing `apiVersion` and `kind` fields are
+ * filled in from the endpoint. The resource is created if it does not exist yet.
+ *
+ * @param {KubernetesResource} body - Intended state of the resource
+ * @param {?object} [opts] - Method options
+ * @param {string} [opts.fieldManager='cisco-kube-client'] - Name of the actor making the change
+ * @param {boolean} [opts.force=false] - Take ownership of fields managed by other actors
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ *
+ * @this {module:endpoints~Endpoint}
+ *
+ * @returns {?Promise.<KubernetesResource>}
+ */
+Endpoint.prototype.apply = function (body, opts, next) {
+    if (typeof opts === 'function') {
+        next = opts;    // Parameter 'opts' is optional and can be safely dropped
+        opts = null;    // apply(body, next)
+    }
+    var metadata = (body && body.metadata) || {};
+    if (!metadata.name) {
+        return Promise.reject(new errors.ParameterError('metadata.name')).nodeify(next);
+    }
+    opts = Object.merge({ patchType: 'apply' }, opts || {}, true);
+    if (metadata.namespace && !opts.hasOwnProperty('namespace')) {
+        opts.namespace = metadata.namespace;
+    }
+    body = Object.merge({
+        apiVersion: this.options.version
+        , kind: ((this.client.spec || {})[this.resource] || {}).kind
+    }, body, true);
+    this._log.info({
+        query: metadata.name
+        , namespace: opts.namespace || this.client.config.namespace
+    }, 'applying ' + this.resource);
+    return baseRequest(this, 'PATCH', metadata.name, body, opts, next);
+};
+
 /**
  * @public
  * @description Delete resource on the API server
@@ -334,6 +513,217 @@ Endpoint.prototype.delete = function (query, opts, next) {
     return baseRequest(this, 'DELETE', query, null, opts, next);
 };
 
+/**
+ * @public
+ * @description Request a list of server resources in pages
+ *
+ * Corresponds to the 'GET' http method with the `limit` and `continue` query parameters set.
+ *
+ * Returns a [ListIterator]{@link module:endpoints~ListIterator} over the listed resources. No request is sent until the
+ * first resource is requested from the iterator, and each following page is requested once all resources of the
+ * previous page have been consumed. The iterator supports `for await` loops where async iteration is available.
+ *
+ * @example
+ * client.pods.list({ limit: 500 }).each(function (pod) {
+ *     console.log(pod.metadata.name);
+ * });
+ *
+ * @param {?object} [opts] - Method options
+ * @param {number} [opts.limit=500] - Maximum number of resources per page
+ * @param {boolean} [opts.restart=false] - Restart the list from the beginning if the continue token expires (resources
+ * may then be returned more than once); otherwise a [ListExpiredError]{@link module:errors.ListExpiredError} is raised
+ *
+ * @this {module:endpoints~Endpoint}
+ *
+ * @returns {module:endpoints~ListIterator}
+ */
+Endpoint.prototype.list = function (opts) {
+    return new ListIterator(this, opts);
+};
+
+/**
+ * @class
+ * @inner
+ * @memberof module:endpoints
+ *
+ * @summary Iterator for paginated lists
+ * @classdesc Requests the pages of a list of server resources as they are consumed
+ *
+ * Implements the async iterator protocol: `next` returns a `Promise` of `{value, done}`.
+ *
+ * @description Initialize a new `ListIterator` object.
+ *
+ * @param {module:endpoints~Endpoint} endpoint - Endpoint of the listed resources
+ * @param {?object} [opts] - Method options (see [Endpoint#list]{@link module:endpoints~Endpoint#list})
+ */
+function ListIterator(endpoint, opts) {
+    opts = Object.clone(opts || {}, true);
+    /**
+     * @private
+     * @name endpoint
+     * @memberof module:endpoints~ListIterator#
+     * @description Endpoint of the listed resources
+     * @type {module:endpoints~Endpoint}
+     */
+    Object.defineProperty(this, 'endpoint', { value: endpoint });
+    /**
+     * @name limit
+     * @memberof module:endpoints~ListIterator#
+     * @description Maximum number of resources per page
+     * @type {number}
+     */
+    Object.defineProperty(this, 'limit', { enumerable: true, value: opts.limit || LIST_LIMIT });
+    /**
+     * @name restart
+     * @memberof module:endpoints~ListIterator#
+     * @description If true then the list is restarted when the continue token expires
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'restart', { enumerable: true, value: !!opts.restart });
+    delete opts.limit;
+    delete opts.restart;
+    delete opts.verbose;
+    /**
+     * @private
+     * @name options
+     * @memberof module:endpoints~ListIterator#
+     * @description Options for each page request
+     * @type {object}
+     */
+    Object.defineProperty(this, 'options', { value: opts });
+    /**
+     * @private
+     * @name items
+     * @memberof module:endpoints~ListIterator#
+     * @description Resources of the current page which have not been consumed yet
+     * @type {KubernetesResource[]}
+     */
+    Object.defineProperty(this, 'items', { writable: true, value: [] });
+    /**
+     * @name continue
+     * @memberof module:endpoints~ListIterator#
+     * @description Continue token for the next page (null if the list has not been started or is complete)
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'continue', { writable: true, value: null });
+    /**
+     * @name resourceVersion
+     * @memberof module:endpoints~ListIterator#
+     * @description Resource version of the list
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'resourceVersion', { writable: true, value: null });
+    /**
+     * @name done
+     * @memberof module:endpoints~ListIterator#
+     * @description If true then the last page has been requested
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'done', { writable: true, value: false });
+    /**
+     * @private
+     * @name pending
+     * @memberof module:endpoints~ListIterator#
+     * @description Promise of the last request of the iterator (requests are sent one at a time)
+     * @type {Promise}
+     */
+    Object.defineProperty(this, 'pending', { writable: true, value: Promise.resolve() });
+}
+Object.defineProperty(ListIterator.prototype, 'toString', { value: function () {
+    /** @this {module:endpoints~ListIterator} */
+    return '[ListIterator ' + this.endpoint.resource + ']';
+}});
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    Object.defineProperty(ListIterator.prototype, Symbol.asyncIterator, { value: function () {
+        return this;
+    }});
+}
+
+/**
+ * @public
+ * @description Get the next listed resource
+ *
+ * @returns {Promise.<{value: ?KubernetesResource, done: boolean}>}
+ */
+ListIterator.prototype.next = function () {
+    return this.nextPage(1).then(function (items) {
+        return items ? { value: items[0], done: false } : { value: undefined, done: true };
+    });
+};
+
+/**
+ * @public
+ * @description Call the iterator function for each listed resource in order
+ *
+ * If the iterator function returns a `Promise`, the next resource is not processed until it has resolved.
+ *
+ * @param {function} fn - Iterator function, called with the resource and its index
+ * @param {function} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise.<number>} Number of listed resources
+ */
+ListIterator.prototype.each = function (fn, next) {
+    var self = this
+      , index = 0;
+    function loop() {
+        return self.nextPage().then(function (items) {
+            if (!items) return index;
+            return Promise.each(items, function (item) {
+                return fn(item, index++);
+            }).then(loop);
+        });
+    }
+    return loop().nodeify(next);
+};
+
+/**
+ * @private
+ * @description Consume resources from the current page, requesting the next page if it has been consumed
+ *
+ * @param {number} [count] - Maximum number of resources to consume (defaults to the rest of the page)
+ *
+ * @returns {Promise.<?KubernetesResource[]>} Consumed resources (null once the list is complete)
+ */
+ListIterator.prototype.nextPage = function (count) {
+    var self = this;
+    return (this.pending = this.pending.catch(function () {}).then(function () {
+        return self.items.length > 0 || self.done ? null : self.request();
+    }).then(function () {
+        if (self.items.length === 0) return null;
+        return self.items.splice(0, count || self.items.length);
+    }));
+};
+
+/**
+ * @private
+ * @description Request the next page of the list
+ *
+ * Empty pages are skipped.
+ *
+ * @returns {Promise}
+ *
+ * @throws {module:errors.ListExpiredError}
+ */
+ListIterator.prototype.request = function () {
+    var self = this
+      , qs = { limit: this.limit };
+    if (this.continue) qs.continue = this.continue;
+    return this.endpoint.get(Object.merge(Object.clone(this.options, true), { qs: qs }, true)).then(function (list) {
+        var metadata = list.metadata || {};
+        self.items = list.items || [];
+        self.continue = metadata.continue || null;
+        self.resourceVersion = metadata.resourceVersion || null;
+        self.done = !self.continue;
+        if (self.items.length === 0 && !self.done) return self.request();
+    }).catch(function (error) {
+        if (error.statusCode != 410 || !self.continue || error instanceof errors.ListExpiredError) throw error;
+        if (!self.restart) throw new errors.ListExpiredError(self.endpoint.resource, error);
+        self.endpoint._log.warn({continue: self.continue}, 'list expired, restarting from the beginning');
+        self.continue = null;
+        return self.request();
+    });
+};
+
 /**
  * @public
  * @description Watch server resource(s) for changes
@@ -353,6 +743,8 @@ Endpoint.prototype.delete = function (query, opts, next) {
  * @param {?object|*} [opts] - Method options
  * @param {boolean} [opts.verbose=false] - Return full response instead of body only
  * @param {?string} [opts.child] - Name of nested child resource
+ * @param {number} [opts.maxBufferSize=16777216] - Maximum size in bytes of a single watch event
+ * @param {object} [opts.backoff] - Reconnection backoff policy (see [backoff]{@link module:backoff})
  * @param {?function|*} [next] - Node.js callback (replaces Promise output)
  *
  * @this {module:endpoints~Endpoint}
@@ -370,7 +762,8 @@ Endpoint.prototype.watch = function (query, opts, next) {
         next = opts;    // Parameter 'opts' is optional and can be safely dropped
         opts = null;    // watch(query, next)
     }
-    return this.get(query, opts, next).then(function (response) {
+    var listOpts = Object.reject(opts || {}, 'maxBufferSize', 'backoff');
+    return this.get(query, listOpts, next).then(function (response) {
         // Safely merge options objects - precedence: request > endpoint > default
         opts = Object.merge(Object.merge({timeout: null}, self.options || {}, true, false), opts || {}, true);
         if (opts.hasOwnProperty('verbose')) delete opts.verbose;
@@ -380,11 +773,44 @@ Endpoint.prototype.watch = function (query, opts, next) {
             resource: self.resource
             , query: getPath(query, opts.child)
             , method: 'GET'
-            , qs: { watch: true, resourceVersion: response.metadata.resourceVersion }
-        }, opts, true), self.client.config), self._log);
+            , qs: {
+                watch: true
+                , resourceVersion: response.metadata.resourceVersion
+                , allowWatchBookmarks: true
+            }
+        }, opts, true), self.client.config), self._log, function () {
+            // Get the current state of the resource to resume an expired watch
+            return self.get(query, Object.clone(listOpts, true));
+        }, function (options, send) {
+            // Open each watch socket through the client middleware
+            return middleware(self.client.config.middleware, options, send, { type: 'watch', resource: self.resource });
+        });
     }).nodeify(next);
 };
 
+/**
+ * @public
+ * @description Keep a local cache of server resources up to date
+ *
+ * Returns an [Informer]{@link module:informer~Informer} which lists the resources and watches them for changes once
+ * its `start` method is called. The cached resources are available through its `list`, `get` and `byIndex` methods,
+ * and changes are announced with `add`, `update` and `delete` events.
+ *
+ * @param {?object} [opts] - Informer options (see [Informer]{@link module:informer~Informer})
+ * @param {?string} [opts.namespace] - Namespace to watch (defaults to the client namespace)
+ * @param {object} [opts.labels] - Label selector
+ * @param {object} [opts.fields] - Field selector
+ * @param {object.<string, function>} [opts.indexers] - Secondary index functions by name
+ * @param {number} [opts.resyncPeriod=0] - Interval in milliseconds to replay every cached object as an `update` event
+ *
+ * @this {module:endpoints~Endpoint}
+ *
+ * @returns {module:informer~Informer}
+ */
+Endpoint.prototype.informer = function (opts) {
+    return informer(this, opts);
+};
+
 /**
  * @class
  * @inner
@@ -400,16 +826,24 @@ Endpoint.prototype.watch = function (query, opts, next) {
  * 
  * @param {KubernetesResource|KubernetesList} response - Initial response body
  * @param {object} options - Request options for watch socket
+ * @param {number} [options.maxBufferSize=16777216] - Maximum size in bytes of a single watch event
+ * @param {object} [options.backoff] - Reconnection backoff policy (see [backoff]{@link module:backoff})
  * 
  * @param logger
+ * @param {function} [relist] - Returns a `Promise` of the current state of the resource
+ * @param {function} [intercept] - Passes the request options and the function which opens the watch socket through
+ * the client middleware (see [middleware]{@link module:middleware})
  * 
  * @fires event:response
  * @fires event:create
  * @fires event:update
  * @fires event:delete
+ * @fires event:resync
+ * @fires event:reconnect
+ * @fires event:stop
  * @fires event:error
  */
-function WatchEmitter(response, options, logger) {
+function WatchEmitter(response, options, logger, relist, intercept) {
     EventEmitter.call(this);
     /**
      * @name started
@@ -418,13 +852,75 @@ function WatchEmitter(response, options, logger) {
      * @type {boolean}
      */
     Object.defineProperty(this, 'started', { writable: true, value: false });
+    /**
+     * @name stopped
+     * @memberof module:endpoints~WatchEmitter#
+     * @description If true then the watch has been stopped and will not reconnect
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'stopped', { writable: true, value: false });
     /**
      * @name initialState
      * @memberof module:endpoints~WatchEmitter#
      * @description Initial state of the watched API resource
+     *
+     * This is replaced with the current state whenever the watch is resynchronized after its resource version expired.
+     *
      * @type {KubernetesResource|KubernetesList}
      */
-    Object.defineProperty(this, 'initialState', { enumerable: true, value: response });
+    Object.defineProperty(this, 'initialState', { enumerable: true, writable: true, value: response });
+    /**
+     * @private
+     * @name relist
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Returns a `Promise` of the current state of the watched resource
+     * @type {?function}
+     */
+    Object.defineProperty(this, 'relist', { value: relist || null });
+    /**
+     * @private
+     * @name intercept
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Opens a watch socket through the client middleware
+     * @type {function}
+     */
+    Object.defineProperty(this, 'intercept', {
+        value: intercept || function (options, send) {
+            return Promise.try(send.bind(null, options));
+        }
+    });
+    /**
+     * @private
+     * @name request
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Request for the active watch socket
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'request', { writable: true, value: null });
+    /**
+     * @private
+     * @name attempt
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Identifies the current watch socket, changed whenever the socket is aborted
+     * @type {number}
+     */
+    Object.defineProperty(this, 'attempt', { writable: true, value: 0 });
+    /**
+     * @private
+     * @name retryCount
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Maximum number of consecutive reconnection attempts (null for infinite)
+     * @type {?number}
+     */
+    Object.defineProperty(this, 'retryCount', { writable: true, value: null });
+    /**
+     * @private
+     * @name timer
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Pending reconnection timer
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'timer', { writable: true, value: null });
     /**
      * @name options
      * @memberof module:endpoints~WatchEmitter#
@@ -435,6 +931,23 @@ function WatchEmitter(response, options, logger) {
      * @property {string} qs.resourceVersion - Last known version of the API resource
      */
     Object.defineProperty(this, 'options', { value: Object.clone(options, true) });
+    /**
+     * @name maxBufferSize
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Maximum size in bytes of a single watch event
+     * @type {number}
+     */
+    Object.defineProperty(this, 'maxBufferSize', { value: this.options.maxBufferSize || MAX_BUFFER_SIZE });
+    delete this.options.maxBufferSize;
+    /**
+     * @private
+     * @name backoff
+     * @memberof module:endpoints~WatchEmitter#
+     * @description Backoff policy for reconnecting the watch socket
+     * @type {module:backoff~Backoff}
+     */
+    Object.defineProperty(this, 'backoff', { value: backoff(this.options.backoff) });
+    delete this.options.backoff;
     /**
      * @private
      * @name log
@@ -459,13 +972,15 @@ Object.defineProperty(WatchEmitter.prototype, 'toString', { value: function () {
  * Events will not be sent by the WatchEmitter until this method is called. This allows the caller to set up all event
  * listeners without missing any events.
  * 
- * By default the WatchEmitter will always attempt to reconnect automatically whenever a timeout occurs on the watch
- * socket. This behavior can be changed by specifying the desired `retryCount` parameter. If set, the WatchEmitter will
- * only attempt to reconnect a maximum of `retryCount` times.
+ * By default the WatchEmitter will always attempt to reconnect automatically, resuming from the last known resource
+ * version, whenever the API server closes the watch socket, the connection is reset or times out, or the API server
+ * responds with a 5xx status. Reconnection attempts are delayed using a jittered exponential backoff policy, which is
+ * reset as soon as a watch socket has been established. This behavior can be changed by specifying the desired
+ * `retryCount` parameter. If set, the WatchEmitter will only attempt to reconnect a maximum of `retryCount` times in a
+ * row before it stops.
  * 
  * By default this method will only operate once per WatchEmitter object. Repeated calls will simply return immediately.
- * Set the `force` parameter to `true` to initialize a new watch socket regardless.
- * (WARNING: this may result in multiple events being fired per resource update!)
+ * Set the `force` parameter to `true` to replace the current watch socket with a new one regardless.
  * 
  * @param {?number} [retryCount] - Number of times to reconnect (null for infinite)
  * @param {boolean} [force=false] - Start even if already started
@@ -478,36 +993,90 @@ WatchEmitter.prototype.start = function (retryCount, force) {
     } else {
         this.started = true;
     }
+    if (!force || this.stopped) this.backoff.reset();
+    this.stopped = false;
+    this.retryCount = retryCount;
+    this.abort();
     
     // Request a new watch stream
     this.log.debug({resourceVersion: this.options.qs.resourceVersion}, 'watching changes to resources');
+    var attempt = this.attempt
+      , requestListener = null;
+    this.intercept(Object.clone(this.options, true), function (options) {
+        if (self.attempt !== attempt) {
+            return Promise.reject(new errors.ClientError('watch socket was closed before it was opened'));
+        }
+        return new Promise(function (resolve, reject) {
+            requestListener = self.listen(options);
+            requestListener.on('response', function (response) {
+                var error = errors(null, response);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(response);
+                }
+            }).on('error', reject);
+        });
+    }).catch(function (error) {
+        // Failures of an open watch socket are handled by its own listeners
+        if (self.attempt !== attempt || requestListener) return;
+        if (RECONNECT_ERRORS.indexOf(error.code) !== -1) {
+            self.reconnect(error);
+        } else {
+            self.log.error(error);
+            self.emit('error', error);
+            self.stop();
+        }
+    });
+};
+
+/**
+ * @private
+ * @description Open a new watch socket and propagate its events to the WatchEmitter
+ *
+ * @param {object} options - Request options for the watch socket
+ *
+ * @returns {EventEmitter} Request for the watch socket
+ */
+WatchEmitter.prototype.listen = function (options) {
+    var self = this;
     /** @type {EventEmitter} */
-    var requestListener = request(this.options);
+    var requestListener = this.request = request(options);
     
     // Propagate server response to WatchEmitter
+    var failed = false;
     requestListener.on('response', function (response) {
         var error = errors(null, response);
-        if (error) {
+        if (error && error.statusCode == 410) {
+            // Resource version is too old to start watching from
+            failed = true;
+            self.resync();
+        } else if (error && error.statusCode > 499) {
+            // Server errors are assumed to be temporary
+            failed = true;
+            self.reconnect(error);
+        } else if (error) {
+            failed = true;
             self.log.error(error);
             self.emit('error', error);
+            self.stop();
         }
         /**
          * Response from the API server for the established watch socket
          * @event response
          * @type {object}
          */
-        else self.emit('response', response);
+        else {
+            self.backoff.reset();
+            self.emit('response', response);
+        }
     // Catch watch socket errors
     }).on('error', function (error) {
-        // [DEFAULT] Try again with unlimited retryCount
-        if (retryCount === null && (error.code === 'ESOCKETTIMEDOUT' || error.code === 'ETIMEDOUT')) {
-            self.start(null, true);
+        if (self.request !== requestListener) return;
+        if (RECONNECT_ERRORS.indexOf(error.code) !== -1) {
+            self.reconnect(error);
             
-        // Subtract one from retryCount and try again
-        } else if (retryCount > 0 && (error.code === 'ESOCKETTIMEDOUT' || error.code === 'ETIMEDOUT')) {
-            self.start(--retryCount, true);
-            
-        // Out of attempts or not a timeout - propagate error as a WatchEmitter 'error' event
+        // Not a connection failure - propagate error as a WatchEmitter 'error' event
         } else {
             self.log.error(error);
             /**
@@ -516,100 +1085,477 @@ WatchEmitter.prototype.start = function (retryCount, force) {
              * @type {Error}
              */
             self.emit('error', error);
+            self.stop();
         }
     });
 
-    // Propagate data events to the WatchEmitter
-    var buffer = null;
+    // Decode the newline-delimited watch events and propagate them to the WatchEmitter
+    var decoder = new WatchDecoder(this.maxBufferSize);
     requestListener.on('data', function (data) {
-        // Merge partial data objects
-        if (buffer instanceof Buffer) {
-            buffer = Buffer.concat([buffer, data]);
-        } else {
-            buffer = data;
-        }
-        try {
-            // Emit events for incoming WatchEvent data
-            var updateData = JSON.parse(buffer.toString());
-            buffer = null;
-
-            switch (updateData.type) {
-                case 'ADDED':
-                    /**
-                     * Resource has been created
-                     * @event create
-                     * @type {KubernetesResource}
-                     */
-                    self.emit('create', updateData.object);
-                    self.options.qs.resourceVersion = updateData.object.metadata.resourceVersion
-                        || self.options.qs.resourceVersion;
-                    break;
-                case 'MODIFIED':
-                    /**
-                     * Resource has been modified
-                     * @event update
-                     * @type {KubernetesResource}
-                     */
-                    self.emit('update', updateData.object);
-                    self.options.qs.resourceVersion = updateData.object.metadata.resourceVersion
-                        || self.options.qs.resourceVersion;
-                    break;
-                case 'DELETED':
-                    /**
-                     * Resource has been deleted
-                     * @event delete
-                     * @type {KubernetesResource}
-                     */
-                    self.emit('delete', updateData.object);
-                    self.options.qs.resourceVersion = updateData.object.metadata.resourceVersion
-                        || self.options.qs.resourceVersion;
-                    break;
-                default:
-                    self.log.error(error);
-                    self.emit('error', updateData.object);
-                    return;
-            }
-            var logObject = { resourceVersion: self.options.qs.resourceVersion };
-            logObject[updateData.type.toLowerCase()] = updateData.object.metadata.name;
-            self.log.debug(logObject, 'watch event received');
-            self.log.trace(updateData, 'update data');
-        } catch (error) {
-            // Suppress any SyntaxErrors from JSON.parse
-            if (! error instanceof SyntaxError) {
-                self.log.error(error);
-                self.emit('error', error);
-            }
-        }
+        // Body of an error response is not a watch stream, and an abandoned watch socket has no listeners
+        if (failed || self.request !== requestListener) return;
+        decoder.write(data).each(function (event) {
+            if (self.request === requestListener) self.handleEvent(event);
+        });
+    }).on('end', function () {
+        if (failed || self.request !== requestListener) return;
+        decoder.end().each(function (event) {
+            if (self.request === requestListener) self.handleEvent(event);
+        });
+        // The API server closes watch sockets after a timeout, so resume from the last known resource version
+        if (self.request === requestListener) self.reconnect();
     });
+    return requestListener;
 };
 
 /**
- * @class
- * @inner
- * @memberof module:endpoints
- * @extends module:endpoints~Endpoint
- * 
- * @summary Kubernetes API Endpoint for Nodes
- * @classdesc Extended endpoint for 'nodes'
+ * @public
+ * @description Stop the WatchEmitter
  *
- * @description Define a new `NodesEndpoint` object.
+ * The watch socket is closed and any pending reconnection is cancelled. The watch may be resumed later by calling
+ * [start]{@link module:endpoints~WatchEmitter#start} again.
  */
-function NodesEndpoint(client, resource, nested, options) {
-    Endpoint.call(this, client, resource, nested, options);
-    Object.merge(this, Endpoint.prototype, true, false);
-}
-NodesEndpoint.prototype = Object.create(Endpoint.prototype);
-Object.defineProperty(NodesEndpoint, 'constructor', {
-    value: NodesEndpoint
-});
+WatchEmitter.prototype.stop = function () {
+    if (this.stopped) return;
+    this.abort();
+    this.started = false;
+    this.stopped = true;
+    this.log.info({resourceVersion: this.options.qs.resourceVersion}, 'stopped watch listener');
+    /**
+     * The watch socket has been closed and will not be reconnected
+     * @event stop
+     */
+    this.emit('stop');
+};
 
 /**
- * @public
- * @description Find all pods running on the given node
- *
- * @param {string} query - Server resource resource
- * @param {?object} [opts] - Method options
- * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ * @private
+ * @description Close the current watch socket and cancel any pending reconnection
+ */
+WatchEmitter.prototype.abort = function () {
+    this.attempt++;
+    if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    if (this.request) {
+        var requestListener = this.request;
+        this.request = null;
+        requestListener.abort();
+    }
+};
+
+/**
+ * @private
+ * @description Reconnect the watch socket after the configured backoff delay
+ *
+ * If the maximum number of consecutive attempts has been reached, then the error (if any) is emitted and the
+ * WatchEmitter is stopped.
+ *
+ * @param {?Error} [error] - Reason the watch socket was closed
+ */
+WatchEmitter.prototype.reconnect = function (error) {
+    var self = this;
+    this.abort();
+    if (this.stopped) return;
+    if (this.retryCount !== null && this.backoff.attempts >= this.retryCount) {
+        if (error) {
+            this.log.error(error);
+            this.emit('error', error);
+        }
+        this.stop();
+        return;
+    }
+    var delay = this.backoff.next();
+    this.log.debug({
+        resourceVersion: this.options.qs.resourceVersion
+        , attempt: this.backoff.attempts
+        , delay: delay
+        , error: error
+    }, 'reconnecting watch listener');
+    /**
+     * The watch socket was closed and will be reconnected after a delay
+     * @event reconnect
+     * @type {object}
+     * @property {number} attempt - Number of consecutive reconnection attempts
+     * @property {number} delay - Delay in milliseconds before reconnecting
+     * @property {?Error} error - Reason the watch socket was closed
+     */
+    this.emit('reconnect', { attempt: this.backoff.attempts, delay: delay, error: error || null });
+    this.timer = setTimeout(function () {
+        self.timer = null;
+        self.start(self.retryCount, true);
+    }, delay);
+};
+
+/**
+ * @public
+ * @description Rebuild the state of the watched resource and resume watching
+ *
+ * This is done automatically when the API server reports that the last known resource version is too old (410 Gone).
+ * The current state of the resource is requested and set to the `initialState` property, a `resync` event is emitted,
+ * and the watch is resumed from the new resource version.
+ *
+ * @returns {Promise.<KubernetesResource|KubernetesList>} Current state of the resource
+ */
+WatchEmitter.prototype.resync = function () {
+    var self = this;
+    if (!this.relist) {
+        var error = new errors.ClientError('watch resource version expired and the emitter cannot relist', 410);
+        this.log.error(error);
+        this.emit('error', error);
+        this.stop();
+        return Promise.reject(error);
+    }
+    this.log.info({resourceVersion: this.options.qs.resourceVersion}, 'watch expired, relisting resources');
+    this.abort();
+    return this.relist().then(function (response) {
+        if (self.stopped) return response;
+        self.initialState = response;
+        self.options.qs.resourceVersion = response.metadata.resourceVersion;
+        /**
+         * State of the resource has been rebuilt after the watch expired
+         * @event resync
+         * @type {KubernetesResource|KubernetesList}
+         */
+        self.emit('resync', response);
+        self.start(self.retryCount, true);
+        return response;
+    }).catch(function (error) {
+        // Try again later, the expired resource version will trigger another resync
+        self.reconnect(error);
+    });
+};
+
+/**
+ * @private
+ * @description Emit the WatchEmitter event for a decoded watch event
+ *
+ * @param {object|module:errors.WatchParseError} updateData - Decoded WatchEvent, or the error from decoding it
+ */
+WatchEmitter.prototype.handleEvent = function (updateData) {
+    if (updateData instanceof Error) {
+        this.log.error(updateData);
+        this.emit('error', updateData);
+        return;
+    }
+    if (updateData.type === 'ERROR') {
+        return this.handleError(updateData.object);
+    }
+    // Track the latest resource version before notifying listeners
+    if (updateData.object && updateData.object.metadata && updateData.object.metadata.resourceVersion) {
+        this.options.qs.resourceVersion = updateData.object.metadata.resourceVersion;
+    }
+    switch (updateData.type) {
+        case 'ADDED':
+            /**
+             * Resource has been created
+             * @event create
+             * @type {KubernetesResource}
+             */
+            this.emit('create', updateData.object);
+            break;
+        case 'MODIFIED':
+            /**
+             * Resource has been modified
+             * @event update
+             * @type {KubernetesResource}
+             */
+            this.emit('update', updateData.object);
+            break;
+        case 'DELETED':
+            /**
+             * Resource has been deleted
+             * @event delete
+             * @type {KubernetesResource}
+             */
+            this.emit('delete', updateData.object);
+            break;
+        case 'BOOKMARK':
+            // Resource version has been advanced without any changes
+            this.log.trace({resourceVersion: this.options.qs.resourceVersion}, 'watch bookmark received');
+            return;
+        default:
+            var error = new errors.WatchParseError('unknown watch event type: ' + updateData.type
+                , JSON.stringify(updateData));
+            this.log.error(error);
+            this.emit('error', error);
+            return;
+    }
+    var logObject = { resourceVersion: this.options.qs.resourceVersion };
+    logObject[updateData.type.toLowerCase()] = (updateData.object.metadata || {}).name;
+    this.log.debug(logObject, 'watch event received');
+    this.log.trace(updateData, 'update data');
+};
+
+/**
+ * @private
+ * @description Handle an `ERROR` watch event
+ *
+ * Expired resource versions (410 Gone) cause the WatchEmitter to [resync]{@link module:endpoints~WatchEmitter#resync}.
+ * Any other `Status` object is propagated as an `error` event.
+ *
+ * @param {object} status - Status object sent by the API server
+ */
+WatchEmitter.prototype.handleError = function (status) {
+    status = status || {};
+    if (status.code == 410 || status.reason === 'Expired' || status.reason === 'Gone') {
+        this.resync();
+        return;
+    }
+    var error = errors(null, { statusCode: status.code || 500, body: status });
+    this.log.error(error);
+    this.emit('error', error);
+};
+
+/**
+ * @private
+ * @constant
+ * @description Base methods required by each derived Endpoint method
+ * @type {object.<string, string[]>}
+ */
+const DERIVED_METHODS = {
+    informer: ['get', 'watch']
+    , list: ['get']
+    , apply: ['patch']
+    , modify: ['get', 'update']
+    , stream: ['get']
+};
+
+/**
+ * @private
+ * @constant
+ * @description Default maximum number of retries after a conflict
+ * @type {number}
+ */
+const CONFLICT_RETRIES = 5;
+
+/**
+ * @private
+ * @constant
+ * @description Default maximum number of requests sent at the same time by batch methods
+ * @type {number}
+ */
+const BATCH_CONCURRENCY = 10;
+
+/**
+ * @private
+ * @constant
+ * @description Content types of the supported patch formats
+ * @type {object.<string, string>}
+ */
+const PATCH_TYPES = {
+    json: 'application/json-patch+json'
+    , merge: 'application/merge-patch+json'
+    , strategic: 'application/strategic-merge-patch+json'
+    , apply: 'application/apply-patch+yaml'
+};
+
+/**
+ * @private
+ * @constant
+ * @description Default field manager for server-side apply
+ * @type {string}
+ */
+const FIELD_MANAGER = 'cisco-kube-client';
+
+/**
+ * @private
+ * @constant
+ * @description Default maximum number of resources per page of a paginated list
+ * @type {number}
+ */
+const LIST_LIMIT = 500;
+
+/**
+ * @private
+ * @constant
+ * @description Error codes of watch socket failures which cause the WatchEmitter to reconnect
+ * @type {string[]}
+ */
+const RECONNECT_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * @private
+ * @constant
+ * @description Subprotocols accepted for `exec`, `attach` and `portforward` sockets
+ * @type {string[]}
+ */
+const CHANNEL_PROTOCOLS = ['v4.channel.k8s.io'];
+
+/**
+ * @private
+ * @constant
+ * @description Default local address for forwarded ports
+ * @type {string}
+ */
+const FORWARD_ADDRESS = '127.0.0.1';
+
+/**
+ * @private
+ * @constant
+ * @description Method options which are sent as query parameters of a log request
+ * @type {string[]}
+ */
+const LOG_OPTIONS = ['container', 'follow', 'previous', 'sinceSeconds', 'sinceTime', 'tailLines', 'timestamps',
+    'limitBytes'];
+
+/**
+ * @private
+ * @constant
+ * @description Build phases during which the build log may still grow
+ * @type {string[]}
+ */
+const ACTIVE_BUILD_PHASES = ['New', 'Pending', 'Running'];
+
+/**
+ * @private
+ * @constant
+ * @description Default maximum size in bytes of a single watch event
+ * @type {number}
+ */
+const MAX_BUFFER_SIZE = 16 * 1024 * 1024;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:endpoints
+ *
+ * @summary Decoder for Watch Streams
+ * @classdesc Splits a stream of newline-delimited JSON into complete watch events. Chunks may end in the middle of an
+ * event (or a multi-byte character), and a single chunk may contain any number of events. Events are returned in the
+ * order they were received.
+ *
+ * @description Initialize a new `WatchDecoder` object.
+ *
+ * @param {number} maxBufferSize - Maximum size in bytes of a single event
+ */
+function WatchDecoder(maxBufferSize) {
+    /**
+     * @name maxBufferSize
+     * @memberof module:endpoints~WatchDecoder#
+     * @type {number}
+     */
+    Object.defineProperty(this, 'maxBufferSize', { value: maxBufferSize });
+    /**
+     * @name decoder
+     * @memberof module:endpoints~WatchDecoder#
+     * @type {StringDecoder}
+     */
+    Object.defineProperty(this, 'decoder', { value: new StringDecoder('utf8') });
+    /**
+     * @name buffer
+     * @memberof module:endpoints~WatchDecoder#
+     * @description Incomplete line received so far
+     * @type {string}
+     */
+    Object.defineProperty(this, 'buffer', { writable: true, value: '' });
+    /**
+     * @name discarding
+     * @memberof module:endpoints~WatchDecoder#
+     * @description If true then the rest of an oversized line is being skipped
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'discarding', { writable: true, value: false });
+}
+
+/**
+ * @description Decode a chunk of the watch stream
+ *
+ * @param {Buffer|string} chunk - Data received from the watch socket
+ *
+ * @returns {Array.<object|module:errors.WatchParseError>} Complete events (or errors) in the order received
+ */
+WatchDecoder.prototype.write = function (chunk) {
+    var self = this
+      , results = []
+      , lines = (this.buffer + ((typeof chunk === 'string') ? chunk : this.decoder.write(chunk))).split('\n');
+
+    // The last element is an incomplete line (or empty if the chunk ended with a newline)
+    this.buffer = lines.pop();
+    lines.each(function (line) {
+        if (self.discarding) {
+            self.discarding = false; // End of an oversized line
+        } else {
+            self.parse(line, results);
+        }
+    });
+    if (Buffer.byteLength(this.buffer) > this.maxBufferSize) {
+        if (!this.discarding) {
+            results.push(new errors.WatchParseError('watch event exceeds maximum buffer size of '
+                + this.maxBufferSize + ' bytes', this.buffer.slice(0, 1024)));
+        }
+        this.buffer = '';
+        this.discarding = true;
+    }
+    return results;
+};
+
+/**
+ * @description Decode any data remaining at the end of the watch stream
+ *
+ * @returns {Array.<object|module:errors.WatchParseError>} Complete events (or errors)
+ */
+WatchDecoder.prototype.end = function () {
+    var results = [];
+    if (!this.discarding) {
+        this.parse(this.buffer + this.decoder.end(), results);
+    }
+    this.buffer = '';
+    this.discarding = false;
+    return results;
+};
+
+/**
+ * @description Parse a single line of the watch stream
+ *
+ * @param {string} line - Complete line
+ * @param {Array} results - List to receive the event (or error)
+ */
+WatchDecoder.prototype.parse = function (line, results) {
+    if (line.trim() === '') {
+        return;
+    }
+    try {
+        var event = JSON.parse(line);
+    } catch (error) {
+        results.push(new errors.WatchParseError('malformed watch event', line, error));
+        return;
+    }
+    if (!event || typeof event.type !== 'string') {
+        results.push(new errors.WatchParseError('watch event has no type', line));
+    } else {
+        results.push(event);
+    }
+};
+
+/**
+ * @class
+ * @inner
+ * @memberof module:endpoints
+ * @extends module:endpoints~Endpoint
+ * 
+ * @summary Kubernetes API Endpoint for Nodes
+ * @classdesc Extended endpoint for 'nodes'
+ *
+ * @description Define a new `NodesEndpoint` object.
+ */
+function NodesEndpoint(client, resource, nested, options) {
+    Endpoint.call(this, client, resource, nested, options);
+    Object.merge(this, Endpoint.prototype, true, false);
+}
+NodesEndpoint.prototype = Object.create(Endpoint.prototype);
+Object.defineProperty(NodesEndpoint, 'constructor', {
+    value: NodesEndpoint
+});
+
+/**
+ * @public
+ * @description Find all pods running on the given node
+ *
+ * @param {string} query - Server resource resource
+ * @param {?object} [opts] - Method options
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
  *
  * @returns {Promise<KubernetesList>} - Resolves to the response body from the API server
  */
@@ -628,6 +1574,7 @@ NodesEndpoint.prototype.getPods = function (query, opts, next) {
  * @param {string} query - Server resource resource
  * @param {object} body - The patch object to apply
  * @param {?object} [opts] - Method options
+ * @param {number} [opts.concurrency=10] - Maximum number of pods patched at the same time
  * @param {?function|*} [next] - Node.js callback (replaces Promise output)
  *
  * @returns {Promise<KubernetesList>} - Resolves to the response body from the API server
@@ -639,7 +1586,8 @@ NodesEndpoint.prototype.patchPods = function (query, body, opts, next) {
         next = opts;
         opts = null;
     }
-    return this.getPods(query, opts).then(function (pods) {
+    var concurrency = getConcurrency(opts);
+    return this.getPods(query, Object.reject(opts || {}, 'concurrency')).then(function (pods) {
         podList = pods;
         return pods.items;
     }).map(function (pod) {
@@ -650,7 +1598,7 @@ NodesEndpoint.prototype.patchPods = function (query, body, opts, next) {
             delete pod.apiVersion;
             return pod;
         });
-    }).then(function (pods) {
+    }, { concurrency: concurrency }).then(function (pods) {
         podList.items = pods;
         return podList;
     }).nodeify(next);
@@ -662,6 +1610,7 @@ NodesEndpoint.prototype.patchPods = function (query, body, opts, next) {
  *
  * @param {string} query - Server resource resource
  * @param {?object} [opts] - Method options
+ * @param {number} [opts.concurrency=10] - Maximum number of pods deleted at the same time
  * @param {?function|*} [next] - Node.js callback (replaces Promise output)
  *
  * @returns {Promise<KubernetesList>} - Resolves to the response body from the API server
@@ -673,12 +1622,13 @@ NodesEndpoint.prototype.deletePods = function (query, opts, next) {
         next = opts;
         opts = null;
     }
-    return this.getPods(query, opts).then(function (pods) {
+    var concurrency = getConcurrency(opts);
+    return this.getPods(query, Object.reject(opts || {}, 'concurrency')).then(function (pods) {
         podList = pods;
         return pods.items;
     }).map(function (pod) {
         return self.client.pods.delete(pod.metadata.name, {namespace: pod.metadata.namespace});
-    }).then(function (pods) {
+    }, { concurrency: concurrency }).then(function (pods) {
         podList.items = pods;
         return podList;
     }).nodeify(next);
@@ -690,6 +1640,7 @@ NodesEndpoint.prototype.deletePods = function (query, opts, next) {
  *
  * @param {string} query - Server resource resource
  * @param {?object} [opts] - Method options
+ * @param {number} [opts.concurrency=10] - Maximum number of pods deleted at the same time
  * @param {?function|*} [next] - Node.js callback (replaces Promise output)
  *
  * @returns {Promise.<KubernetesResource>} - Resolves to the response body from the API server
@@ -700,10 +1651,11 @@ NodesEndpoint.prototype.evacuate = function (query, opts, next) {
         next = opts;
         opts = null;
     }
+    var concurrency = getConcurrency(opts);
     return this.patch(query, {
         spec: { unschedulable: true }
-    }, opts).tap(function (node) {
-        return self.deletePods(node.metadata.name);
+    }, Object.reject(opts || {}, 'concurrency')).tap(function (node) {
+        return self.deletePods(node.metadata.name, { concurrency: concurrency });
     }).nodeify(next);
 };
 
@@ -723,6 +1675,276 @@ NodesEndpoint.prototype.schedule = function (query, opts, next) {
     }, opts, next);
 };
 
+/**
+ * @class
+ * @inner
+ * @memberof module:endpoints
+ * @extends module:endpoints~Endpoint
+ *
+ * @summary Kubernetes API Endpoint for Pods
+ * @classdesc Extended endpoint for 'pods'
+ *
+ * @description Define a new `PodsEndpoint` object.
+ */
+function PodsEndpoint(client, resource, nested, options) {
+    Endpoint.call(this, client, resource, nested, options);
+    Object.merge(this, Endpoint.prototype, true, false);
+}
+PodsEndpoint.prototype = Object.create(Endpoint.prototype);
+Object.defineProperty(PodsEndpoint.prototype, 'constructor', {
+    value: PodsEndpoint
+});
+
+/**
+ * @public
+ * @description Run a command in a container of the pod
+ *
+ * The request is upgraded to a WebSocket with the `v4.channel.k8s.io` subprotocol. Resolves with a
+ * [ProcessSession]{@link module:channels~ProcessSession} once the command has started, which exposes the `stdin`,
+ * `stdout` and `stderr` streams of the command. Its `wait` method resolves with the exit code of the command.
+ *
+ * @example
+ * client.pods.exec('my-pod', { command: ['ls', '-l'] }).then(function (session) {
+ *     session.stdout.pipe(process.stdout);
+ *     return session.wait();
+ * }).then(function (code) {
+ *     console.log('exit code', code);
+ * });
+ *
+ * @param {string} query - Pod name
+ * @param {object} opts - Method options
+ * @param {string|string[]} opts.command - Command and its arguments
+ * @param {string} [opts.container] - Container name (may be omitted if the pod has only one container)
+ * @param {boolean|stream.Readable} [opts.stdin=false] - Enable the `stdin` stream (a readable stream is piped to it)
+ * @param {boolean} [opts.stdout=true] - Enable the `stdout` stream
+ * @param {boolean} [opts.stderr] - Enable the `stderr` stream (defaults to true unless `tty` is set)
+ * @param {boolean} [opts.tty=false] - Allocate a terminal (its output is sent on `stdout`)
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise.<module:channels~ProcessSession>}
+ */
+PodsEndpoint.prototype.exec = function (query, opts, next) {
+    if (typeof opts === 'function') {
+        next = opts;
+        opts = null;
+    }
+    opts = opts || {};
+    if (!opts.command || opts.command.length === 0) {
+        return Promise.reject(new errors.ParameterError('command')).nodeify(next);
+    }
+    this._log.info({query: query, command: opts.command}, 'executing command in pod');
+    return openProcess(this, query, 'exec', opts, { command: [].concat(opts.command) }).nodeify(next);
+};
+
+/**
+ * @public
+ * @description Attach to the main process of a running container of the pod
+ *
+ * Like [exec]{@link module:endpoints~PodsEndpoint#exec}, resolves with a
+ * [ProcessSession]{@link module:channels~ProcessSession} which exposes the streams of the process. Closing the session
+ * detaches from the process without stopping it. The session ends by itself when the process or the pod terminates,
+ * and its `wait` method then resolves with the exit code of the process. The container must have been started with
+ * `stdin` (and `tty`) enabled for its input (and terminal) to be attached.
+ *
+ * @example
+ * client.pods.attach('my-pod', { stdin: process.stdin, tty: true }).then(function (session) {
+ *     session.stdout.pipe(process.stdout);
+ *     process.on('SIGINT', function () { session.close(); });
+ * });
+ *
+ * @param {string} query - Pod name
+ * @param {?object} [opts] - Method options
+ * @param {string} [opts.container] - Container name (may be omitted if the pod has only one container)
+ * @param {boolean|stream.Readable} [opts.stdin=false] - Enable the `stdin` stream (a readable stream is piped to it)
+ * @param {boolean} [opts.stdout=true] - Enable the `stdout` stream
+ * @param {boolean} [opts.stderr] - Enable the `stderr` stream (defaults to true unless `tty` is set)
+ * @param {boolean} [opts.tty=false] - Attach to the terminal of the container (its output is sent on `stdout`)
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise.<module:channels~ProcessSession>}
+ */
+PodsEndpoint.prototype.attach = function (query, opts, next) {
+    if (typeof opts === 'function') {
+        next = opts;
+        opts = null;
+    }
+    this._log.info({query: query}, 'attaching to pod');
+    return openProcess(this, query, 'attach', opts || {}, {}).nodeify(next);
+};
+
+/**
+ * @public
+ * @description Forward local TCP ports to ports of the pod
+ *
+ * Resolves with a [PortForward]{@link module:channels~PortForward} once a local server is listening for each port
+ * mapping. Every accepted connection is forwarded to the pod over its own WebSocket. The `ports` property of the
+ * result lists the bound local port of each mapping, and its `close` method stops forwarding.
+ *
+ * @example
+ * client.pods.portForward('my-pod', [{ local: 0, remote: 8080 }]).then(function (forward) {
+ *     var port = forward.ports[0].local;
+ *     // Connect to localhost:port, then call forward.close()
+ * });
+ *
+ * @param {string} query - Pod name
+ * @param {number|object|Array.<number|object>} ports - Port mappings (a number forwards the same local port)
+ * @param {number} [ports.local=0] - Local port (0 for any free port)
+ * @param {number} ports.remote - Port of the pod
+ * @param {?object} [opts] - Method options
+ * @param {string} [opts.address='127.0.0.1'] - Local address to listen on
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise.<module:channels~PortForward>}
+ */
+PodsEndpoint.prototype.portForward = function (query, ports, opts, next) {
+    var self = this;
+    if (typeof opts === 'function') {
+        next = opts;
+        opts = null;
+    }
+    var mappings = [].concat(ports || []).map(function (mapping) {
+        return (typeof mapping === 'number') ? { local: mapping, remote: mapping } : {
+            local: (mapping && mapping.local) || 0
+            , remote: mapping && mapping.remote
+        };
+    });
+    if (mappings.length === 0 || !mappings.all(function (mapping) { return mapping.remote > 0; })) {
+        return Promise.reject(new errors.ParameterError('ports')).nodeify(next);
+    }
+    var address = (opts && opts.address) || FORWARD_ADDRESS;
+    opts = Object.reject(opts || {}, 'address');
+    return new channels.PortForward(mappings, address, function (port, create) {
+        return openChannels(self, query, 'portforward', { ports: port }, opts, CHANNEL_PROTOCOLS, create);
+    }, this._log.child({pod: query})).listen().nodeify(next);
+};
+
+/**
+ * @class
+ * @inner
+ * @memberof module:endpoints
+ * @extends module:endpoints~Endpoint
+ *
+ * @summary Kubernetes API Endpoint for logs
+ * @classdesc Extended endpoint for the nested 'log' resource of pods and builds
+ *
+ * Logs are plain text, so they are returned as a string or as a stream of lines instead of being parsed. The other
+ * resource methods are not available.
+ *
+ * @description Define a new `LogEndpoint` object.
+ */
+function LogEndpoint(client, resource, nested, options) {
+    var self = this;
+    Endpoint.call(this, client, resource, nested, options);
+    Object.keys(Endpoint.prototype, function (key) {
+        if (!LogEndpoint.prototype.hasOwnProperty(key)) {
+            Object.defineProperty(self, key, { value: undefined });
+        }
+    });
+}
+LogEndpoint.prototype = Object.create(Endpoint.prototype);
+Object.defineProperty(LogEndpoint.prototype, 'constructor', {
+    value: LogEndpoint
+});
+
+/**
+ * @public
+ * @description Read the log of a pod container or a build
+ *
+ * Resolves with the log text. With `follow` set, the request is only answered once the log stops growing, so use
+ * [stream]{@link module:endpoints~LogEndpoint#stream} to read a running container's log as it is written.
+ *
+ * @example
+ * client.pods.log.get('my-pod', { container: 'app', tailLines: 100 }).then(function (text) {
+ *     process.stdout.write(text);
+ * });
+ *
+ * @param {string} query - Pod (or build) name
+ * @param {?object} [opts] - Method options
+ * @param {string} [opts.container] - Container name (may be omitted if the pod has only one container)
+ * @param {boolean} [opts.follow=false] - Keep reading until the log stops growing
+ * @param {boolean} [opts.previous=false] - Read the log of the previous, terminated container
+ * @param {number} [opts.sinceSeconds] - Only read lines written in the last number of seconds
+ * @param {string|Date} [opts.sinceTime] - Only read lines written after this time
+ * @param {number} [opts.tailLines] - Only read the last number of lines
+ * @param {boolean} [opts.timestamps=false] - Prefix each line with its RFC 3339 timestamp
+ * @param {number} [opts.limitBytes] - Maximum number of bytes to read
+ * @param {?function|*} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise.<string>}
+ */
+LogEndpoint.prototype.get = function (query, opts, next) {
+    if (typeof opts === 'function') {
+        next = opts;
+        opts = null;
+    }
+    if (!query) {
+        return Promise.reject(new errors.ParameterError('query')).nodeify(next);
+    }
+    opts = opts || {};
+    this._log.info({
+        query: query
+        , namespace: opts.namespace || this.client.config.namespace
+    }, 'getting ' + this.resource + ' log');
+    return baseRequest(this, 'GET', query, null, Object.merge(Object.reject(opts, LOG_OPTIONS), {
+        qs: getLogQuery(opts)
+        , responseType: 'text'
+    }, true), next);
+};
+
+/**
+ * @public
+ * @description Stream the log of a pod container or a build line by line
+ *
+ * Returns a [LogStream]{@link module:logs~LogStream}, a readable stream which emits each line as a string. With
+ * `follow` set, the stream is reconnected whenever the connection drops while the container (or build) is still
+ * running, and ends once it has stopped.
+ *
+ * @example
+ * client.pods.log.stream('my-pod', { follow: true, tailLines: 10 }).on('data', function (line) {
+ *     console.log(line);
+ * });
+ *
+ * @param {string} query - Pod (or build) name
+ * @param {?object} [opts] - Method options (see [get]{@link module:endpoints~LogEndpoint#get})
+ * @param {object} [opts.backoff] - Reconnection backoff policy (see [backoff]{@link module:backoff})
+ *
+ * @returns {module:logs~LogStream}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+LogEndpoint.prototype.stream = function (query, opts) {
+    var self = this;
+    if (!query) {
+        throw new errors.ParameterError('query');
+    }
+    opts = opts || {};
+    var qs = getLogQuery(opts)
+      , options = { backoff: opts.backoff };
+    opts = Object.reject(opts, LOG_OPTIONS, 'backoff');
+    this._log.info({
+        query: query
+        , namespace: opts.namespace || this.client.config.namespace
+    }, 'streaming ' + this.resource + ' log');
+    return logs(qs, function (qs, listen) {
+        return self.client.authenticate().then(function (config) {
+            // Safely merge options objects - precedence: request > endpoint > default
+            var merged = Object.merge(Object.merge({timeout: null}, self.options || {}, true, false), opts, true);
+            return middleware(config.middleware, parseOptions(Object.merge({
+                resource: self.resource
+                , query: getPath(query, merged.child)
+                , method: 'GET'
+                , qs: qs
+            }, Object.reject(merged, 'child'), true), config), listen, { type: 'log', resource: self.resource });
+        });
+    }, function () {
+        // Check whether the container (or build) is still running, so that its log may still grow
+        var statusOpts = Object.merge(Object.clone(opts, true), { child: null });
+        return baseRequest(self, 'GET', query, null, statusOpts).then(function (object) {
+            return isLogActive(self.resource, object, qs.container);
+        });
+    }, options, this._log.child({query: query}));
+};
+
 /**
  * @class
  * @inner
@@ -747,7 +1969,8 @@ Object.defineProperty(ReplicationControllersEndpoint.prototype, 'constructor', {
  * @public
  * @description Scale the Replication Controller's replica count
  *
- * Specify a negative increment to scale down.
+ * Specify a negative increment to scale down. The replica count is updated with
+ * [modify]{@link module:endpoints~Endpoint#modify}, so concurrent changes are never lost.
  *
  * @param {string} query - Server resource name
  * @param {number} [increment=1] - Number of replicas to add
@@ -765,13 +1988,11 @@ ReplicationControllersEndpoint.prototype.scale = function (query, increment, opt
     }
     var prune = (opts) ? !!opts.prune : false;
     if (opts && opts.hasOwnProperty('prune')) delete opts.prune;
-    return self.get(query, opts).then(function (rc) {
-        var count = rc.spec.replicas + (increment || 1);
-        if (count < 0) count = 0;
-        return self.patch(query, { spec: { replicas: count }}, {namespace: rc.metadata.namespace});
-    }).then(function (rc) {
+    return self.modify(query, function (rc) {
+        rc.spec.replicas = Math.max(0, rc.spec.replicas + (increment || 1));
+    }, opts).then(function (rc) {
         if (prune && rc.spec.replicas === 0) {
-            return self.delete(query);
+            return self.delete(query, {namespace: rc.metadata.namespace});
         } else return rc;
     }).nodeify(next);
 };
@@ -804,7 +2025,10 @@ ReplicationControllersEndpoint.prototype.scale = function (query, increment, opt
  * @returns {object} - Parsed method options
  */
 function parseOptions(options, config) {
-    options = Object.clone(options, true);
+    // Safely merge options objects - precedence: request > client
+    options = Object.merge(Object.clone(config.requestOptions || {}, true), options, true);
+    var impersonate = options.hasOwnProperty('impersonate') ? options.impersonate : config.impersonate;
+    delete options.impersonate;
     var resource = options.resource
       , query = options.query
       , version = options.version
@@ -875,12 +2099,33 @@ function parseOptions(options, config) {
 
     // Set Content-Type header for PATCH methods
     if (options.method === 'PATCH') {
+        var patchType = options.patchType || 'strategic';
+        if (!PATCH_TYPES.hasOwnProperty(patchType)) {
+            throw new errors.ClientError('unsupported patchType: \'' + patchType + '\'');
+        }
         options = Object.merge({
             headers: {
-                'Content-Type': 'application/strategic-merge-patch+json'
+                'Content-Type': PATCH_TYPES[patchType]
             }
         }, options, true);
+        if (patchType === 'apply') {
+            if (!options.fieldManager) {
+                options.fieldManager = FIELD_MANAGER;
+            }
+            // Resolve server-side apply conflicts (the API server rejects force for other patch types)
+            if (options.force) {
+                options = Object.merge({ qs: { force: true } }, options, true);
+            }
+        }
+    }
+    delete options.patchType;
+
+    // Identify the actor making the change
+    if (options.fieldManager) {
+        options = Object.merge({ qs: { fieldManager: options.fieldManager } }, options, true);
     }
+    delete options.fieldManager;
+    delete options.force;
 
     // Set json and body options for PUT/POST/PATCH methods
     if (options.body) {
@@ -889,13 +2134,19 @@ function parseOptions(options, config) {
         }
     }
 
+    // Act on behalf of the impersonated user
+    if (impersonate) {
+        options = Object.merge({ headers: getImpersonationHeaders(impersonate) }, options, true);
+    }
+
+    // Apply client TLS options
+    if (Object.keys(config.agentOptions || {}).length > 0) {
+        options.agentOptions = Object.merge(Object.clone(config.agentOptions), options.agentOptions || {}, true);
+    }
+
     // Update request endpoint with base options
-    return Object.merge(options, {
-        url: getPath(config.host, prefix, version, resource, query)
-        , auth: Object.create(Object.prototype, {
-            bearer: { enumerable: true, value: config.token }
-        })
-    }, true);
+    options.url = getPath(config.host, prefix, version, resource, query);
+    return config.authProvider.apply(options, config);
 }
 
 /**
@@ -959,19 +2210,185 @@ function getPath() {
     }).join('/');
 }
 
+/**
+ * @private
+ * @description Open a channel socket to a nested resource of an endpoint
+ *
+ * The upgrade request is sent through the client middleware, where `next` resolves with the open socket (or its
+ * wrapper). A replaced response is ignored.
+ *
+ * @param {module:endpoints~Endpoint} self - Endpoint object making the request
+ * @param {string} query - Server resource name
+ * @param {string} child - Name of the nested resource
+ * @param {object} qs - Query parameters
+ * @param {?object} opts - Request options
+ * @param {string[]} protocols - Accepted subprotocols
+ * @param {function} [create] - Wraps the open socket before any message is received
+ *
+ * @returns {Promise.<module:channels~ChannelSocket|*>}
+ */
+function openChannels(self, query, child, qs, opts, protocols, create) {
+    return self.client.authenticate().then(function (config) {
+        // Safely merge options objects - precedence: request > endpoint > default
+        opts = Object.merge(Object.clone(self.options || {}), opts || {}, true);
+        var opened = null;
+
+        // Open the socket through the client middleware, which may not replace the socket
+        return middleware(config.middleware, parseOptions(Object.merge({
+            resource: self.resource
+            , query: getPath(query, child)
+            , method: 'GET'
+            , qs: qs
+        }, opts, true), config), function (options) {
+            return channels(options, protocols, create).tap(function (result) {
+                opened = result;
+            });
+        }, { type: 'channel', resource: self.resource }).then(function () {
+            if (!opened) throw new errors.ClientError('middleware did not open the channel socket');
+            return opened;
+        });
+    });
+}
+
+/**
+ * @private
+ * @description Start a process session for the `exec` or `attach` resource of a pod
+ *
+ * @param {module:endpoints~Endpoint} self - Endpoint object making the request
+ * @param {string} query - Pod name
+ * @param {string} child - Name of the nested resource
+ * @param {object} opts - Method options (see [exec]{@link module:endpoints~PodsEndpoint#exec} and
+ * [attach]{@link module:endpoints~PodsEndpoint#attach})
+ * @param {object} qs - Additional query parameters
+ *
+ * @returns {Promise.<module:channels~ProcessSession>}
+ */
+function openProcess(self, query, child, opts, qs) {
+    var streams = {
+        stdin: opts.stdin || false
+        , stdout: opts.stdout !== false
+        , stderr: opts.hasOwnProperty('stderr') ? !!opts.stderr : !opts.tty
+    };
+    qs = Object.merge({
+        stdin: !!streams.stdin
+        , stdout: streams.stdout
+        , stderr: streams.stderr
+        , tty: !!opts.tty
+    }, qs);
+    if (opts.container) {
+        qs.container = opts.container;
+    }
+    // Streams must not be merged into the request options
+    opts = Object.reject(opts, 'command', 'container', 'stdin', 'stdout', 'stderr', 'tty');
+    return openChannels(self, query, child, qs, opts, CHANNEL_PROTOCOLS, function (socket) {
+        return new channels.ProcessSession(socket, streams);
+    });
+}
+
+/**
+ * @private
+ * @description Build the request headers which impersonate a user
+ *
+ * @param {string|object} impersonate - Name of the user, or the user object
+ * (see [ClientConfig#impersonate]{@link module:client~ClientConfig#impersonate})
+ *
+ * @returns {object.<string, string|string[]>} Request headers
+ *
+ * @throws {module:errors.ParameterError}
+ */
+function getImpersonationHeaders(impersonate) {
+    if (typeof impersonate === 'string') {
+        impersonate = { user: impersonate };
+    }
+    if (!impersonate.user) {
+        throw new errors.ParameterError('impersonate.user');
+    }
+    var headers = { 'Impersonate-User': impersonate.user };
+    if (impersonate.uid) {
+        headers['Impersonate-Uid'] = impersonate.uid;
+    }
+    if (impersonate.groups && impersonate.groups.length) {
+        headers['Impersonate-Group'] = [].concat(impersonate.groups);
+    }
+    Object.keys(impersonate.extra || {}, function (key, value) {
+        // Extra field names may contain characters which are not valid in header names
+        headers['Impersonate-Extra-' + encodeURIComponent(key)] = [].concat(value);
+    });
+    return headers;
+}
+
+/**
+ * @private
+ * @description Build the query parameters of a log request from the method options
+ *
+ * @param {object} opts - Method options (see [get]{@link module:endpoints~LogEndpoint#get})
+ *
+ * @returns {object} Query parameters
+ */
+function getLogQuery(opts) {
+    var qs = {};
+    LOG_OPTIONS.each(function (key) {
+        if (opts[key] === undefined || opts[key] === null) return;
+        qs[key] = (opts[key] instanceof Date) ? opts[key].toISOString() : opts[key];
+    });
+    return qs;
+}
+
+/**
+ * @private
+ * @description Check whether the log of a pod container or a build may still grow
+ *
+ * @param {string} resource - Resource name of the endpoint
+ * @param {KubernetesResource} object - Current state of the pod or build
+ * @param {?string} [container] - Container name (defaults to the first container of the pod)
+ *
+ * @returns {boolean}
+ */
+function isLogActive(resource, object, container) {
+    var status = object.status || {};
+    switch (resource) {
+        case 'pods':
+            var statuses = (status.containerStatuses || []).concat(status.initContainerStatuses || [])
+              , current = container ? statuses.find(function (each) { return each.name === container; }) : statuses[0];
+            return !!(current && current.state && current.state.running);
+        case 'builds':
+            return ACTIVE_BUILD_PHASES.indexOf(status.phase) !== -1;
+        default:
+            return false;
+    }
+}
+
+/**
+ * @private
+ * @description Get the maximum number of requests sent at the same time by a batch method
+ *
+ * @param {?object} opts - Method options
+ *
+ * @returns {number}
+ */
+function getConcurrency(opts) {
+    return (opts && opts.concurrency > 0) ? opts.concurrency : BATCH_CONCURRENCY;
+}
+
 /**
  * @private
  * @description Wrap the request in a Promise and expand error handling to '4xx/5xx/etc.' responses
  * @param options - Request options
+ * @param {function} decode - Returns the decoded body of a successful response
  * @returns {Promise}
  */
-function requestAsync(options) {
+function requestAsync(options, decode) {
     return new Promise(function (resolve, reject) {
         request(options, function (error, response) {
             error = errors(error, response);
             if (error) {
                 reject(error);
             } else {
+                try {
+                    response.body = decode(response);
+                } catch (decodeError) {
+                    return reject(decodeError);
+                }
                 resolve(response);
             }
         })
@@ -1,5 +1,6 @@
 'use strict';
 require('sugar');
+var STATUS_CODES = require('http').STATUS_CODES;
 
 /**
  * @private
@@ -14,6 +15,9 @@ require('sugar');
  * @memberof module:errors
  * @description Parse a response from the API server to determine error status
  *
+ * Error responses are converted to the [HttpError]{@link module:errors.HttpError} subclass for their status code. If
+ * the response body is a Kubernetes `Status` object, its message, reason, and details are added to the error.
+ *
  * @param {?Error} error
  * @param {?object} response
  * @returns {?Error|module:errors.HttpError}
@@ -28,17 +32,9 @@ module.exports = function GetError(error, response) {
     if (error instanceof Error) {
         return error;
     } else if (response.statusCode > 399) {
-        if (http.hasOwnProperty(response.statusCode)) {
-            return new http[response.statusCode](response.body);
-        } else {
-            return new HttpError(response.body, response.statusCode);
-        }
+        return createHttpError(response.statusCode, response);
     } else if (response.body && response.body.statusCode > 399) {
-        if (http.hasOwnProperty(response.body.statusCode)) {
-            return new http[response.body.statusCode](response.body);
-        } else {
-            return new HttpError(response.body, response.body.statusCode);
-        }
+        return createHttpError(response.body.statusCode, response);
     } else return null;
 };
 module.exports.HttpError = HttpError;
@@ -178,11 +174,114 @@ TokenParseError.prototype = Object.create(ClientError.prototype);
 TokenParseError.prototype.constructor = TokenParseError;
 module.exports.TokenParseError = TokenParseError;
 
+/**
+ * @class
+ * @static
+ * @memberof module:errors
+ * @description Decoding of a watch event failed
+ *
+ * @extends {module:errors~ClientError}
+ *
+ * @param {string} message - Description of the error
+ * @param {?string} line - The line of the watch stream that was decoded
+ * @param {Error} [error] - The original error
+ */
+function WatchParseError(message, line, error) {
+    ClientError.call(this, message);
+    /**
+     * The line of the watch stream that was decoded
+     * @name line
+     * @type {?string}
+     * @memberof module:errors.WatchParseError
+     */
+    this.line = line;
+    if (error) {
+        /**
+         * The original error
+         * @type {Error}
+         */
+        this.error = error;
+    }
+}
+WatchParseError.prototype = Object.create(ClientError.prototype);
+WatchParseError.prototype.constructor = WatchParseError;
+module.exports.WatchParseError = WatchParseError;
+
+/**
+ * @class
+ * @static
+ * @memberof module:errors
+ * @description Authentication provider failed to obtain credentials
+ *
+ * @extends {module:errors~ClientError}
+ *
+ * @param {string} provider - Type of the authentication provider
+ * @param {Error} error - The original error
+ */
+function ProviderError(provider, error) {
+    ClientError.call(this, 'authentication provider \'' + provider + '\' failed: '
+        + (error ? error.message : 'unknown'));
+    /**
+     * Type of the authentication provider
+     * @name provider
+     * @type {string}
+     * @memberof module:errors.ProviderError
+     */
+    this.provider = provider;
+    /**
+     * The original error
+     * @type {Error}
+     */
+    this.error = error;
+}
+ProviderError.prototype = Object.create(ClientError.prototype);
+ProviderError.prototype.constructor = ProviderError;
+module.exports.ProviderError = ProviderError;
+
+/**
+ * @class
+ * @static
+ * @memberof module:errors
+ * @description Continue token of a paginated list expired before the list was complete
+ *
+ * @extends {module:errors~ClientError}
+ *
+ * @param {string} resource - Name of the listed resource
+ * @param {Error} error - The original error
+ */
+function ListExpiredError(resource, error) {
+    ClientError.call(this, 'list of ' + resource + ' expired before it was complete, '
+        + 'restart the list or set the \'restart\' option', 410);
+    /**
+     * Name of the listed resource
+     * @name resource
+     * @type {string}
+     * @memberof module:errors.ListExpiredError
+     */
+    this.resource = resource;
+    /**
+     * The original error
+     * @type {Error}
+     */
+    this.error = error;
+}
+ListExpiredError.prototype = Object.create(ClientError.prototype);
+ListExpiredError.prototype.constructor = ListExpiredError;
+module.exports.ListExpiredError = ListExpiredError;
+
 /**
  * @class
  * @static
  * @memberof module:errors
  * @description HTTP Request Errors
+ *
+ * Subclasses exist for each error status returned by the API server, and are exported by name (for example
+ * `errors.ConflictError` for 409).
+ *
+ * @extends {module:errors~ClientError}
+ *
+ * @param {string} message - Description of the error
+ * @param {number} code - HTTP status code
  */
 function HttpError(message, code) {
     ClientError.call(this, message, code);
@@ -190,6 +289,11 @@ function HttpError(message, code) {
 HttpError.prototype = Object.create(ClientError.prototype);
 HttpError.prototype.constructor = HttpError;
 
+/**
+ * @private
+ * @description HTTP error classes by status code (each is also exported by name, e.g. `errors.ConflictError`)
+ * @type {object.<number, function>}
+ */
 var http = {
     400: function BadRequestError(message) {
         HttpError.call(this, message, 400);
@@ -202,9 +306,209 @@ var http = {
     },
     404: function NotFoundError(message) {
         HttpError.call(this, message, 404);
+    },
+    405: function MethodNotAllowedError(message) {
+        HttpError.call(this, message, 405);
+    },
+    406: function NotAcceptableError(message) {
+        HttpError.call(this, message, 406);
+    },
+    409: function ConflictError(message) {
+        HttpError.call(this, message, 409);
+    },
+    410: function GoneError(message) {
+        HttpError.call(this, message, 410);
+    },
+    413: function RequestEntityTooLargeError(message) {
+        HttpError.call(this, message, 413);
+    },
+    415: function UnsupportedMediaTypeError(message) {
+        HttpError.call(this, message, 415);
+    },
+    422: function UnprocessableEntityError(message) {
+        HttpError.call(this, message, 422);
+    },
+    429: function TooManyRequestsError(message) {
+        HttpError.call(this, message, 429);
+    },
+    500: function InternalServerError(message) {
+        HttpError.call(this, message, 500);
+    },
+    502: function BadGatewayError(message) {
+        HttpError.call(this, message, 502);
+    },
+    503: function ServiceUnavailableError(message) {
+        HttpError.call(this, message, 503);
+    },
+    504: function GatewayTimeoutError(message) {
+        HttpError.call(this, message, 504);
     }
 };
 for (var i in http) {
     if (http.hasOwnProperty(i)) http[i].prototype = Object.create(HttpError.prototype);
     if (http.hasOwnProperty(i)) http[i].prototype.constructor = http[i];
+    if (http.hasOwnProperty(i)) module.exports[http[i].name] = http[i];
+}
+
+/**
+ * @static
+ * @function
+ * @memberof module:errors
+ * @description Check whether the requested resource does not exist
+ *
+ * @param {?Error} error
+ *
+ * @returns {boolean}
+ */
+module.exports.isNotFound = function (error) {
+    return hasReason(error, 'NotFound', 404);
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:errors
+ * @description Check whether the resource was modified by someone else since it was read
+ *
+ * @param {?Error} error
+ *
+ * @returns {boolean}
+ */
+module.exports.isConflict = function (error) {
+    return hasReason(error, 'Conflict', 409);
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:errors
+ * @description Check whether the resource to be created already exists
+ *
+ * @param {?Error} error
+ *
+ * @returns {boolean}
+ */
+module.exports.isAlreadyExists = function (error) {
+    return hasReason(error, 'AlreadyExists', 409);
+};
+
+/**
+ * @private
+ * @description Check the `Status` reason of an error, or its status code if there is no reason
+ *
+ * @param {?Error} error
+ * @param {string} reason - Kubernetes `Status` reason
+ * @param {number} statusCode - HTTP status code of the reason
+ *
+ * @returns {boolean}
+ */
+function hasReason(error, reason, statusCode) {
+    if (!error) return false;
+    if (error.reason) return error.reason === reason;
+    return error.statusCode == statusCode && reason !== 'AlreadyExists';
+}
+
+/**
+ * @private
+ * @description Create the error for an API server response
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {object} response - Response from the API server
+ *
+ * @returns {module:errors.HttpError}
+ */
+function createHttpError(statusCode, response) {
+    var body = response.body
+      , request = response.request || {}
+      , headers = response.headers || {};
+    if (Buffer.isBuffer(body)) {
+        body = body.toString();
+    }
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (ignore) {
+            // Not a JSON response body
+        }
+    }
+    var status = (body && typeof body === 'object' && body.kind === 'Status') ? body : {}
+      , details = status.details || null
+      , message = status.message || (typeof body === 'string' && body.trim()) || STATUS_CODES[statusCode]
+        || 'HTTP ' + statusCode
+      , impersonatedUser = getHeader(request.headers, 'Impersonate-User');
+    if (statusCode == 403 && impersonatedUser) {
+        // Tell apart the caller being denied impersonation from the impersonated user being denied the request
+        message = (/cannot impersonate/.test(message)
+            ? 'not allowed to impersonate user \'' + impersonatedUser + '\': '
+            : 'forbidden for impersonated user \'' + impersonatedUser + '\': ') + message;
+    }
+    var error = http.hasOwnProperty(statusCode) ? new http[statusCode](message) : new HttpError(message, statusCode);
+
+    /**
+     * Machine-readable reason of the error (e.g. 'NotFound', 'AlreadyExists', 'Conflict', 'Invalid')
+     * @name reason
+     * @type {?string}
+     * @memberof module:errors.HttpError
+     */
+    error.reason = status.reason || null;
+    /**
+     * Details of the error: `name`, `group` and `kind` of the resource, and a list of `causes` with the `reason`,
+     * `message` and `field` path of each problem
+     * @name details
+     * @type {?object}
+     * @memberof module:errors.HttpError
+     */
+    error.details = details;
+    /**
+     * Number of seconds to wait before retrying the request (from the `Status` details or `Retry-After` header)
+     * @name retryAfterSeconds
+     * @type {?number}
+     * @memberof module:errors.HttpError
+     */
+    error.retryAfterSeconds = (details && details.retryAfterSeconds) || parseInt(headers['retry-after'], 10) || null;
+    /**
+     * Method of the failed request
+     * @name method
+     * @type {?string}
+     * @memberof module:errors.HttpError
+     */
+    error.method = request.method || null;
+    /**
+     * URL of the failed request
+     * @name url
+     * @type {?string}
+     * @memberof module:errors.HttpError
+     */
+    error.url = (request.uri && request.uri.href) || request.href || null;
+    /**
+     * Response body from the API server
+     * @name body
+     * @type {*}
+     * @memberof module:errors.HttpError
+     */
+    error.body = body;
+    /**
+     * User impersonated by the failed request, if any
+     * @name impersonatedUser
+     * @type {?string}
+     * @memberof module:errors.HttpError
+     */
+    error.impersonatedUser = impersonatedUser;
+    return error;
+}
+
+/**
+ * @private
+ * @description Get a request header regardless of the case of its name
+ *
+ * @param {?object} headers - Request headers
+ * @param {string} name - Header name
+ *
+ * @returns {?string}
+ */
+function getHeader(headers, name) {
+    var key = Object.keys(headers || {}).find(function (key) {
+        return key.toLowerCase() === name.toLowerCase();
+    });
+    return key ? headers[key] : null;
 }
@@ -0,0 +1,670 @@
+'use strict';
+require('sugar');
+var EventEmitter = require('events')
+  , Promise = require('bluebird')
+  , errors = require('./errors');
+
+/**
+ * @private
+ * @name EventEmitter
+ * @property prototype
+ */
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:informer
+ * @description Initialize a new `Informer` for the given API resource endpoint
+ *
+ * @param {module:endpoints~Endpoint} endpoint - Endpoint of the watched API resource
+ * @param {?object} [options] - Informer options (see [Informer]{@link module:informer~Informer})
+ *
+ * @returns {module:informer~Informer}
+ */
+/**
+ * @module informer
+ * @description Resource Informer and Cache Module
+ */
+module.exports = function CreateInformer(endpoint, options) {
+    return new Informer(endpoint, options);
+};
+module.exports.Informer = Informer;
+module.exports.Store = Store;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:informer
+ * @extends EventEmitter
+ *
+ * @summary Local cache of API resources
+ * @classdesc Lists and watches an API resource and keeps a local [Store]{@link module:informer~Store} up to date
+ *
+ * Call `start` to list the resources and start watching for changes after all listeners have been set up. The store is
+ * always updated before the corresponding event is emitted, so listeners see a consistent cache.
+ *
+ * @description Initialize a new `Informer` object.
+ *
+ * @param {module:endpoints~Endpoint} endpoint - Endpoint of the watched API resource
+ * @param {?object} [options] - Informer options, any other properties are used as `watch` method options
+ * @param {?string} [options.namespace] - Namespace to watch (defaults to the client namespace)
+ * @param {boolean} [options.ns=true] - Set to false to watch all namespaces
+ * @param {object} [options.labels] - Label selector
+ * @param {object} [options.fields] - Field selector
+ * @param {object.<string, function>} [options.indexers] - Index functions by name (see
+ * [Store#addIndexer]{@link module:informer~Store#addIndexer})
+ * @param {number} [options.resyncPeriod=0] - Interval in milliseconds to replay every cached object as an `update`
+ * event (0 to disable)
+ * @param {?number} [options.retryCount] - Number of times to reconnect the watch (null for infinite)
+ *
+ * @fires event:add
+ * @fires event:update
+ * @fires event:delete
+ * @fires event:error
+ */
+function Informer(endpoint, options) {
+    EventEmitter.call(this);
+    var self = this;
+    options = Object.clone(options || {}, true);
+    /**
+     * @name endpoint
+     * @memberof module:informer~Informer#
+     * @description Endpoint of the watched API resource
+     * @type {module:endpoints~Endpoint}
+     */
+    Object.defineProperty(this, 'endpoint', { value: endpoint });
+    /**
+     * @name store
+     * @memberof module:informer~Informer#
+     * @description Local cache of the watched API resources
+     * @type {module:informer~Store}
+     */
+    Object.defineProperty(this, 'store', { value: new Store(options.indexers) });
+    /**
+     * @name resyncPeriod
+     * @memberof module:informer~Informer#
+     * @description Interval in milliseconds to replay every cached object as an `update` event
+     * @type {number}
+     */
+    Object.defineProperty(this, 'resyncPeriod', { value: options.resyncPeriod || 0 });
+    /**
+     * @private
+     * @name retryCount
+     * @memberof module:informer~Informer#
+     * @description Number of times to reconnect the watch (null for infinite)
+     * @type {?number}
+     */
+    Object.defineProperty(this, 'retryCount', {
+        value: typeof options.retryCount === 'number' ? options.retryCount : null
+    });
+    delete options.indexers;
+    delete options.resyncPeriod;
+    delete options.retryCount;
+    /**
+     * @private
+     * @name options
+     * @memberof module:informer~Informer#
+     * @description Options for the `watch` method of the endpoint
+     * @type {object}
+     */
+    Object.defineProperty(this, 'options', { value: options });
+    /**
+     * @name started
+     * @memberof module:informer~Informer#
+     * @description If true then the informer has been started
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'started', { writable: true, value: false });
+    /**
+     * @name synced
+     * @memberof module:informer~Informer#
+     * @description If true then the initial list of resources has been added to the store
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'synced', { writable: true, value: false });
+    /**
+     * @private
+     * @name emitter
+     * @memberof module:informer~Informer#
+     * @description WatchEmitter of the watched API resource
+     * @type {?module:endpoints~WatchEmitter}
+     */
+    Object.defineProperty(this, 'emitter', { writable: true, value: null });
+    /**
+     * @private
+     * @name timer
+     * @memberof module:informer~Informer#
+     * @description Periodic resync timer
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'timer', { writable: true, value: null });
+    /**
+     * @private
+     * @name syncPromise
+     * @memberof module:informer~Informer#
+     * @description Resolves once the initial list of resources has been added to the store (replaced on each start)
+     * @type {Promise}
+     */
+    Object.defineProperty(this, 'syncPromise', { writable: true, value: null });
+    /**
+     * @private
+     * @name deferred
+     * @memberof module:informer~Informer#
+     * @description Settles the `syncPromise` once the initial list has been requested
+     * @type {{resolve: function, reject: function}}
+     */
+    Object.defineProperty(this, 'deferred', { writable: true, value: null });
+    defer(this);
+    /**
+     * @private
+     * @name log
+     * @memberof module:informer~Informer#
+     * @description Bunyan logger for the Informer
+     * @type {bunyan}
+     */
+    Object.defineProperty(this, 'log', { value: endpoint._log.child({ informer: true }) });
+
+    // Forward store changes to the informer listeners
+    ['add', 'update', 'delete'].each(function (event) {
+        self.store.on(event, function (object, previous) {
+            if (event === 'update') {
+                /**
+                 * Cached resource has been modified (listeners receive the previous and the current state)
+                 * @event update
+                 * @type {KubernetesResource}
+                 */
+                self.emit('update', previous, object);
+            } else {
+                /**
+                 * Resource has been added to (or removed from) the cache
+                 * @event add
+                 * @event delete
+                 * @type {KubernetesResource}
+                 */
+                self.emit(event, object);
+            }
+        });
+    });
+}
+Informer.prototype = Object.create(EventEmitter.prototype);
+Informer.prototype.constructor = Informer;
+Object.defineProperty(Informer.prototype, 'toString', { value: function () {
+    /** @this {module:informer~Informer} */
+    return '[Informer ' + this.endpoint.resource + ']';
+}});
+
+/**
+ * @public
+ * @description List the API resources and start watching them for changes
+ *
+ * An `add` event is emitted for each resource in the initial list. Repeated calls return the same `Promise` until the
+ * informer is stopped. Starting it again (also after the initial list failed) lists the resources again and returns a
+ * new `Promise`.
+ *
+ * @returns {Promise.<module:informer~Informer>} Resolves once the initial list has been added to the store
+ */
+Informer.prototype.start = function () {
+    var self = this;
+    if (this.started) return this.hasSynced();
+    this.started = true;
+    this.synced = false;
+    var deferred = defer(this);
+    this.log.info('starting informer');
+    this.endpoint.watch(this.options).then(function (emitter) {
+        if (self.deferred !== deferred) {
+            // The informer was stopped (and maybe restarted) while listing
+            emitter.stop();
+            return;
+        }
+        self.emitter = emitter;
+        self.store.replace(emitter.initialState.items || []);
+        self.synced = true;
+        self.deferred.resolve(self);
+
+        emitter.on('create', function (object) {
+            self.store.update(object);
+        }).on('update', function (object) {
+            self.store.update(object);
+        }).on('delete', function (object) {
+            self.store.delete(object);
+        }).on('resync', function (response) {
+            // Reconcile the store with the new state after the watch expired
+            self.store.replace(response.items || []);
+        }).on('error', function (error) {
+            /**
+             * Error with the underlying watch
+             * @event error
+             * @type {Error}
+             */
+            self.emit('error', error);
+        }).on('stop', function () {
+            if (self.started) self.stop();
+        });
+        emitter.start(self.retryCount);
+
+        if (self.resyncPeriod > 0) {
+            self.timer = setInterval(function () {
+                self.resync();
+            }, self.resyncPeriod);
+        }
+    }).catch(function (error) {
+        if (self.deferred !== deferred) return;
+        self.started = false;
+        deferred.reject(error);
+    });
+    return this.hasSynced();
+};
+
+/**
+ * @public
+ * @description Stop watching the API resources
+ *
+ * The contents of the store are left as they are.
+ */
+Informer.prototype.stop = function () {
+    if (!this.started) return;
+    this.started = false;
+    if (!this.synced && this.deferred) {
+        // Abandon the pending initial list
+        this.syncPromise.suppressUnhandledRejections();
+        this.deferred.reject(new errors.ClientError('informer was stopped before the initial list'));
+        this.deferred = null;
+    }
+    if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    if (this.emitter) {
+        this.emitter.stop();
+        this.emitter = null;
+    }
+    this.log.info('stopped informer');
+};
+
+/**
+ * @public
+ * @description Wait for the initial list of resources to be added to the store
+ *
+ * @returns {Promise.<module:informer~Informer>}
+ */
+Informer.prototype.hasSynced = function () {
+    return this.syncPromise;
+};
+
+/**
+ * @public
+ * @description Replay every cached resource as an `update` event
+ *
+ * This is called periodically if the `resyncPeriod` option is set, and allows handlers to retry work that may have
+ * failed for a resource which has not changed since.
+ */
+Informer.prototype.resync = function () {
+    var self = this;
+    this.log.debug('resyncing informer');
+    this.store.list().each(function (object) {
+        self.emit('update', object, object);
+    });
+};
+
+/**
+ * @public
+ * @description List all cached resources
+ *
+ * @returns {KubernetesResource[]}
+ */
+Informer.prototype.list = function () {
+    return this.store.list();
+};
+
+/**
+ * @public
+ * @description Get a cached resource
+ *
+ * @param {?string} namespace - Namespace of the resource (omit for cluster-scoped resources)
+ * @param {string} [name] - Name of the resource
+ *
+ * @returns {?KubernetesResource}
+ */
+Informer.prototype.get = function (namespace, name) {
+    if (name === undefined) {
+        name = namespace;   // Parameter 'namespace' is optional and can be safely dropped
+        namespace = null;   // get(name)
+    }
+    return this.store.get(getKey(namespace, name));
+};
+
+/**
+ * @public
+ * @description List the cached resources with the given index value
+ *
+ * @param {string} index - Name of the index
+ * @param {string} value - Indexed value
+ *
+ * @returns {KubernetesResource[]}
+ */
+Informer.prototype.byIndex = function (index, value) {
+    return this.store.byIndex(index, value);
+};
+
+/**
+ * @public
+ * @description Add a secondary index to the store
+ *
+ * @see {@link module:informer~Store#addIndexer}
+ *
+ * @param {string} index - Name of the index
+ * @param {function} indexer - Returns the index value(s) of a resource
+ */
+Informer.prototype.addIndexer = function (index, indexer) {
+    this.store.addIndexer(index, indexer);
+};
+
+/**
+ * @class
+ * @inner
+ * @memberof module:informer
+ * @extends EventEmitter
+ *
+ * @summary In-memory store of API resources
+ * @classdesc Caches API resources by namespace and name, and maintains any number of secondary indexes
+ *
+ * Resources are keyed by `namespace/name`, or by `name` alone for cluster-scoped resources. All changes are applied
+ * synchronously, so the store and its indexes are never observed in an intermediate state.
+ *
+ * @description Initialize a new `Store` object.
+ *
+ * @param {object.<string, function>} [indexers] - Index functions by name
+ *
+ * @fires event:add
+ * @fires event:update
+ * @fires event:delete
+ */
+function Store(indexers) {
+    var self = this;
+    EventEmitter.call(this);
+    /**
+     * @private
+     * @name items
+     * @memberof module:informer~Store#
+     * @description Cached resources by key
+     * @type {object.<string, KubernetesResource>}
+     */
+    Object.defineProperty(this, 'items', { value: Object.create(null) });
+    /**
+     * @private
+     * @name indexers
+     * @memberof module:informer~Store#
+     * @description Index functions by name
+     * @type {object.<string, function>}
+     */
+    Object.defineProperty(this, 'indexers', { value: Object.create(null) });
+    /**
+     * @private
+     * @name indices
+     * @memberof module:informer~Store#
+     * @description Keys of the cached resources by index name and value
+     * @type {object.<string, object.<string, object.<string, boolean>>>}
+     */
+    Object.defineProperty(this, 'indices', { value: Object.create(null) });
+    Object.keys(indexers || {}, function (index, indexer) {
+        self.addIndexer(index, indexer);
+    });
+}
+Store.prototype = Object.create(EventEmitter.prototype);
+Store.prototype.constructor = Store;
+
+/**
+ * @public
+ * @description Add a secondary index to the store
+ *
+ * The indexer is called with each resource and returns a string, an array of strings, or null if the resource should
+ * not be indexed. Existing resources are indexed immediately.
+ *
+ * @example
+ * store.addIndexer('node', function (pod) { return pod.spec.nodeName; });
+ * store.byIndex('node', 'node-1');
+ *
+ * @param {string} index - Name of the index
+ * @param {function} indexer - Returns the index value(s) of a resource
+ *
+ * @throws {Error}
+ */
+Store.prototype.addIndexer = function (index, indexer) {
+    var self = this;
+    if (typeof indexer !== 'function') {
+        throw new Error('indexer \'' + index + '\' must be a function');
+    }
+    this.indexers[index] = indexer;
+    this.indices[index] = Object.create(null);
+    Object.keys(this.items, function (key, object) {
+        self.index(index, key, object);
+    });
+};
+
+/**
+ * @public
+ * @description Get a cached resource
+ *
+ * @param {string} key - Key of the resource (`namespace/name` or `name`)
+ *
+ * @returns {?KubernetesResource}
+ */
+Store.prototype.get = function (key) {
+    return this.items[key] || null;
+};
+
+/**
+ * @public
+ * @description List all cached resources
+ *
+ * @returns {KubernetesResource[]}
+ */
+Store.prototype.list = function () {
+    var items = this.items;
+    return Object.keys(items).map(function (key) {
+        return items[key];
+    });
+};
+
+/**
+ * @public
+ * @description List the keys of all cached resources
+ *
+ * @returns {string[]}
+ */
+Store.prototype.keys = function () {
+    return Object.keys(this.items);
+};
+
+/**
+ * @public
+ * @description List the cached resources with the given index value
+ *
+ * @param {string} index - Name of the index
+ * @param {string} value - Indexed value
+ *
+ * @returns {KubernetesResource[]}
+ *
+ * @throws {Error}
+ */
+Store.prototype.byIndex = function (index, value) {
+    var items = this.items;
+    if (!this.indices[index]) {
+        throw new Error('index \'' + index + '\' does not exist');
+    }
+    return Object.keys(this.indices[index][value] || {}).map(function (key) {
+        return items[key];
+    });
+};
+
+/**
+ * @public
+ * @description Add or replace a resource in the store
+ *
+ * @param {KubernetesResource} object - Current state of the resource
+ *
+ * @fires event:add
+ * @fires event:update
+ */
+Store.prototype.update = function (object) {
+    var key = keyOf(object)
+      , previous = this.items[key];
+    this.unindex(key, previous);
+    this.items[key] = object;
+    this.index(null, key, object);
+    if (previous) {
+        this.emit('update', object, previous);
+    } else {
+        this.emit('add', object);
+    }
+};
+
+/**
+ * @public
+ * @description Remove a resource from the store
+ *
+ * @param {KubernetesResource} object - Final state of the resource
+ *
+ * @fires event:delete
+ */
+Store.prototype.delete = function (object) {
+    var key = keyOf(object);
+    if (!this.items[key]) return;
+    this.unindex(key, this.items[key]);
+    delete this.items[key];
+    this.emit('delete', object);
+};
+
+/**
+ * @public
+ * @description Replace the contents of the store with the given list of resources
+ *
+ * Resources that are no longer listed are deleted, new resources are added, and resources with a different
+ * `resourceVersion` are updated.
+ *
+ * @param {KubernetesResource[]} objects - Current state of all resources
+ *
+ * @fires event:add
+ * @fires event:update
+ * @fires event:delete
+ */
+Store.prototype.replace = function (objects) {
+    var self = this
+      , listed = Object.create(null);
+    objects.each(function (object) {
+        var key = keyOf(object)
+          , previous = self.items[key];
+        listed[key] = true;
+        if (!previous || previous.metadata.resourceVersion !== object.metadata.resourceVersion) {
+            self.update(object);
+        }
+    });
+    this.list().each(function (object) {
+        if (!listed[keyOf(object)]) {
+            self.delete(object);
+        }
+    });
+};
+
+/**
+ * @private
+ * @description Replace the `syncPromise` of the informer with a new pending one
+ *
+ * Callers waiting for the previous `syncPromise` (before the first start) are settled with the new one instead.
+ *
+ * @param {module:informer~Informer} informer - Informer to update
+ *
+ * @returns {{resolve: function, reject: function}} Settles the new `syncPromise`
+ */
+function defer(informer) {
+    var previous = informer.deferred
+      , deferred = {};
+    informer.syncPromise = new Promise(function (resolve, reject) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+    });
+    informer.deferred = deferred;
+    if (previous) {
+        previous.resolve(informer.syncPromise);
+    }
+    return deferred;
+}
+
+/**
+ * @private
+ * @description Add a resource to the secondary indexes
+ *
+ * @param {?string} index - Name of the index to update (null for all indexes)
+ * @param {string} key - Key of the resource
+ * @param {KubernetesResource} object - Resource to index
+ */
+Store.prototype.index = function (index, key, object) {
+    var self = this;
+    (index ? [index] : Object.keys(this.indexers)).each(function (index) {
+        indexValues(self.indexers[index], object).each(function (value) {
+            var keys = self.indices[index][value] || (self.indices[index][value] = Object.create(null));
+            keys[key] = true;
+        });
+    });
+};
+
+/**
+ * @private
+ * @description Remove a resource from the secondary indexes
+ *
+ * @param {string} key - Key of the resource
+ * @param {?KubernetesResource} object - Resource to remove
+ */
+Store.prototype.unindex = function (key, object) {
+    var self = this;
+    if (!object) return;
+    Object.keys(this.indexers).each(function (index) {
+        indexValues(self.indexers[index], object).each(function (value) {
+            var keys = self.indices[index][value];
+            if (!keys) return;
+            delete keys[key];
+            if (Object.keys(keys).length === 0) delete self.indices[index][value];
+        });
+    });
+};
+
+/**
+ * @private
+ * @description Get the index values of a resource as a list of strings
+ *
+ * @param {function} indexer - Index function
+ * @param {KubernetesResource} object - Resource to index
+ *
+ * @returns {string[]}
+ */
+function indexValues(indexer, object) {
+    var values = indexer(object);
+    if (values === null || values === undefined) return [];
+    return (Array.isArray(values) ? values : [values]).map(String);
+}
+
+/**
+ * @private
+ * @description Get the store key of a resource
+ *
+ * @param {KubernetesResource} object - Resource
+ *
+ * @returns {string}
+ */
+function keyOf(object) {
+    return getKey(object.metadata.namespace, object.metadata.name);
+}
+
+/**
+ * @private
+ * @description Get the store key for the given namespace and name
+ *
+ * @param {?string} namespace - Namespace of the resource
+ * @param {string} name - Name of the resource
+ *
+ * @returns {string}
+ */
+function getKey(namespace, name) {
+    return namespace ? namespace + '/' + name : name;
+}
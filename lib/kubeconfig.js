@@ -0,0 +1,276 @@
+'use strict';
+require('sugar');
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , yaml = require('js-yaml')
+  , errors = require('./errors');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:kubeconfig
+ * @description Resolve client configuration options from kubeconfig files
+ *
+ * If no file is given, the files listed in the `KUBECONFIG` environment variable are merged in order. If that is not
+ * set either, then `~/.kube/config` is used. Merging follows the same rules as `kubectl`: the first file to define a
+ * named cluster, user, or context (or the `current-context`) takes precedence over any later files.
+ *
+ * The returned object contains the `host`, `namespace`, `token`, `tokenFile`, `auth`, `authProvider` and `tls`
+ * properties that can be supplied to the [ClientConfig]{@link module:client~ClientConfig} constructor. Users with an
+ * `exec` credential plugin or an `oidc` auth-provider are mapped to the corresponding
+ * [authentication provider]{@link module:auth.AuthProvider}.
+ *
+ * @param {?string|string[]} [file] - Path (or list of paths) of the kubeconfig file(s) to load
+ * @param {?string} [context] - Name of the context to use (defaults to `current-context`)
+ *
+ * @returns {object} Client configuration options
+ *
+ * @throws {Error|module:errors.ParameterError}
+ */
+/**
+ * @module kubeconfig
+ * @description Kubeconfig and Service Account Configuration Module
+ */
+module.exports = function LoadKubeconfig(file, context) {
+    var config = mergeFiles(findFiles(file));
+
+    // Resolve the named context and the cluster and user that it refers to
+    context = context || config['current-context'];
+    if (!context) {
+        throw new errors.ParameterError('current-context');
+    }
+    var ctx = lookup(config, 'contexts', 'context', context)
+      , cluster = lookup(config, 'clusters', 'contexts[\'' + context + '\'].cluster', ctx.cluster)
+      , user = ctx.user ? lookup(config, 'users', 'contexts[\'' + context + '\'].user', ctx.user) : {};
+
+    if (!cluster.server) {
+        throw new errors.ParameterError('clusters[\'' + ctx.cluster + '\'].server');
+    }
+    var options = { host: cluster.server };
+    if (ctx.namespace) {
+        options.namespace = ctx.namespace;
+    }
+
+    // Collect TLS options for the cluster and client certificate
+    var tls = {};
+    if (cluster['certificate-authority-data'] || cluster['certificate-authority']) {
+        tls.ca = readData(cluster, 'certificate-authority');
+    }
+    if (cluster['insecure-skip-tls-verify']) {
+        tls.insecureSkipVerify = true;
+    }
+    if (user['client-certificate-data'] || user['client-certificate']) {
+        tls.cert = readData(user, 'client-certificate');
+        if (!user['client-key-data'] && !user['client-key']) {
+            throw new errors.ParameterError('users[\'' + ctx.user + '\'].client-key');
+        }
+        tls.key = readData(user, 'client-key');
+    }
+    if (Object.keys(tls).length > 0) {
+        options.tls = tls;
+    }
+
+    // Collect user credentials
+    if (user.token) {
+        options.token = user.token;
+    } else if (user.tokenFile) {
+        options.tokenFile = user.tokenFile;
+    }
+    if (user.username || user.password) {
+        options.auth = { user: user.username, pass: user.password };
+        options.authProvider = 'basic';
+    }
+    if (user.exec) {
+        options.authProvider = {
+            type: 'exec'
+            , command: user.exec.command
+            , args: user.exec.args
+            , env: user.exec.env
+            , apiVersion: user.exec.apiVersion
+        };
+    } else if (user['auth-provider'] && user['auth-provider'].name === 'oidc') {
+        var oidc = user['auth-provider'].config || {};
+        options.authProvider = {
+            type: 'oidc'
+            , issuerUrl: oidc['idp-issuer-url']
+            , clientId: oidc['client-id']
+            , clientSecret: oidc['client-secret']
+            , idToken: oidc['id-token']
+            , refreshToken: oidc['refresh-token']
+        };
+    }
+    return options;
+};
+
+/**
+ * @static
+ * @function
+ * @memberof module:kubeconfig
+ * @description Resolve client configuration options from the pod's service account
+ *
+ * The API server host is read from the `KUBERNETES_SERVICE_HOST` and `KUBERNETES_SERVICE_PORT` environment variables.
+ * The `token`, `ca.crt` and `namespace` files are read from the service account directory. The token is returned as a
+ * `tokenFile` reference so that rotated tokens are picked up by the [auth]{@link module:auth} module.
+ *
+ * @param {?string} [root=/var/run/secrets/kubernetes.io/serviceaccount] - Service account directory
+ *
+ * @returns {object} Client configuration options
+ *
+ * @throws {module:errors.ParameterError}
+ */
+module.exports.inCluster = function (root) {
+    root = root || SERVICE_ACCOUNT_PATH;
+    var host = process.env.KUBERNETES_SERVICE_HOST
+      , port = process.env.KUBERNETES_SERVICE_PORT;
+    if (!host) {
+        throw new errors.ParameterError('KUBERNETES_SERVICE_HOST');
+    }
+    if (!port) {
+        throw new errors.ParameterError('KUBERNETES_SERVICE_PORT');
+    }
+    if (!fs.existsSync(path.join(root, 'token'))) {
+        throw new errors.ParameterError(path.join(root, 'token'));
+    }
+    var options = {
+        host: 'https://' + (host.has(':') ? '[' + host + ']' : host) + ':' + port
+        , tokenFile: path.join(root, 'token')
+    };
+    if (fs.existsSync(path.join(root, 'ca.crt'))) {
+        options.tls = { ca: path.join(root, 'ca.crt') };
+    }
+    if (fs.existsSync(path.join(root, 'namespace'))) {
+        options.namespace = fs.readFileSync(path.join(root, 'namespace'), 'utf8');
+    }
+    return options;
+};
+
+/**
+ * @private
+ * @constant
+ * @description Default mount path of the service account secret in a pod
+ * @type {string}
+ */
+const SERVICE_ACCOUNT_PATH = '/var/run/secrets/kubernetes.io/serviceaccount';
+
+/**
+ * @private
+ * @description Determine which kubeconfig files should be loaded
+ *
+ * Files listed in `KUBECONFIG` that do not exist are ignored, as with `kubectl`. An explicitly given file must exist.
+ *
+ * @param {?string|string[]} [file] - Path (or list of paths) of the kubeconfig file(s) to load
+ *
+ * @returns {string[]} Absolute paths of the files to load
+ *
+ * @throws {module:errors.ParameterError}
+ */
+function findFiles(file) {
+    var files;
+    if (file) {
+        files = Array.isArray(file) ? file : [file];
+    } else if (process.env.KUBECONFIG) {
+        files = process.env.KUBECONFIG.split(path.delimiter).filter(function (each) {
+            return each && fs.existsSync(each);
+        });
+    } else if (fs.existsSync(path.join(os.homedir(), '.kube', 'config'))) {
+        files = [path.join(os.homedir(), '.kube', 'config')];
+    } else {
+        files = [];
+    }
+    if (files.length === 0) {
+        throw new errors.ParameterError('kubeconfig');
+    }
+    return files.map(function (each) {
+        return path.resolve(each);
+    });
+}
+
+/**
+ * @private
+ * @description Parse and merge the given kubeconfig files
+ *
+ * Relative file references are resolved against the directory of the kubeconfig file that defines them.
+ *
+ * @param {string[]} files - Absolute paths of the files to load
+ *
+ * @returns {object} Merged kubeconfig object
+ */
+function mergeFiles(files) {
+    var merged = { clusters: [], users: [], contexts: [] };
+    files.each(function (file) {
+        var config = yaml.safeLoad(fs.readFileSync(file, 'utf8')) || {};
+        if (!merged['current-context'] && config['current-context']) {
+            merged['current-context'] = config['current-context'];
+        }
+        [['clusters', 'cluster'], ['users', 'user'], ['contexts', 'context']].each(function (type) {
+            (config[type[0]] || []).each(function (entry) {
+                if (!entry || !entry.name || merged[type[0]].any({name: entry.name})) {
+                    return;
+                }
+                merged[type[0]].push({ name: entry.name, value: resolvePaths(entry[type[1]] || {}, file) });
+            });
+        });
+    });
+    return merged;
+}
+
+/**
+ * @private
+ * @description Resolve all relative file references of a kubeconfig entry
+ *
+ * @param {object} entry - Cluster, user, or context definition
+ * @param {string} file - Path of the kubeconfig file that defines the entry
+ *
+ * @returns {object} Copy of the entry with absolute file references
+ */
+function resolvePaths(entry, file) {
+    entry = Object.clone(entry, true);
+    ['certificate-authority', 'client-certificate', 'client-key', 'tokenFile'].each(function (key) {
+        if (typeof entry[key] === 'string') {
+            entry[key] = path.resolve(path.dirname(file), entry[key]);
+        }
+    });
+    return entry;
+}
+
+/**
+ * @private
+ * @description Find a named entry in the merged kubeconfig
+ *
+ * @param {object} config - Merged kubeconfig object
+ * @param {string} list - Name of the list to search
+ * @param {string} reference - Name of the referring parameter (used for error messages)
+ * @param {?string} name - Name of the entry
+ *
+ * @returns {object}
+ *
+ * @throws {module:errors.ParameterError}
+ */
+function lookup(config, list, reference, name) {
+    if (!name) {
+        throw new errors.ParameterError(reference);
+    }
+    var entry = config[list].find({name: name});
+    if (!entry) {
+        throw new errors.ParameterError(list + '[\'' + name + '\']');
+    }
+    return entry.value;
+}
+
+/**
+ * @private
+ * @description Read a certificate or key from inline base64 data or from a file
+ *
+ * @param {object} entry - Cluster or user definition
+ * @param {string} key - Name of the property (the `-data` suffix is checked first)
+ *
+ * @returns {string} PEM encoded data
+ */
+function readData(entry, key) {
+    if (entry[key + '-data']) {
+        return Buffer.from(entry[key + '-data'], 'base64').toString();
+    }
+    return fs.readFileSync(entry[key], 'utf8');
+}
@@ -0,0 +1,159 @@
+'use strict';
+require('sugar');
+var Promise = require('bluebird');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:limiter
+ * @description Create a new request limiter
+ *
+ * @param {?object} [options] - Rate limit options (see [Limiter]{@link module:limiter~Limiter})
+ *
+ * @returns {module:limiter~Limiter}
+ */
+/**
+ * @module limiter
+ * @description Client-side Rate Limiting Module
+ */
+module.exports = function CreateLimiter(options) {
+    return new Limiter(options);
+};
+module.exports.Limiter = Limiter;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:limiter
+ *
+ * @summary Token bucket rate limiter with a concurrency cap
+ * @classdesc Schedules tasks so that no more than `qps` tasks start per second on average, with bursts of up to
+ * `burst` tasks, and no more than `concurrency` tasks run at the same time. Tasks start in the order they were
+ * scheduled. Without `qps` or `concurrency`, the corresponding limit is disabled.
+ *
+ * @description Initialize a new `Limiter` object.
+ *
+ * @param {?object} [options] - Rate limit options
+ * @param {?number} [options.qps=null] - Average number of tasks started per second
+ * @param {?number} [options.burst] - Maximum number of tasks started at once (defaults to `qps`, rounded up)
+ * @param {?number} [options.concurrency=null] - Maximum number of tasks running at the same time
+ */
+function Limiter(options) {
+    options = options || {};
+    /**
+     * @name qps
+     * @memberof module:limiter~Limiter#
+     * @description Average number of tasks started per second
+     * @type {?number}
+     */
+    Object.defineProperty(this, 'qps', { enumerable: true, value: options.qps > 0 ? options.qps : null });
+    /**
+     * @name burst
+     * @memberof module:limiter~Limiter#
+     * @description Maximum number of tasks started at once
+     * @type {?number}
+     */
+    Object.defineProperty(this, 'burst', {
+        enumerable: true
+        , value: this.qps ? Math.max(1, options.burst > 0 ? options.burst : Math.ceil(this.qps)) : null
+    });
+    /**
+     * @name concurrency
+     * @memberof module:limiter~Limiter#
+     * @description Maximum number of tasks running at the same time
+     * @type {?number}
+     */
+    Object.defineProperty(this, 'concurrency', {
+        enumerable: true
+        , value: options.concurrency > 0 ? options.concurrency : null
+    });
+    /**
+     * @name active
+     * @memberof module:limiter~Limiter#
+     * @description Number of running tasks
+     * @type {number}
+     */
+    Object.defineProperty(this, 'active', { enumerable: true, writable: true, value: 0 });
+    /**
+     * @private
+     * @name pending
+     * @memberof module:limiter~Limiter#
+     * @description Start functions of the tasks waiting to run
+     * @type {function[]}
+     */
+    Object.defineProperty(this, 'pending', { value: [] });
+    /**
+     * @private
+     * @name tokens
+     * @memberof module:limiter~Limiter#
+     * @description Tokens left in the bucket
+     * @type {number}
+     */
+    Object.defineProperty(this, 'tokens', { writable: true, value: this.burst });
+    /**
+     * @private
+     * @name refilled
+     * @memberof module:limiter~Limiter#
+     * @description Time of the last bucket refill
+     * @type {number}
+     */
+    Object.defineProperty(this, 'refilled', { writable: true, value: Date.now() });
+    /**
+     * @private
+     * @name timer
+     * @memberof module:limiter~Limiter#
+     * @description Timer until the next token is available
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'timer', { writable: true, value: null });
+}
+
+/**
+ * @public
+ * @description Run the task once the limits allow it
+ *
+ * @param {function} task - Starts the task, may return a `Promise`
+ *
+ * @returns {Promise} Promise of the task result
+ */
+Limiter.prototype.schedule = function (task) {
+    var self = this;
+    if (!self.qps && !self.concurrency) {
+        return Promise.try(task);
+    }
+    return new Promise(function (resolve) {
+        self.pending.push(resolve);
+        self.dispatch();
+    }).then(function () {
+        return task();
+    }).finally(function () {
+        self.active--;
+        self.dispatch();
+    });
+};
+
+/**
+ * @private
+ * @description Start the pending tasks allowed by the limits
+ */
+Limiter.prototype.dispatch = function () {
+    var self = this;
+    while (self.pending.length && !self.timer && (!self.concurrency || self.active < self.concurrency)) {
+        if (self.qps) {
+            var now = Date.now();
+            self.tokens = Math.min(self.burst, self.tokens + (now - self.refilled) * self.qps / 1000);
+            self.refilled = now;
+            if (self.tokens < 1) {
+                self.timer = setTimeout(function () {
+                    self.timer = null;
+                    self.dispatch();
+                }, Math.ceil((1 - self.tokens) * 1000 / self.qps));
+                return;
+            }
+            self.tokens--;
+        }
+        self.active++;
+        self.pending.shift()();
+    }
+};
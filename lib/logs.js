@@ -0,0 +1,455 @@
+'use strict';
+require('sugar');
+var stream = require('stream')
+  , StringDecoder = require('string_decoder').StringDecoder
+  , Promise = require('bluebird')
+  , request = require('request')
+  , backoff = require('./backoff')
+  , errors = require('./errors');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:logs
+ * @description Create a new log stream
+ *
+ * @param {object} qs - Log query parameters (see [LogStream]{@link module:logs~LogStream})
+ * @param {function} connect - Opens a log request (see [LogStream]{@link module:logs~LogStream})
+ * @param {function} active - Returns a `Promise` of whether the log may still grow
+ * @param {?object} [options] - Log stream options
+ * @param logger
+ *
+ * @returns {module:logs~LogStream}
+ */
+/**
+ * @module logs
+ * @description Container Log Streaming Module
+ */
+module.exports = function CreateLogStream(qs, connect, active, options, logger) {
+    return new LogStream(qs, connect, active, options, logger);
+};
+module.exports.LogStream = LogStream;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:logs
+ * @extends stream.Readable
+ *
+ * @summary Readable stream of log lines
+ * @classdesc Reads the log of a container (or build) from the API server and emits each line as a string, without
+ * the trailing newline.
+ *
+ * A followed log is reconnected whenever the connection drops, fails with a connection error or a 5xx status, or
+ * ends while the `active` check reports that the log may still grow. The stream resumes from the timestamp of the
+ * last line, and lines which were already read are skipped. Logs limited with `limitBytes` and logs of `previous`
+ * containers are never reconnected.
+ *
+ * @description Initialize a new `LogStream` object.
+ *
+ * @param {object} qs - Log query parameters (`follow`, `container`, `previous`, `sinceSeconds`, `sinceTime`,
+ * `tailLines`, `timestamps` and `limitBytes`)
+ * @param {function} connect - Called with the query parameters and a `listen` function for each connection. It sends
+ * the request options to `listen`, and returns a `Promise` which is rejected if the request could not be sent.
+ * @param {function} active - Returns a `Promise` of whether the log may still grow
+ * @param {?object} [options] - Log stream options
+ * @param {object} [options.backoff] - Reconnection backoff policy (see [backoff]{@link module:backoff})
+ * @param logger
+ *
+ * @fires event:reconnect
+ */
+function LogStream(qs, connect, active, options, logger) {
+    stream.Readable.call(this, { objectMode: true });
+    options = options || {};
+    /**
+     * @name qs
+     * @memberof module:logs~LogStream#
+     * @description Log query parameters
+     * @type {object}
+     */
+    Object.defineProperty(this, 'qs', { enumerable: true, value: Object.clone(qs, true) });
+    /**
+     * @name follow
+     * @memberof module:logs~LogStream#
+     * @description If true then the stream is reconnected until the log stops growing
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'follow', {
+        enumerable: true
+        , value: !!this.qs.follow && !this.qs.previous && !this.qs.limitBytes
+    });
+    /**
+     * @name closed
+     * @memberof module:logs~LogStream#
+     * @description If true then no more lines will be read
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'closed', { enumerable: true, writable: true, value: false });
+    /**
+     * @private
+     * @name connect
+     * @memberof module:logs~LogStream#
+     * @description Opens a log request
+     * @type {function}
+     */
+    Object.defineProperty(this, 'connect', { value: connect });
+    /**
+     * @private
+     * @name active
+     * @memberof module:logs~LogStream#
+     * @description Returns a `Promise` of whether the log may still grow
+     * @type {function}
+     */
+    Object.defineProperty(this, 'active', { value: active });
+    /**
+     * @private
+     * @name request
+     * @memberof module:logs~LogStream#
+     * @description Request for the current connection
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'request', { writable: true, value: null });
+    /**
+     * @private
+     * @name attempt
+     * @memberof module:logs~LogStream#
+     * @description Identifies the current connection, changed whenever the connection is aborted
+     * @type {number}
+     */
+    Object.defineProperty(this, 'attempt', { writable: true, value: 0 });
+    /**
+     * @private
+     * @name timer
+     * @memberof module:logs~LogStream#
+     * @description Pending reconnection timer
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'timer', { writable: true, value: null });
+    /**
+     * @private
+     * @name timestamp
+     * @memberof module:logs~LogStream#
+     * @description Timestamp of the last line read from a followed log
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'timestamp', { writable: true, value: null });
+    /**
+     * @private
+     * @name repeated
+     * @memberof module:logs~LogStream#
+     * @description Number of lines read with the last timestamp
+     * @type {number}
+     */
+    Object.defineProperty(this, 'repeated', { writable: true, value: 0 });
+    /**
+     * @private
+     * @name backoff
+     * @memberof module:logs~LogStream#
+     * @description Backoff policy for reconnecting the log stream
+     * @type {module:backoff~Backoff}
+     */
+    Object.defineProperty(this, 'backoff', { value: backoff(options.backoff) });
+    /**
+     * @private
+     * @name log
+     * @memberof module:logs~LogStream#
+     * @description Bunyan logger for the LogStream
+     * @type {bunyan}
+     */
+    Object.defineProperty(this, 'log', { value: logger.child() });
+    this.open();
+}
+LogStream.prototype = Object.create(stream.Readable.prototype);
+Object.defineProperty(LogStream.prototype, 'constructor', { value: LogStream });
+
+/**
+ * @private
+ * @description Resume reading once the consumer wants more lines
+ */
+LogStream.prototype._read = function () {
+    if (this.request) this.request.resume();
+};
+
+/**
+ * @public
+ * @description Stop reading the log and end the stream
+ */
+LogStream.prototype.close = function () {
+    if (this.closed) return;
+    this.abort();
+    this.finish();
+};
+
+/**
+ * @private
+ * @description Open a new connection, resuming after the last line read
+ */
+LogStream.prototype.open = function () {
+    var self = this
+      , attempt = this.attempt
+      , qs = Object.clone(this.qs, true)
+      , skip = { timestamp: this.timestamp, count: this.repeated };
+
+    // Followed logs are read with timestamps, so that a new connection can resume where the last one stopped
+    if (this.follow) {
+        qs.timestamps = true;
+        if (this.timestamp) {
+            qs.sinceTime = this.timestamp;
+            delete qs.sinceSeconds;
+            delete qs.tailLines;
+        }
+    }
+    this.log.debug({qs: qs}, 'reading log');
+    var requestListener = null;
+    this.connect(qs, function (options) {
+        if (self.attempt !== attempt) {
+            return Promise.reject(new errors.ClientError('log stream was closed before it was opened'));
+        }
+        return new Promise(function (resolve, reject) {
+            requestListener = self.listen(options, skip);
+            requestListener.on('response', function (response) {
+                var error = errors(null, response);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(response);
+                }
+            }).on('error', reject);
+        });
+    }).catch(function (error) {
+        // Failures of an open connection are handled by its own listeners
+        if (self.attempt !== attempt || requestListener) return;
+        self.fail(error);
+    });
+};
+
+/**
+ * @private
+ * @description Send the log request and push its lines to the stream
+ *
+ * @param {object} options - Request options
+ * @param {object} skip - Last timestamp read by the previous connection, and the number of lines read with it
+ *
+ * @returns {EventEmitter} Request for the log
+ */
+LogStream.prototype.listen = function (options, skip) {
+    var self = this;
+    /** @type {EventEmitter} */
+    var requestListener = this.request = request(options);
+
+    // Response of a failed request, whose body is the Status explaining the error
+    var failed = null
+      , body = [];
+    requestListener.on('response', function (response) {
+        if (errors(null, response)) {
+            failed = response;
+        } else {
+            self.backoff.reset();
+        }
+    }).on('error', function (error) {
+        if (self.request !== requestListener) return;
+        self.fail(error);
+    });
+
+    // Split the log into lines, keeping a partial line until the rest of it has been received
+    var decoder = new StringDecoder('utf8')
+      , buffer = '';
+    function push(line) {
+        if (self.follow) {
+            var index = line.indexOf(' ')
+              , timestamp = getTimestamp(index === -1 ? line : line.slice(0, index));
+            if (skip.timestamp && timestamp) {
+                if (timestamp < skip.timestamp || (timestamp === skip.timestamp && skip.count-- > 0)) return;
+                skip.timestamp = null;
+            }
+            if (timestamp) {
+                self.repeated = (timestamp === self.timestamp) ? self.repeated + 1 : 1;
+                self.timestamp = timestamp;
+                if (!self.qs.timestamps) line = (index === -1) ? '' : line.slice(index + 1);
+            }
+        }
+        if (!self.push(line)) requestListener.pause();
+    }
+    requestListener.on('data', function (data) {
+        // An abandoned connection has no listeners, and the body of an error response is not a log
+        if (self.request !== requestListener) return;
+        if (failed) {
+            body.push(data);
+            return;
+        }
+        var lines = (buffer + decoder.write(data)).split('\n');
+        buffer = lines.pop();
+        lines.each(function (line) {
+            if (self.request === requestListener) push(line);
+        });
+    }).on('end', function () {
+        if (self.request !== requestListener) return;
+        if (failed) {
+            self.fail(errors(null, {
+                statusCode: failed.statusCode
+                , headers: failed.headers
+                , body: Buffer.concat(body)
+                , request: failed.request
+            }));
+            return;
+        }
+        buffer += decoder.end();
+        if (buffer) push(buffer);
+        self.request = null;
+        self.ended();
+    });
+    return requestListener;
+};
+
+/**
+ * @private
+ * @description End the stream, unless a followed log may still grow
+ */
+LogStream.prototype.ended = function () {
+    var self = this
+      , attempt = this.attempt;
+    if (!this.follow) {
+        this.finish();
+        return;
+    }
+    // The API server also closes followed logs when the connection times out
+    this.active().then(function (active) {
+        if (self.attempt !== attempt) return;
+        if (active) {
+            self.reconnect();
+        } else {
+            self.finish();
+        }
+    }, function (error) {
+        if (self.attempt !== attempt) return;
+        if (isTransient(error)) {
+            self.reconnect(error);
+        } else {
+            // The pod (or build) is gone, so the log is complete
+            self.log.debug(error, 'log is no longer available');
+            self.finish();
+        }
+    });
+};
+
+/**
+ * @private
+ * @description Reconnect after a transient failure of a followed log, or emit the error and end the stream
+ *
+ * @param {Error} error - Reason the connection failed
+ */
+LogStream.prototype.fail = function (error) {
+    this.abort();
+    if (this.closed) return;
+    if (this.follow && isTransient(error)) {
+        this.reconnect(error);
+    } else {
+        this.log.error(error);
+        this.emit('error', error);
+        this.finish();
+    }
+};
+
+/**
+ * @private
+ * @description Open a new connection after the configured backoff delay
+ *
+ * @param {?Error} [error] - Reason the last connection was closed
+ */
+LogStream.prototype.reconnect = function (error) {
+    var self = this;
+    this.abort();
+    if (this.closed) return;
+    var delay = this.backoff.next();
+    this.log.debug({
+        sinceTime: this.timestamp
+        , attempt: this.backoff.attempts
+        , delay: delay
+        , error: error
+    }, 'reconnecting log stream');
+    /**
+     * The log connection was closed and will be reopened after a delay
+     * @event reconnect
+     * @type {object}
+     * @property {number} attempt - Number of consecutive reconnection attempts
+     * @property {number} delay - Delay in milliseconds before reconnecting
+     * @property {?Error} error - Reason the connection was closed
+     */
+    this.emit('reconnect', { attempt: this.backoff.attempts, delay: delay, error: error || null });
+    this.timer = setTimeout(function () {
+        self.timer = null;
+        self.open();
+    }, delay);
+};
+
+/**
+ * @private
+ * @description Close the current connection and cancel any pending reconnection
+ */
+LogStream.prototype.abort = function () {
+    this.attempt++;
+    if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    if (this.request) {
+        var requestListener = this.request;
+        this.request = null;
+        requestListener.abort();
+    }
+};
+
+/**
+ * @private
+ * @description End the stream
+ */
+LogStream.prototype.finish = function () {
+    if (this.closed) return;
+    this.closed = true;
+    this.log.debug('log stream ended');
+    this.push(null);
+};
+
+/**
+ * @private
+ * @description Check whether a failed log request may succeed if repeated
+ *
+ * @param {Error} error - Request error
+ *
+ * @returns {boolean}
+ */
+function isTransient(error) {
+    return RECONNECT_ERRORS.indexOf(error.code) !== -1 || error.statusCode > 499;
+}
+
+/**
+ * @private
+ * @description Normalize the RFC 3339 timestamp of a log line, so that timestamps can be compared as strings
+ *
+ * The fraction of the second is padded to nanoseconds, because the API server drops its trailing zeros.
+ *
+ * @param {string} value - Timestamp prefix of the log line
+ *
+ * @returns {?string} Normalized timestamp, or null if the value is not a timestamp
+ */
+function getTimestamp(value) {
+    var match = TIMESTAMP_PATTERN.exec(value);
+    return match ? match[1] + '.' + (match[2] || '').padRight(9, '0') + 'Z' : null;
+}
+
+/**
+ * @private
+ * @constant
+ * @description Error codes of connection failures after which a followed log is reconnected
+ * @type {string[]}
+ */
+const RECONNECT_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * @private
+ * @constant
+ * @description UTC timestamp added to each log line, with the optional fraction of the second captured separately
+ * @type {RegExp}
+ */
+const TIMESTAMP_PATTERN = /^(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d)(?:\.(\d{1,9}))?Z$/;
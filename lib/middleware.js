@@ -0,0 +1,66 @@
+'use strict';
+require('sugar');
+var Promise = require('bluebird');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:middleware
+ * @description Send a request through a middleware chain
+ *
+ * Each middleware is called with the request options, a `next` function and the request context. Calling `next` with
+ * the (possibly modified) options passes the request on to the next middleware, and finally to the `send` function.
+ * `next` returns a `Promise` of the response, which is rejected with the error if the request fails. The middleware
+ * returns (a `Promise` of) the response for the previous middleware. It may also modify the response, recover from
+ * the error, or return a response without calling `next` at all.
+ *
+ * @example
+ * client.use(function (options, next, context) {
+ *     options.headers = Object.merge(options.headers || {}, { 'X-Request-Id': uuid() });
+ *     return next(options).tap(function (response) {
+ *         audit.log(context.type, options.method, options.url, response.statusCode);
+ *     });
+ * });
+ *
+ * @param {module:middleware~Middleware[]} stack - Middleware functions in the order they are called
+ * @param {object} options - Request options
+ * @param {function} send - Sends the request with the given options and returns a `Promise` of the response
+ * @param {module:middleware~MiddlewareContext} context - Request context
+ *
+ * @returns {Promise.<object>} Promise of the response
+ */
+/**
+ * @module middleware
+ * @description Request Middleware Module
+ */
+module.exports = function RunMiddleware(stack, options, send, context) {
+    stack = stack || [];
+    function dispatch(index, options) {
+        if (index >= stack.length) {
+            return Promise.try(send.bind(null, options));
+        }
+        return Promise.try(function () {
+            return stack[index](options, function (nextOptions) {
+                return dispatch(index + 1, nextOptions || options);
+            }, context);
+        });
+    }
+    return dispatch(0, options);
+};
+
+/**
+ * @callback module:middleware~Middleware
+ * @param {object} options - Request options for the `request` module
+ * @param {function} next - Passes the options on and returns a `Promise` of the response
+ * @param {module:middleware~MiddlewareContext} context - Request context
+ * @returns {object|Promise.<object>} Response (or a `Promise` of the response)
+ */
+
+/**
+ * @typedef {object} module:middleware~MiddlewareContext
+ * @property {string} type - Source of the request: `request` for endpoint methods, `watch` for watch sockets, `log`
+ * for log streams, `channel` for `exec`, `attach` and `portforward` sockets or `auth` for authentication provider
+ * requests
+ * @property {?string} resource - Resource name of the endpoint making the request
+ */
@@ -0,0 +1,407 @@
+'use strict';
+require('sugar');
+var EventEmitter = require('events')
+  , Promise = require('bluebird')
+  , bunyan = require('bunyan')
+  , backoff = require('./backoff');
+
+/**
+ * @private
+ * @name EventEmitter
+ * @property prototype
+ */
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:queue
+ * @description Initialize a new `WorkQueue` with the given handler
+ *
+ * @param {function} handler - Processes a single key (see [WorkQueue]{@link module:queue~WorkQueue})
+ * @param {?object} [options] - Work queue options
+ * @param {bunyan} [logger] - Parent logger for the work queue
+ *
+ * @returns {module:queue~WorkQueue}
+ */
+/**
+ * @module queue
+ * @description Controller Work Queue Module
+ */
+module.exports = function CreateQueue(handler, options, logger) {
+    return new WorkQueue(handler, options, logger);
+};
+module.exports.WorkQueue = WorkQueue;
+
+/**
+ * @class
+ * @inner
+ * @memberof module:queue
+ * @extends EventEmitter
+ *
+ * @summary Deduplicating work queue for controllers
+ * @classdesc Processes keys of API resources with bounded concurrency and rate-limited retries
+ *
+ * A key is queued at most once. If a key is added again while it is being processed, it is processed once more after
+ * the current attempt has finished, so the handler never runs concurrently for the same key and never misses the latest
+ * state. The handler is called with the key and may return a `Promise`; if it throws or rejects, the key is retried
+ * after a per-key exponential backoff delay until `maxRetries` is reached.
+ *
+ * Keys are usually `namespace/name` strings (or `name` for cluster-scoped resources), which can be looked up in an
+ * [Informer]{@link module:informer~Informer} cache. API resources can be added directly and are converted to their key.
+ *
+ * @description Initialize a new `WorkQueue` object.
+ *
+ * @param {function} handler - Processes a single key, may return a `Promise`
+ * @param {?object} [options] - Work queue options
+ * @param {number} [options.concurrency=1] - Maximum number of keys processed at the same time
+ * @param {?number} [options.maxRetries=null] - Maximum number of retries for a failed key (null for infinite)
+ * @param {object} [options.backoff] - Per-key retry backoff policy (see [backoff]{@link module:backoff})
+ * @param {bunyan} [logger] - Parent logger for the work queue
+ *
+ * @fires event:done
+ * @fires event:retry
+ * @fires event:drop
+ * @fires event:drain
+ *
+ * @throws {Error}
+ */
+function WorkQueue(handler, options, logger) {
+    EventEmitter.call(this);
+    options = options || {};
+    if (typeof handler !== 'function') {
+        throw new Error('work queue handler must be a function');
+    }
+    /**
+     * @private
+     * @name handler
+     * @memberof module:queue~WorkQueue#
+     * @description Processes a single key
+     * @type {function}
+     */
+    Object.defineProperty(this, 'handler', { value: handler });
+    /**
+     * @name concurrency
+     * @memberof module:queue~WorkQueue#
+     * @description Maximum number of keys processed at the same time
+     * @type {number}
+     */
+    Object.defineProperty(this, 'concurrency', { enumerable: true, value: Math.max(1, options.concurrency || 1) });
+    /**
+     * @name maxRetries
+     * @memberof module:queue~WorkQueue#
+     * @description Maximum number of retries for a failed key (null for infinite)
+     * @type {?number}
+     */
+    Object.defineProperty(this, 'maxRetries', {
+        enumerable: true
+        , value: typeof options.maxRetries === 'number' ? options.maxRetries : null
+    });
+    /**
+     * @private
+     * @name backoffOptions
+     * @memberof module:queue~WorkQueue#
+     * @description Options for the per-key backoff policies
+     * @type {?object}
+     */
+    Object.defineProperty(this, 'backoffOptions', { value: options.backoff || null });
+    /**
+     * @private
+     * @name queue
+     * @memberof module:queue~WorkQueue#
+     * @description Keys waiting to be processed, in order
+     * @type {string[]}
+     */
+    Object.defineProperty(this, 'queue', { value: [] });
+    /**
+     * @private
+     * @name queued
+     * @memberof module:queue~WorkQueue#
+     * @description Set of keys waiting to be processed
+     * @type {object.<string, boolean>}
+     */
+    Object.defineProperty(this, 'queued', { value: Object.create(null) });
+    /**
+     * @private
+     * @name processing
+     * @memberof module:queue~WorkQueue#
+     * @description Set of keys being processed
+     * @type {object.<string, boolean>}
+     */
+    Object.defineProperty(this, 'processing', { value: Object.create(null) });
+    /**
+     * @private
+     * @name dirty
+     * @memberof module:queue~WorkQueue#
+     * @description Set of keys that were added again while being processed
+     * @type {object.<string, boolean>}
+     */
+    Object.defineProperty(this, 'dirty', { value: Object.create(null) });
+    /**
+     * @private
+     * @name timers
+     * @memberof module:queue~WorkQueue#
+     * @description Delayed additions by key
+     * @type {object.<string, object>}
+     */
+    Object.defineProperty(this, 'timers', { value: Object.create(null) });
+    /**
+     * @private
+     * @name backoffs
+     * @memberof module:queue~WorkQueue#
+     * @description Retry backoff policies of failed keys
+     * @type {object.<string, module:backoff~Backoff>}
+     */
+    Object.defineProperty(this, 'backoffs', { value: Object.create(null) });
+    /**
+     * @private
+     * @name active
+     * @memberof module:queue~WorkQueue#
+     * @description Number of keys being processed
+     * @type {number}
+     */
+    Object.defineProperty(this, 'active', { writable: true, value: 0 });
+    /**
+     * @name shuttingDown
+     * @memberof module:queue~WorkQueue#
+     * @description If true then the work queue no longer accepts keys
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'shuttingDown', { writable: true, value: false });
+    /**
+     * @private
+     * @name log
+     * @memberof module:queue~WorkQueue#
+     * @description Bunyan logger for the WorkQueue
+     * @type {bunyan}
+     */
+    Object.defineProperty(this, 'log', {
+        value: logger ?
+            logger.child({ queue: true }) : bunyan.createLogger({ name: 'cisco-kube-client', level: bunyan.FATAL })
+    });
+}
+WorkQueue.prototype = Object.create(EventEmitter.prototype);
+WorkQueue.prototype.constructor = WorkQueue;
+Object.defineProperty(WorkQueue.prototype, 'toString', { value: function () {
+    /** @this {module:queue~WorkQueue} */
+    return '[WorkQueue ' + this.length + ']';
+}});
+
+/**
+ * @name length
+ * @memberof module:queue~WorkQueue#
+ * @description Number of keys waiting to be processed
+ * @type {number}
+ */
+Object.defineProperty(WorkQueue.prototype, 'length', { get: function () {
+    return this.queue.length;
+}});
+
+/**
+ * @public
+ * @description Add a key to the work queue
+ *
+ * Keys that are already waiting are not added again. Any delayed addition of the key is replaced.
+ *
+ * @param {string|KubernetesResource} key - Key or API resource to process
+ *
+ * @returns {boolean} False if the work queue is shutting down
+ */
+WorkQueue.prototype.add = function (key) {
+    var self = this;
+    key = keyOf(key);
+    if (this.shuttingDown) return false;
+    if (this.timers[key]) {
+        clearTimeout(this.timers[key]);
+        delete this.timers[key];
+    }
+    if (this.processing[key]) {
+        this.dirty[key] = true;
+    } else if (!this.queued[key]) {
+        this.queued[key] = true;
+        this.queue.push(key);
+        process.nextTick(function () {
+            self.next();
+        });
+    }
+    return true;
+};
+
+/**
+ * @public
+ * @description Add a key to the work queue after a delay
+ *
+ * @param {string|KubernetesResource} key - Key or API resource to process
+ * @param {number} delay - Delay in milliseconds
+ *
+ * @returns {boolean} False if the work queue is shutting down
+ */
+WorkQueue.prototype.addAfter = function (key, delay) {
+    var self = this;
+    key = keyOf(key);
+    if (this.shuttingDown) return false;
+    if (!(delay > 0)) return this.add(key);
+    if (this.timers[key]) {
+        clearTimeout(this.timers[key]);
+    }
+    this.timers[key] = setTimeout(function () {
+        delete self.timers[key];
+        self.add(key);
+    }, delay);
+    return true;
+};
+
+/**
+ * @public
+ * @description Add the keys of changed API resources to the work queue
+ *
+ * Listens for the `create`, `update` and `delete` events of a [WatchEmitter]{@link module:endpoints~WatchEmitter}, or
+ * the `add`, `update` and `delete` events of an [Informer]{@link module:informer~Informer}.
+ *
+ * @param {module:endpoints~WatchEmitter|module:informer~Informer} source - Source of resource events
+ *
+ * @returns {module:queue~WorkQueue} The work queue (for chaining)
+ */
+WorkQueue.prototype.watch = function (source) {
+    var self = this;
+    ['add', 'create', 'update', 'delete'].each(function (event) {
+        source.on(event, function (object, current) {
+            // Informer update events include the previous state of the resource
+            self.add(current || object);
+        });
+    });
+    return this;
+};
+
+/**
+ * @public
+ * @description Stop accepting keys and wait for the work queue to finish
+ *
+ * Pending retries are cancelled. Keys that are being processed are always allowed to finish; keys that are still
+ * waiting are discarded unless `drain` is set.
+ *
+ * @param {boolean} [drain=false] - Process all waiting keys before finishing
+ * @param {function} [next] - Node.js callback (replaces Promise output)
+ *
+ * @returns {?Promise} Resolves once no keys are being processed
+ */
+WorkQueue.prototype.shutdown = function (drain, next) {
+    var self = this;
+    if (typeof drain === 'function') {
+        next = drain;   // Parameter 'drain' is optional and can be safely dropped
+        drain = false;  // shutdown(next)
+    }
+    this.shuttingDown = true;
+    Object.keys(this.timers, function (key, timer) {
+        clearTimeout(timer);
+        delete self.timers[key];
+    });
+    if (!drain) {
+        this.queue.splice(0).each(function (key) {
+            delete self.queued[key];
+        });
+    }
+    this.log.info({ active: this.active, waiting: this.queue.length }, 'shutting down work queue');
+    return new Promise(function (resolve) {
+        if (self.active === 0 && self.queue.length === 0) return resolve();
+        self.once('drain', resolve);
+    }).nodeify(next);
+};
+
+/**
+ * @private
+ * @description Start processing waiting keys up to the concurrency limit
+ */
+WorkQueue.prototype.next = function () {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+        this.run(this.queue.shift());
+    }
+};
+
+/**
+ * @private
+ * @description Process a single key with the handler
+ *
+ * @param {string} key - Key to process
+ */
+WorkQueue.prototype.run = function (key) {
+    var self = this;
+    delete this.queued[key];
+    this.processing[key] = true;
+    this.active++;
+    Promise.try(function () {
+        return self.handler(key);
+    }).then(function () {
+        delete self.backoffs[key];
+        /**
+         * Key has been processed successfully
+         * @event done
+         * @type {string}
+         */
+        self.emit('done', key);
+    }, function (error) {
+        self.retry(key, error);
+    }).finally(function () {
+        delete self.processing[key];
+        self.active--;
+        if (self.dirty[key]) {
+            delete self.dirty[key];
+            self.add(key);
+        }
+        self.next();
+        if (self.active === 0 && self.queue.length === 0) {
+            /**
+             * No keys are waiting or being processed
+             * @event drain
+             */
+            self.emit('drain');
+        }
+    });
+};
+
+/**
+ * @private
+ * @description Schedule a failed key to be retried
+ *
+ * @param {string} key - Failed key
+ * @param {Error} error - Reason the key failed
+ */
+WorkQueue.prototype.retry = function (key, error) {
+    var policy = this.backoffs[key] || (this.backoffs[key] = backoff(this.backoffOptions));
+    if (this.shuttingDown || (this.maxRetries !== null && policy.attempts >= this.maxRetries)) {
+        delete this.backoffs[key];
+        this.log.error({ key: key, error: error }, 'dropping failed work queue key');
+        /**
+         * Key has failed and will not be retried
+         * @event drop
+         * @type {string}
+         * @property {Error} error - Reason the key failed
+         */
+        this.emit('drop', key, error);
+        return;
+    }
+    var delay = policy.next();
+    this.log.warn({ key: key, error: error, attempt: policy.attempts, delay: delay }, 'retrying failed work queue key');
+    /**
+     * Key has failed and will be retried after a delay
+     * @event retry
+     * @type {string}
+     * @property {Error} error - Reason the key failed
+     * @property {number} delay - Delay in milliseconds before the key is retried
+     */
+    this.emit('retry', key, error, delay);
+    this.addAfter(key, delay);
+};
+
+/**
+ * @private
+ * @description Get the work queue key of an API resource
+ *
+ * @param {string|KubernetesResource} object - Key or API resource
+ *
+ * @returns {string}
+ */
+function keyOf(object) {
+    if (typeof object === 'string') return object;
+    return object.metadata.namespace ? object.metadata.namespace + '/' + object.metadata.name : object.metadata.name;
+}
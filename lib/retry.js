@@ -0,0 +1,138 @@
+'use strict';
+require('sugar');
+var Promise = require('bluebird')
+  , backoff = require('./backoff');
+
+/**
+ * @name call
+ * @public
+ * @function
+ * @memberof module:retry
+ * @description Send a request, and repeat it after transient failures according to the retry policy
+ *
+ * Connection failures (`ECONNREFUSED`, `ECONNRESET`, `ETIMEDOUT`, ...) and `429`, `500`, `502`, `503` and `504`
+ * responses are retried for idempotent methods (`GET`, `HEAD`, `OPTIONS`, `PUT` and `DELETE`) only, unless the policy
+ * allows non-idempotent methods. The delay between attempts follows the jittered exponential backoff policy, or the
+ * `Retry-After` delay given by the API server. No attempt is made that would start after the deadline.
+ *
+ * @param {function} send - Sends the request and returns a `Promise` of the response
+ * @param {string} method - HTTP method of the request
+ * @param {module:retry~RetryPolicy} policy - Retry policy
+ * @param {bunyan} log - Logger for retry attempts
+ *
+ * @returns {Promise} Promise of the response, or of the last error
+ */
+/**
+ * @module retry
+ * @description Request Retry Module
+ */
+module.exports = function RetryRequest(send, method, policy, log) {
+    var started = Date.now()
+      , delays = backoff(policy.backoff);
+    function attempt() {
+        return send().catch(function (error) {
+            if (delays.attempts >= policy.retries || !isRetryable(error, method, policy)) throw error;
+            var delay = delays.next();
+            if (error.retryAfterSeconds) {
+                delay = error.retryAfterSeconds * 1000;
+            }
+            if (policy.deadline && Date.now() + delay - started > policy.deadline) throw error;
+            log.warn({
+                method: method
+                , attempt: delays.attempts
+                , delay: delay
+                , error: error.code || error.statusCode
+            }, 'request failed, retrying');
+            return Promise.delay(delay).then(attempt);
+        });
+    }
+    return attempt();
+};
+
+/**
+ * @typedef {object} module:retry~RetryPolicy
+ * @property {number} retries - Maximum number of retries
+ * @property {number} deadline - Time in milliseconds after the first attempt when no more retries are started
+ * @property {object} backoff - Backoff policy options (see [backoff]{@link module:backoff})
+ * @property {boolean} nonIdempotent - Also retry non-idempotent methods (`POST` and `PATCH`)
+ */
+
+/**
+ * @static
+ * @function
+ * @memberof module:retry
+ * @description Resolve the retry policy from the given options
+ *
+ * Options can be `false` (or 0) to disable retries, `true` for the defaults, a number of retries, or an object with any
+ * of the [RetryPolicy]{@link module:retry~RetryPolicy} properties. Missing properties are taken from the base policy.
+ *
+ * @param {?boolean|number|object} options - Retry options
+ * @param {?module:retry~RetryPolicy} [base] - Policy to take missing properties from (defaults to the library defaults)
+ *
+ * @returns {module:retry~RetryPolicy}
+ */
+module.exports.createPolicy = function (options, base) {
+    base = base || DEFAULT_POLICY;
+    if (options === undefined || options === null || options === true) {
+        return Object.clone(base, true);
+    } else if (options === false) {
+        options = { retries: 0 };
+    } else if (typeof options === 'number') {
+        options = { retries: options };
+    }
+    return Object.merge(Object.clone(base, true), Object.select(options, Object.keys(DEFAULT_POLICY)), true);
+};
+
+/**
+ * @private
+ * @description Check whether a failed request may be retried
+ *
+ * @param {Error} error - Reason the request failed
+ * @param {string} method - HTTP method of the request
+ * @param {module:retry~RetryPolicy} policy - Retry policy
+ *
+ * @returns {boolean}
+ */
+function isRetryable(error, method, policy) {
+    if (!policy.nonIdempotent && IDEMPOTENT_METHODS.none((method || 'GET').toUpperCase())) {
+        return false;
+    }
+    return RETRY_STATUS_CODES.any(error.statusCode) || RETRY_ERROR_CODES.any(error.code);
+}
+
+/**
+ * @private
+ * @constant
+ * @description Default retry policy
+ * @type {module:retry~RetryPolicy}
+ */
+const DEFAULT_POLICY = {
+    retries: 3
+    , deadline: 30000
+    , backoff: { initial: 500, max: 10000 }
+    , nonIdempotent: false
+};
+
+/**
+ * @private
+ * @constant
+ * @description HTTP methods which are safe to repeat
+ * @type {string[]}
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * @private
+ * @constant
+ * @description HTTP status codes of transient failures
+ * @type {number[]}
+ */
+const RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+
+/**
+ * @private
+ * @constant
+ * @description Error codes of transient connection failures
+ * @type {string[]}
+ */
+const RETRY_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN'];
@@ -116,6 +116,12 @@ const KubernetesSpecification = {
                 kind: 'ComponentStatus'
                 , options: {methods: ['get', 'watch']}
             },
+            /**
+             * @memberof api.v1#
+             * @see http://kubernetes.io/docs/user-guide/configmap/
+             * @type {module:endpoints~Endpoint|EndpointSpecification}
+             */
+            configMaps: {kind: 'ConfigMap'},
             /**
              * @memberof api.v1#
              * @see http://kubernetes.io/docs/user-guide/services/
@@ -184,11 +190,8 @@ const KubernetesSpecification = {
             pods: {
                 kind: 'Pod'
                 , nested: [
-                    {resource: 'attach', methods: ['get', 'create']}
-                    , {resource: 'binding', methods: ['get']}
-                    , {resource: 'exec', methods: ['get', 'create']}
+                    {resource: 'binding', methods: ['get']}
                     , {resource: 'log', methods: ['get']}
-                    , {resource: 'portforward', methods: ['get', 'create']}
                     , {resource: 'proxy'}
                 ]
             },
@@ -1,10 +1,11 @@
 var should = require('should')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
   , Client = require('../index')
   , testEndpoint = require('./test')
   , configFile = './config';
 
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-
 var config;
 try {
     config = Object.merge({
@@ -12,6 +13,7 @@ try {
         , version: 'v1'
         , oshift: true
         , extensions: true
+        , tls: { insecureSkipVerify: true }
     }, require(configFile), true);
 } catch (error) {
     if (error.message.startsWith('Cannot find module')) {
@@ -49,6 +51,25 @@ describe('Cisco Kubernetes Client', function () {
                     }
                 });
             });
+            // Load the client configuration from a kubeconfig file
+            it('should load a kubeconfig context', function () {
+                var file = path.join(os.tmpdir(), 'kube-client-test-kubeconfig');
+                fs.writeFileSync(file, JSON.stringify({
+                    'current-context': 'test'
+                    , clusters: [{name: 'test', cluster: {server: client.config.host}}]
+                    , contexts: [{name: 'test', context: {cluster: 'test', namespace: config.namespace}}]
+                }));
+                try {
+                    var kubeClient = Client.fromKubeconfig(file);
+                    should(kubeClient.config).have.property('host', client.config.host);
+                    should(kubeClient.config).have.property('namespace', config.namespace);
+                    should(function () {
+                        Client.fromKubeconfig(file, {context: 'missing'});
+                    }).throw(/contexts\['missing'\]/);
+                } finally {
+                    fs.unlinkSync(file);
+                }
+            });
         });
 
         // Test all client endpoints
@@ -64,12 +64,24 @@ module.exports = function testEndpoint(resource, client) {
                 });
             }
 
+            if (client[resource].list) {
+                // Test `list` method with a small page size
+                it('list pages', function () {
+                    return client[resource].list({limit: 2}).each(function (each) {
+                        should(each).have.property('metadata');
+                    }).then(function (count) {
+                        should(count).be.a.Number();
+                    });
+                });
+            }
+
             if (client[resource].watch) {
                 // Test `watch` method without a query
                 it('list watch', function (done) {
                     client[resource].watch().then(function (emitter) {
                         emitter.on('response', function (response) {
                             should(response).have.property('statusCode', 200);
+                            emitter.stop();
                             done();
                         }).on('error', function (error) {
                             done(error);
@@ -79,6 +91,20 @@ module.exports = function testEndpoint(resource, client) {
                     });
                 });
             }
+
+            if (client[resource].informer) {
+                // Test `informer` method initial sync
+                it('list informer', function () {
+                    var informer = client[resource].informer();
+                    return informer.start().then(function () {
+                        should(informer.synced).be.true();
+                        informer.list().each(function (each) {
+                            should(informer.get(each.metadata.namespace, each.metadata.name)).equal(each);
+                        });
+                        informer.stop();
+                    });
+                });
+            }
         }
 
         if (client[resource].create) {
@@ -0,0 +1,204 @@
+require('sugar');
+var should = require('should')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , http = require('http')
+  , Promise = require('bluebird')
+  , Client = require('../../index')
+  , auth = require('../../lib/auth');
+
+describe('Authentication', function () {
+    /**
+     * Provider whose authentication takes a while and hands out numbered tokens on refresh
+     */
+    function SlowProvider(delay) {
+        this.calls = [];
+        this.count = 0;
+        this.authenticate = function (config) {
+            this.calls.push('authenticate');
+            return Promise.delay(delay).then(function () {
+                config.token = config.token || 'OLD';
+                return config;
+            });
+        };
+        this.refresh = function (config) {
+            this.calls.push('refresh');
+            this.count++;
+            config.token = 'NEW' + this.count;
+            return Promise.resolve(config);
+        };
+    }
+
+    function createConfig(provider) {
+        return Client({ host: 'http://127.0.0.1:1', version: 'v1', authProvider: provider }).config;
+    }
+
+    // A refresh requested during a pending plain authentication must not resolve with the rejected token
+    it('should refresh after a pending authentication that kept the rejected token', function () {
+        var provider = new SlowProvider(50)
+          , config = createConfig(provider);
+        config.token = 'OLD';
+        return Promise.all([auth(config), auth(config, 'OLD')]).spread(function (first, second) {
+            should(second.token).equal('NEW1');
+            should(provider.calls).eql(['authenticate', 'refresh']);
+        });
+    });
+    // Requests rejected with the same token trigger a single refresh
+    it('should refresh once for many rejections of the same token', function () {
+        var provider = new SlowProvider(50)
+          , config = createConfig(provider);
+        config.token = 'OLD';
+        var calls = [auth(config), auth(config, 'OLD'), auth(config, 'OLD'), auth(config, true)];
+        return Promise.all(calls).then(function () {
+            should(config.token).equal('NEW1');
+            should(provider.calls).eql(['authenticate', 'refresh']);
+        });
+    });
+    // A refresh for a token which has already been replaced joins the pending authentication
+    it('should not refresh when the rejected token was already replaced', function () {
+        var provider = new SlowProvider(10)
+          , config = createConfig(provider);
+        config.token = 'CURRENT';
+        return auth(config, 'OLD').then(function (config) {
+            should(config.token).equal('CURRENT');
+            should(provider.calls).eql(['authenticate']);
+        });
+    });
+
+    describe('OIDC provider', function () {
+        var issuer
+          , requests = [];
+
+        // Local issuer which exchanges refresh tokens for ID tokens
+        before(function (done) {
+            issuer = http.createServer(function (req, res) {
+                var body = '';
+                req.on('data', function (chunk) {
+                    body += chunk;
+                }).on('end', function () {
+                    requests.push(req.method + ' ' + req.url + (body ? ' ' + body : ''));
+                    res.setHeader('Content-Type', 'application/json');
+                    if (req.url === '/.well-known/openid-configuration') {
+                        res.end(JSON.stringify({
+                            token_endpoint: 'http://127.0.0.1:' + issuer.address().port + '/token'
+                        }));
+                    } else {
+                        res.end(JSON.stringify({ id_token: 'id-token', refresh_token: 'rotated-token' }));
+                    }
+                });
+            }).listen(0, '127.0.0.1', done);
+        });
+        after(function (done) {
+            issuer.close(done);
+        });
+
+        // Without an ID token, the first authentication must use the refresh token
+        it('should refresh when only a refresh token is configured', function () {
+            var client = Client({
+                host: 'http://127.0.0.1:1'
+                , version: 'v1'
+                , authProvider: {
+                    type: 'oidc'
+                    , issuerUrl: 'http://127.0.0.1:' + issuer.address().port
+                    , clientId: 'client'
+                    , refreshToken: 'refresh-token'
+                }
+            });
+            return client.authenticate().then(function (config) {
+                should(config.token).equal('id-token');
+                should(requests).have.length(2);
+                should(requests[1]).match(/^POST \/token .*refresh_token=refresh-token/);
+                should(client.config.authProvider.refreshToken).equal('rotated-token');
+            });
+        });
+    });
+
+    describe('Token store', function () {
+        var root
+          , dir
+          , calls
+          , fail;
+
+        beforeEach(function () {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'kube-client-test-'));
+            dir = path.join(root, 'tokens');
+            calls = 0;
+            fail = false;
+        });
+        afterEach(function () {
+            if (fs.existsSync(dir)) {
+                fs.readdirSync(dir).each(function (file) {
+                    fs.unlinkSync(path.join(dir, file));
+                });
+                fs.rmdirSync(dir);
+            }
+            fs.rmdirSync(root);
+        });
+
+        // Client of a new process, sharing the token store directory
+        function createClient() {
+            return Client({
+                host: 'http://127.0.0.1:1'
+                , version: 'v1'
+                , tokenStore: dir
+                , authProvider: function () {
+                    if (fail) throw new Error('provider failed');
+                    calls++;
+                    return { token: 'token-' + calls, expirationTimestamp: Date.now() + 3600000 };
+                }
+            });
+        }
+
+        // Only the current user may read the stored tokens
+        it('should create a private directory and files', function () {
+            var store = new auth.FileTokenStore(dir);
+            return store.set('key', { token: 'secret', expiry: null }).then(function () {
+                should(fs.statSync(dir).mode & 511).equal(448);     // 0700
+                should(fs.statSync(store.path('key')).mode & 511).equal(384);   // 0600
+                should(fs.readdirSync(dir)).eql([path.basename(store.path('key'))]);
+                return store.get('key');
+            }).then(function (entry) {
+                should(entry).eql({ token: 'secret', expiry: null });
+                return store.delete('key');
+            }).then(function () {
+                return store.get('key');
+            }).then(function (entry) {
+                should(entry).be.null();
+            });
+        });
+        // A valid token saved by a previous process is used without authenticating again
+        it('should reuse a saved token', function () {
+            return createClient().authenticate().then(function (config) {
+                should(config.token).equal('token-1');
+                return createClient().authenticate();
+            }).then(function (config) {
+                should(config.token).equal('token-1');
+                should(calls).equal(1);
+            });
+        });
+        // A token rejected by the API server is deleted, and the refreshed token replaces it
+        it('should delete a rejected token', function () {
+            var client = createClient()
+              , store = client.config.tokenStore
+              , key;
+            return client.authenticate().then(function (config) {
+                key = config.tokenStoreKey;
+                return client.authenticate('token-1');
+            }).then(function (config) {
+                should(config.token).equal('token-2');
+                return store.get(key);
+            }).then(function (entry) {
+                should(entry.token).equal('token-2');
+                fail = true;
+                return client.authenticate('token-2').catch(function (error) {
+                    should(error.message).match(/provider failed/);
+                });
+            }).then(function () {
+                return store.get(key);
+            }).then(function (entry) {
+                should(entry).be.null();
+            });
+        });
+    });
+});
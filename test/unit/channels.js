@@ -0,0 +1,438 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , net = require('net')
+  , url = require('url')
+  , stream = require('stream')
+  , Promise = require('bluebird')
+  , WebSocket = require('ws')
+  , Client = require('../../index');
+
+describe('Pod channels', function () {
+    var server
+      , wss
+      , client
+      , handler;
+
+    /**
+     * Frame data for a v4.channel.k8s.io channel
+     */
+    function frame(channel, data) {
+        return Buffer.concat([Buffer.from([channel]), Buffer.isBuffer(data) ? data : Buffer.from(data)]);
+    }
+
+    /**
+     * Resolve once the condition holds, polling the event loop
+     */
+    function until(condition) {
+        return condition() ? Promise.resolve() : Promise.delay(5).then(until.bind(null, condition));
+    }
+
+    // Local stand-in for the API server, each test sets the handler for its sockets
+    before(function (done) {
+        server = http.createServer();
+        wss = new WebSocket.Server({
+            server: server
+            , verifyClient: function (info, callback) {
+                // Pods named 'missing' do not exist
+                callback(!/\/pods\/missing\//.test(info.req.url), 404, 'Not Found');
+            }
+            , handleProtocols: function (protocols) {
+                return protocols[0];
+            }
+        });
+        wss.on('connection', function (socket, req) {
+            socket.request = url.parse(req.url, true);
+            socket.protocol = req.headers['sec-websocket-protocol'];
+            socket.headers = req.headers;
+            socket.received = [];
+            socket.on('message', function (message) {
+                socket.received.push({ channel: message[0], data: message.slice(1).toString() });
+            });
+            handler(socket, req);
+        });
+        server.listen(0, '127.0.0.1', function () {
+            client = Client({
+                host: 'http://127.0.0.1:' + server.address().port
+                , version: 'v1'
+                , namespace: 'ns'
+                , token: 'test-token'
+            });
+            done();
+        });
+    });
+    after(function (done) {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('exec', function () {
+        // Output channels are split into the stdout and stderr streams, and a Success status exits with 0
+        it('should read stdout and stderr and exit with 0', function () {
+            var socket;
+            handler = function (ws) {
+                socket = ws;
+                ws.send(frame(1, 'file1\n'));
+                ws.send(frame(2, 'warning\n'));
+                ws.send(frame(1, 'file2\n'));
+                setTimeout(function () {
+                    ws.send(frame(3, JSON.stringify({ metadata: {}, status: 'Success' })));
+                    ws.close();
+                }, 10);
+            };
+            return client.pods.exec('my-pod', { command: ['ls', '-l'], container: 'app' }).then(function (session) {
+                var stdout = ''
+                  , stderr = '';
+                session.stdout.on('data', function (data) {
+                    stdout += data;
+                });
+                session.stderr.on('data', function (data) {
+                    stderr += data;
+                });
+                should(session.stdin).be.null();
+                return session.wait().then(function (code) {
+                    should(code).equal(0);
+                    should(session.status).have.property('status', 'Success');
+                    return until(function () {
+                        return stdout.length === 12;
+                    });
+                }).then(function () {
+                    should(stdout).equal('file1\nfile2\n');
+                    should(stderr).equal('warning\n');
+                    should(socket.protocol).equal('v4.channel.k8s.io');
+                    should(socket.request.pathname).equal('/api/v1/namespaces/ns/pods/my-pod/exec');
+                    should(socket.request.query).eql({
+                        command: ['ls', '-l']
+                        , container: 'app'
+                        , stdin: 'false'
+                        , stdout: 'true'
+                        , stderr: 'true'
+                        , tty: 'false'
+                    });
+                });
+            });
+        });
+        // Input is framed on channel 0 and terminal sizes on channel 4
+        it('should send stdin and resize messages', function () {
+            var socket
+              , input = new stream.PassThrough();
+            handler = function (ws) {
+                socket = ws;
+            };
+            return client.pods.exec('my-pod', { command: 'sh', stdin: input, tty: true }).then(function (session) {
+                should(session.stderr).be.null();
+                input.write('echo hello\n');
+                session.resize(80, 24);
+                return until(function () {
+                    return socket.received.length === 2;
+                }).then(function () {
+                    should(socket.received).eql([
+                        { channel: 0, data: 'echo hello\n' }
+                        , { channel: 4, data: '{"Width":80,"Height":24}' }
+                    ]);
+                    should(socket.request.query).have.properties({ stdin: 'true', tty: 'true', stderr: 'false' });
+                    socket.send(frame(3, JSON.stringify({ metadata: {}, status: 'Success' })));
+                    return session.wait();
+                });
+            }).then(function (code) {
+                should(code).equal(0);
+            });
+        });
+        // A NonZeroExitCode status carries the exit code in its causes
+        it('should parse a non-zero exit code', function () {
+            handler = function (ws) {
+                // Give the test time to listen for the exit event
+                setTimeout(function () {
+                    ws.send(frame(3, JSON.stringify({
+                        metadata: {}
+                        , status: 'Failure'
+                        , message: 'command terminated with non-zero exit code'
+                        , reason: 'NonZeroExitCode'
+                        , details: { causes: [{ reason: 'ExitCode', message: '42' }] }
+                    })));
+                    ws.close();
+                }, 10);
+            };
+            return client.pods.exec('my-pod', { command: 'false' }).then(function (session) {
+                var exited = new Promise(function (resolve) {
+                    session.on('exit', resolve);
+                });
+                return Promise.all([session.wait(), exited]);
+            }).spread(function (code, exitCode) {
+                should(code).equal(42);
+                should(exitCode).equal(42);
+            });
+        });
+        // Other failures mean the command could not be run
+        it('should reject when the command could not be run', function () {
+            handler = function (ws) {
+                ws.send(frame(3, JSON.stringify({
+                    metadata: {}
+                    , status: 'Failure'
+                    , message: 'exec: "missing": executable file not found in $PATH'
+                })));
+                ws.close();
+            };
+            return client.pods.exec('my-pod', { command: 'missing' }).then(function (session) {
+                return session.wait();
+            }).then(function () {
+                throw new Error('the session should fail');
+            }, function (error) {
+                should(error.message).match(/executable file not found/);
+            });
+        });
+        // The upgrade response is turned into a typed error
+        it('should reject when the upgrade is refused', function () {
+            return client.pods.exec('missing', { command: 'ls' }).then(function () {
+                throw new Error('the session should fail');
+            }, function (error) {
+                should(error.name).equal('NotFoundError');
+                should(error.statusCode).equal(404);
+            });
+        });
+        // The upgrade request goes through the client middleware, which gets the open session
+        it('should open the socket through the client middleware', function () {
+            var socket
+              , seen = []
+              , traced = Client({
+                    host: 'http://127.0.0.1:' + server.address().port
+                    , version: 'v1'
+                    , namespace: 'ns'
+                    , token: 'test-token'
+                });
+            traced.use(function (options, next, context) {
+                options.headers = Object.merge(options.headers || {}, { 'X-Trace-Id': 'abc' });
+                return next(options).then(function (session) {
+                    seen.push(context.type + ' ' + context.resource + ' ' + (typeof session.wait));
+                    return null;
+                });
+            });
+            handler = function (ws) {
+                socket = ws;
+                ws.send(frame(3, JSON.stringify({ metadata: {}, status: 'Success' })));
+                ws.close();
+            };
+            return traced.pods.exec('my-pod', { command: 'ls' }).then(function (session) {
+                should(seen).eql(['channel pods function']);
+                should(socket.headers).have.property('x-trace-id', 'abc');
+                return session.wait();
+            }).then(function (code) {
+                should(code).equal(0);
+            });
+        });
+        // A middleware which answers without calling next leaves no socket to return
+        it('should reject when the middleware does not open the socket', function () {
+            var blocked = Client({ host: 'http://127.0.0.1:' + server.address().port, version: 'v1', token: 'x' });
+            blocked.use(function () {
+                return {};
+            });
+            return blocked.pods.exec('my-pod', { command: 'ls' }).then(function () {
+                throw new Error('the session should fail');
+            }, function (error) {
+                should(error.message).equal('middleware did not open the channel socket');
+            });
+        });
+        // The command is required
+        it('should require a command', function () {
+            return client.pods.exec('my-pod', {}).then(function () {
+                throw new Error('the session should fail');
+            }, function (error) {
+                should(error.message).match(/command/);
+            });
+        });
+    });
+
+    describe('attach', function () {
+        // Detaching closes the socket, ends the output and releases the piped input, the process keeps running
+        it('should clean up the session on detach', function () {
+            var socket
+              , serverClosed = false
+              , input = new stream.PassThrough();
+            handler = function (ws) {
+                socket = ws;
+                ws.on('close', function () {
+                    serverClosed = true;
+                });
+                ws.send(frame(1, 'running\n'));
+            };
+            return client.pods.attach('my-pod', { stdin: input, tty: true, container: 'app' }).then(function (session) {
+                var ended = new Promise(function (resolve) {
+                    session.stdout.on('end', resolve).resume();
+                });
+                var finished = new Promise(function (resolve) {
+                    session.stdin.on('finish', resolve);
+                });
+                input.write('hello');
+                return until(function () {
+                    return socket && socket.received.length === 1;
+                }).then(function () {
+                    should(socket.request.pathname).equal('/api/v1/namespaces/ns/pods/my-pod/attach');
+                    should(socket.request.query).have.properties({ container: 'app', stdin: 'true', tty: 'true' });
+                    should(socket.request.query).not.have.property('command');
+                    session.close();
+                    return Promise.all([session.wait(), ended, finished]);
+                }).spread(function (code) {
+                    should(code).be.null();
+                    // The input stream is no longer piped to the session
+                    should(input.listenerCount('data')).equal(0);
+                    return until(function () {
+                        return serverClosed;
+                    });
+                });
+            });
+        });
+        // The session also ends when the process or the pod terminates
+        it('should end the session when the server closes the socket', function () {
+            handler = function (ws) {
+                setTimeout(function () {
+                    ws.close();
+                }, 10);
+            };
+            return client.pods.attach('my-pod').then(function (session) {
+                var ended = new Promise(function (resolve) {
+                    session.stdout.on('end', resolve).resume();
+                });
+                return Promise.all([session.wait(), ended]);
+            }).spread(function (code) {
+                should(code).be.null();
+            });
+        });
+    });
+
+    describe('portForward', function () {
+        /**
+         * Answer a portforward socket like the API server: each channel starts with the port number
+         */
+        function forwardHandler(respond) {
+            return function (ws) {
+                var port = Buffer.alloc(2);
+                port.writeUInt16LE(parseInt(ws.request.query.ports), 0);
+                ws.send(frame(0, port));
+                ws.send(frame(1, port));
+                respond(ws);
+            };
+        }
+
+        function connect(port) {
+            return new Promise(function (resolve, reject) {
+                var connection = net.connect(port, '127.0.0.1', function () {
+                    resolve(connection);
+                }).on('error', reject);
+            });
+        }
+
+        // Each mapping gets a bound local port, and a number forwards the same port
+        it('should bind a local port for each mapping', function () {
+            var free
+              , mappings = [{ local: 0, remote: 8080 }, { remote: 9090 }];
+            return client.pods.portForward('my-pod', mappings).then(function (forward) {
+                should(forward.ports).have.length(2);
+                forward.ports.each(function (mapping) {
+                    should(mapping.local).be.above(0);
+                });
+                should(forward.ports.map('remote')).eql([8080, 9090]);
+                free = forward.ports[0].local;
+                return forward.close();
+            }).then(function () {
+                return client.pods.portForward('my-pod', free);
+            }).then(function (forward) {
+                should(forward.ports).eql([{ local: free, remote: free }]);
+                return forward.close();
+            });
+        });
+        // Data flows both ways on channel 0, without the port prefix
+        it('should forward data in both directions', function () {
+            var socket
+              , forward;
+            handler = forwardHandler(function (ws) {
+                socket = ws;
+                ws.on('message', function (message) {
+                    ws.send(frame(0, 'pong:' + message.slice(1)));
+                });
+            });
+            return client.pods.portForward('my-pod', { remote: 8080 }).then(function (result) {
+                forward = result;
+                return connect(forward.ports[0].local);
+            }).then(function (connection) {
+                var received = '';
+                connection.on('data', function (data) {
+                    received += data;
+                });
+                connection.write('ping');
+                return until(function () {
+                    return received.length === 9;
+                }).then(function () {
+                    should(received).equal('pong:ping');
+                    should(socket.request.pathname).equal('/api/v1/namespaces/ns/pods/my-pod/portforward');
+                    should(socket.request.query).have.property('ports', '8080');
+                    should(socket.received).eql([{ channel: 0, data: 'ping' }]);
+                    connection.destroy();
+                    return forward.close();
+                });
+            });
+        });
+        // Errors of the pod port close the connection and are emitted by the forward
+        it('should close the connection after an error on channel 1', function () {
+            var forward
+              , errors = [];
+            handler = forwardHandler(function (ws) {
+                ws.send(frame(1, 'unable to do port forwarding: socat not found'));
+                ws.close();
+            });
+            return client.pods.portForward('my-pod', 9999).then(function (result) {
+                forward = result;
+                forward.on('error', function (error) {
+                    errors.push(error);
+                });
+                return connect(forward.ports[0].local);
+            }).then(function (connection) {
+                return new Promise(function (resolve) {
+                    connection.on('close', resolve).on('error', function () {}).resume();
+                });
+            }).then(function () {
+                return until(function () {
+                    return errors.length > 0;
+                });
+            }).then(function () {
+                should(errors[0].message).equal('port forward to 9999 failed: ' +
+                    'unable to do port forwarding: socat not found');
+                return forward.close();
+            });
+        });
+        // Closing stops listening and ends the open connections
+        it('should stop forwarding on close', function () {
+            var forward
+              , closed = false;
+            handler = forwardHandler(function () {});
+            return client.pods.portForward('my-pod', { remote: 8080 }).then(function (result) {
+                forward = result;
+                return connect(forward.ports[0].local);
+            }).then(function (connection) {
+                connection.on('close', function () {
+                    closed = true;
+                }).on('error', function () {});
+                return Promise.delay(20).then(function () {
+                    return forward.close();
+                });
+            }).then(function () {
+                return until(function () {
+                    return closed;
+                });
+            }).then(function () {
+                return connect(forward.ports[0].local).then(function () {
+                    throw new Error('the port should be closed');
+                }, function (error) {
+                    should(error.code).equal('ECONNREFUSED');
+                });
+            });
+        });
+        // Mappings need a remote port
+        it('should reject invalid port mappings', function () {
+            return client.pods.portForward('my-pod', [{ local: 8080 }]).then(function () {
+                throw new Error('the forward should fail');
+            }, function (error) {
+                should(error.message).match(/ports/);
+            });
+        });
+    });
+});
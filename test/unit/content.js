@@ -0,0 +1,204 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , Client = require('../../index')
+  , content = require('../../lib/content')
+  , errors = require('../../lib/errors');
+
+describe('Content decoding', function () {
+    function response(body, contentType) {
+        return { body: body, headers: contentType ? { 'content-type': contentType } : {} };
+    }
+
+    /**
+     * Encode a length-delimited protobuf field
+     */
+    function field(number, value) {
+        value = Buffer.isBuffer(value) ? value : Buffer.from(value);
+        return Buffer.concat([Buffer.from([number * 8 + 2, value.length]), value]);
+    }
+
+    /**
+     * Encode a Kubernetes protobuf envelope
+     */
+    function envelope(fields) {
+        return Buffer.concat([Buffer.from('k8s\0')].concat(fields));
+    }
+
+    // JSON media types are parsed, text is returned as a string and anything else as a buffer
+    it('should decode the body according to its content type', function () {
+        var json = JSON.stringify({ kind: 'Pod' });
+        should(content(response(Buffer.from(json), 'application/json'), 'auto')).eql({ kind: 'Pod' });
+        should(content(response(json, 'Application/JSON; charset=utf-8'))).eql({ kind: 'Pod' });
+        should(content(response(Buffer.from(json), 'application/merge-patch+json'))).eql({ kind: 'Pod' });
+        should(content(response(Buffer.from('line\n'), 'text/plain; charset=utf-8'))).equal('line\n');
+        var binary = content(response(Buffer.from([0, 1, 2]), 'application/octet-stream'));
+        should(Buffer.isBuffer(binary)).be.true();
+        should(binary.toJSON().data).eql([0, 1, 2]);
+        should(Buffer.isBuffer(content(response('tar', 'application/x-tar')))).be.true();
+    });
+    // Bodies without a content type are parsed as JSON if possible
+    it('should guess the type of a body without content type', function () {
+        should(content(response(Buffer.from('{"kind":"Pod"}')))).eql({ kind: 'Pod' });
+        should(content(response(Buffer.from('not JSON')))).equal('not JSON');
+        should(content(response(Buffer.from('')))).be.null();
+    });
+    // The response type overrides the content type
+    it('should decode the body as the requested response type', function () {
+        var body = Buffer.from('{"kind":"Pod"}')
+          , raw = response(body, 'text/plain');
+        should(content(raw, 'json')).eql({ kind: 'Pod' });
+        should(content(response(body, 'application/json'), 'text')).equal('{"kind":"Pod"}');
+        should(content(response(body, 'application/json'), 'buffer')).equal(body);
+        should(content(response('text', 'application/json'), 'buffer').toString()).equal('text');
+        // Bodies already parsed by the request module are serialized again
+        should(content(response({ kind: 'Pod' }, 'application/json'), 'auto')).eql({ kind: 'Pod' });
+        should(content(response({ kind: 'Pod' }), 'text')).equal('{"kind":"Pod"}');
+        should(content(response({ kind: 'Pod' }), 'buffer').toString()).equal('{"kind":"Pod"}');
+        should(content(response(null, 'application/json'))).be.null();
+        should(content(response(undefined), 'text')).be.undefined();
+    });
+    // Empty JSON bodies are null, and invalid ones fail
+    it('should fail on invalid JSON', function () {
+        should(content(response(Buffer.from(' \n'), 'application/json'))).be.null();
+        (function () {
+            content(response(Buffer.from('{"kind":'), 'application/json'));
+        }).should.throw(errors.ClientError, { message: /^invalid JSON response: / });
+        (function () {
+            content(response(Buffer.from('<html>'), 'text/html'), 'json');
+        }).should.throw(errors.ClientError, { message: /^invalid JSON response: / });
+    });
+    // Custom decoders replace the default handling of their media type
+    it('should use the decoder of the media type', function () {
+        var calls = []
+          , decoders = {
+                'application/yaml': function (body, raw) {
+                    calls.push({ body: body, raw: raw });
+                    return 'decoded ' + body.toString();
+                }
+                , 'application/json': function () {
+                    return 'custom JSON';
+                }
+            }
+          , raw = response('kind: Pod', 'application/yaml; charset=utf-8');
+        should(content(raw, 'auto', decoders)).equal('decoded kind: Pod');
+        should(Buffer.isBuffer(calls[0].body)).be.true();
+        should(calls[0].raw).equal(raw);
+        should(content(response('{}', 'application/json'), 'auto', decoders)).equal('custom JSON');
+        // Decoders are skipped for other response types
+        should(content(raw, 'text', decoders)).equal('kind: Pod');
+        should(calls).have.length(1);
+    });
+    // Only the known response types are supported
+    it('should check the response type', function () {
+        ['auto', 'json', 'text', 'buffer'].each(function (type) {
+            should(content.supports(type)).be.true();
+        });
+        should(content.supports('xml')).be.false();
+        should(content.supports(undefined)).be.false();
+    });
+
+    describe('protobuf', function () {
+        // The envelope holds the type meta, the raw object and its encoding
+        it('should decode the envelope', function () {
+            var raw = Buffer.from([0x0a, 0x03, 0x77, 0x65, 0x62])
+              , result = content.protobuf(envelope([
+                    field(1, Buffer.concat([field(1, 'v1'), field(2, 'Pod')]))
+                    , field(2, raw)
+                    // Varint and fixed-size fields are skipped
+                    , Buffer.from([0x28, 0x96, 0x01, 0x31, 0, 0, 0, 0, 0, 0, 0, 0, 0x3d, 0, 0, 0, 0])
+                    , field(3, 'gzip')
+                    , field(4, 'application/vnd.kubernetes.protobuf')
+                ]));
+            should(result.apiVersion).equal('v1');
+            should(result.kind).equal('Pod');
+            should(result.raw.equals(raw)).be.true();
+            should(result.contentEncoding).equal('gzip');
+            should(result.contentType).equal('application/vnd.kubernetes.protobuf');
+        });
+        // Missing fields are empty
+        it('should default the missing fields', function () {
+            var result = content.protobuf(envelope([]));
+            should(result).have.properties({ apiVersion: '', kind: '', contentEncoding: '', contentType: '' });
+            should(result.raw).have.length(0);
+        });
+        // Bodies which are not a valid envelope fail
+        it('should fail on an invalid envelope', function () {
+            [
+                [Buffer.from('{"kind":"Pod"}'), 'missing envelope prefix']
+                , [Buffer.from('k8s'), 'missing envelope prefix']
+                , [envelope([Buffer.from([0x0a, 0x05, 0x01])]), 'truncated message']
+                , [envelope([Buffer.from([0x08, 0x96])]), 'truncated message']
+                , [envelope([Buffer.from([0x0b])]), 'unsupported wire type 3']
+            ].each(function (test) {
+                (function () {
+                    content.protobuf(test[0]);
+                }).should.throw(errors.ClientError, { message: 'invalid protobuf response: ' + test[1] });
+            });
+        });
+    });
+
+    describe('client', function () {
+        var server
+          , contentType
+          , body;
+
+        // Local stand-in for the API server which answers with the configured content
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                if (contentType) res.setHeader('Content-Type', contentType);
+                res.end(body);
+            }).listen(0, '127.0.0.1', done);
+        });
+        after(function (done) {
+            server.close(done);
+        });
+
+        function createClient(decoders) {
+            return Client({
+                host: 'http://127.0.0.1:' + server.address().port
+                , version: 'v1'
+                , namespace: 'ns'
+                , token: 'test-token'
+                , decoders: decoders
+            });
+        }
+
+        // Endpoint methods decode the response with the decoders of the client
+        it('should decode responses with the client decoders', function () {
+            contentType = 'application/vnd.kubernetes.protobuf';
+            body = envelope([field(1, Buffer.concat([field(1, 'v1'), field(2, 'Pod')])), field(2, 'raw')]);
+            return createClient({ 'Application/Vnd.Kubernetes.Protobuf': content.protobuf }).pods.get('web')
+                .then(function (result) {
+                    should(result.kind).equal('Pod');
+                    should(result.raw.toString()).equal('raw');
+                    // Without a decoder the body is returned as a buffer
+                    return createClient().pods.get('web');
+                }).then(function (result) {
+                    should(Buffer.isBuffer(result)).be.true();
+                    should(result.equals(body)).be.true();
+                });
+        });
+        // The response type option of the methods is checked
+        it('should decode responses as the requested response type', function () {
+            var client = createClient();
+            contentType = 'text/plain';
+            body = '{"kind":"Pod"}';
+            return client.pods.get('web', { responseType: 'json' }).then(function (result) {
+                should(result).eql({ kind: 'Pod' });
+                return client.pods.get('web', { responseType: 'xml' });
+            }).then(function () {
+                throw new Error('the request should fail');
+            }, function (error) {
+                should(error).be.instanceof(errors.ClientError);
+                should(error.message).equal('unsupported responseType: \'xml\'');
+            });
+        });
+        // Decoders must be functions
+        it('should refuse decoders which are not functions', function () {
+            (function () {
+                createClient({ 'application/yaml': 'yaml' });
+            }).should.throw(/decoder for 'application\/yaml' must be a function/);
+        });
+    });
+});
@@ -0,0 +1,283 @@
+require('sugar');
+var should = require('should')
+  , Promise = require('bluebird')
+  , Client = require('../../index')
+  , errors = require('../../lib/errors')
+  , election = require('../../lib/election');
+
+describe('Leader election', function () {
+    var client = Client({ host: 'http://127.0.0.1:1', version: 'v1', namespace: 'ns' })
+      , electors;
+
+    /**
+     * Lock endpoint which keeps a single object and checks its resource version like the API server
+     */
+    function FakeEndpoint(resource) {
+        this.resource = resource;
+        this.object = null;
+        this.version = 0;
+        this.calls = [];
+        this.conflict = false;
+    }
+    FakeEndpoint.prototype.get = function (name, opts) {
+        var self = this;
+        this.calls.push('get ' + opts.namespace + '/' + name);
+        return Promise.delay(1).then(function () {
+            if (!self.object) throw status(404, 'NotFound');
+            return Object.clone(self.object, true);
+        });
+    };
+    FakeEndpoint.prototype.create = function (object) {
+        var self = this;
+        this.calls.push('create');
+        return Promise.delay(1).then(function () {
+            if (self.object) throw status(409, 'AlreadyExists');
+            return self.write(object);
+        });
+    };
+    FakeEndpoint.prototype.update = function (name, object) {
+        var self = this;
+        this.calls.push('update');
+        return Promise.delay(1).then(function () {
+            if (self.conflict || object.metadata.resourceVersion !== String(self.version)) {
+                throw status(409, 'Conflict');
+            }
+            return self.write(object);
+        });
+    };
+    /**
+     * Store the object with a new resource version, as another replica would
+     */
+    FakeEndpoint.prototype.write = function (object) {
+        this.object = Object.clone(object, true);
+        this.object.metadata.resourceVersion = String(++this.version);
+        return Object.clone(this.object, true);
+    };
+    /**
+     * Leader election record of the ConfigMap layout
+     */
+    FakeEndpoint.prototype.record = function () {
+        return JSON.parse(this.object.metadata.annotations['control-plane.alpha.kubernetes.io/leader']);
+    };
+
+    function status(code, reason) {
+        return errors(null, {
+            statusCode: code
+            , body: { kind: 'Status', status: 'Failure', reason: reason, code: code }
+        });
+    }
+
+    /**
+     * Create an elector which records its events
+     */
+    function elector(endpoint, identity, options) {
+        var result = election(client, Object.merge({
+            name: 'my-lock'
+            , lock: endpoint
+            , identity: identity
+            , leaseDuration: 1000
+            , renewDeadline: 100
+            , retryPeriod: 20
+        }, options || {}));
+        result.events = [];
+        ['started-leading', 'stopped-leading', 'new-leader', 'error'].each(function (event) {
+            result.on(event, function (data) {
+                result.events.push(data ? event + ' ' + (data.message || data) : event);
+            });
+        });
+        electors.push(result);
+        return result;
+    }
+
+    /**
+     * Resolve once the condition holds, polling the event loop
+     */
+    function until(condition) {
+        return condition() ? Promise.resolve() : Promise.delay(5).then(until.bind(null, condition));
+    }
+
+    beforeEach(function () {
+        electors = [];
+    });
+    afterEach(function () {
+        return Promise.all(electors.map(function (candidate) {
+            return candidate.stop();
+        }));
+    });
+
+    // The first replica creates the lock object and leads
+    it('should acquire a missing lock', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , candidate = elector(endpoint, 'one');
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            should(endpoint.calls.slice(0, 2)).eql(['get ns/my-lock', 'create']);
+            should(endpoint.object.metadata).have.properties({ name: 'my-lock', namespace: 'ns' });
+            should(endpoint.record()).have.properties({
+                holderIdentity: 'one'
+                , leaseDurationSeconds: 1
+                , leaderTransitions: 0
+            });
+            should(candidate.leader).equal('one');
+            should(candidate.events).eql(['new-leader one', 'started-leading']);
+        });
+    });
+    // The leader renews the record every retry period and keeps its acquire time
+    it('should renew the lock while leading', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , candidate = elector(endpoint, 'one')
+          , acquired;
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            acquired = endpoint.record();
+            return until(function () {
+                return endpoint.version >= 3;
+            });
+        }).then(function () {
+            var renewed = endpoint.record();
+            should(renewed.holderIdentity).equal('one');
+            should(renewed.acquireTime).equal(acquired.acquireTime);
+            should(renewed.leaderTransitions).equal(0);
+            should(endpoint.calls).containEql('update');
+            should(candidate.events).eql(['new-leader one', 'started-leading']);
+        });
+    });
+    // A valid lock held by another replica is left alone until its lease expires
+    it('should follow another leader and take over its expired lease', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , leader = elector(endpoint, 'one')
+          , follower = elector(endpoint, 'two');
+        this.timeout(5000);
+        leader.start();
+        return until(function () {
+            return leader.isLeader;
+        }).then(function () {
+            follower.start();
+            return until(function () {
+                return follower.leader === 'one';
+            });
+        }).then(function () {
+            should(follower.isLeader).be.false();
+            // The leader goes away without releasing the lock
+            leader.started = false;
+            return until(function () {
+                return follower.isLeader;
+            });
+        }).then(function () {
+            should(endpoint.record()).have.properties({ holderIdentity: 'two', leaderTransitions: 1 });
+            should(follower.events).eql(['new-leader one', 'new-leader two', 'started-leading']);
+        });
+    });
+    // Renewals rejected because the lock object changed count as failures until the renew deadline
+    it('should stop leading when the lock cannot be renewed', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , candidate = elector(endpoint, 'one')
+          , lost;
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            endpoint.conflict = true;
+            lost = Date.now();
+            return until(function () {
+                return !candidate.isLeader;
+            });
+        }).then(function () {
+            should(Date.now() - lost).be.aboveOrEqual(100);
+            // Conflicts are expected between replicas and are not reported as errors
+            should(candidate.events).eql(['new-leader one', 'started-leading', 'stopped-leading']);
+            endpoint.conflict = false;
+            return until(function () {
+                return candidate.isLeader;
+            });
+        });
+    });
+    // A record written by another replica means the lock was lost
+    it('should stop leading when another replica takes the lock', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , candidate = elector(endpoint, 'one');
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            var object = Object.clone(endpoint.object, true);
+            object.metadata.annotations['control-plane.alpha.kubernetes.io/leader'] = JSON.stringify({
+                holderIdentity: 'two'
+                , leaseDurationSeconds: 15
+                , acquireTime: new Date().toISOString()
+                , renewTime: new Date().toISOString()
+                , leaderTransitions: 1
+            });
+            endpoint.write(object);
+            return until(function () {
+                return !candidate.isLeader;
+            });
+        }).then(function () {
+            should(candidate.leader).equal('two');
+            should(candidate.events).eql(['new-leader one', 'started-leading', 'new-leader two', 'stopped-leading']);
+        });
+    });
+    // Stopping clears the holder so that another replica can take over at once
+    it('should release the lock on stop', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , candidate = elector(endpoint, 'one')
+          , calls;
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            return candidate.stop();
+        }).then(function () {
+            should(candidate.isLeader).be.false();
+            should(endpoint.record()).have.properties({ holderIdentity: '', leaseDurationSeconds: 1 });
+            should(candidate.events).eql(['new-leader one', 'started-leading', 'stopped-leading']);
+            calls = endpoint.calls.length;
+            return Promise.delay(50);
+        }).then(function () {
+            should(endpoint.calls).have.length(calls);
+        });
+    });
+    // Lease objects keep the record in their spec
+    it('should write the record to the spec of a lease', function () {
+        var endpoint = new FakeEndpoint('leases')
+          , candidate = elector(endpoint, 'one');
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            should(endpoint.object.spec).have.properties({
+                holderIdentity: 'one'
+                , leaseDurationSeconds: 1
+                , leaseTransitions: 0
+            });
+            should(endpoint.object.spec.renewTime).match(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{6}Z$/);
+            should(endpoint.object).not.have.property('annotations');
+        });
+    });
+    // Unexpected failures are emitted and the elector keeps trying
+    it('should emit errors reading the lock', function () {
+        var endpoint = new FakeEndpoint('configmaps')
+          , candidate = elector(endpoint, 'one')
+          , failures = 2;
+        endpoint.get = function () {
+            if (failures-- > 0) return Promise.reject(status(500, 'InternalError'));
+            return FakeEndpoint.prototype.get.apply(this, arguments);
+        };
+        candidate.start();
+        return until(function () {
+            return candidate.isLeader;
+        }).then(function () {
+            should(candidate.events.slice(0, 2)).eql(['error Internal Server Error', 'error Internal Server Error']);
+        });
+    });
+    // The lock object must be named
+    it('should require a lock name', function () {
+        (function () {
+            election(client, { lock: new FakeEndpoint('configmaps') });
+        }).should.throw(errors.ParameterError);
+    });
+});
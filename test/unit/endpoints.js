@@ -0,0 +1,260 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , url = require('url')
+  , Promise = require('bluebird')
+  , Client = require('../../index');
+
+describe('Endpoints', function () {
+    var server
+      , client
+      , requests
+      , respond;
+
+    // Local stand-in for the API server which records the requests, each test may set the responses
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var body = '';
+            req.on('data', function (chunk) {
+                body += chunk;
+            }).on('end', function () {
+                var request = {
+                    method: req.method
+                    , path: url.parse(req.url).pathname
+                    , query: url.parse(req.url, true).query
+                    , headers: req.headers
+                    , body: body ? JSON.parse(body) : null
+                };
+                requests.push(request);
+                var response = respond(request, requests.length) || { body: request.body || {} };
+                res.statusCode = response.statusCode || 200;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(response.body));
+            });
+        }).listen(0, '127.0.0.1', function () {
+            client = Client({
+                host: 'http://127.0.0.1:' + server.address().port
+                , version: 'v1'
+                , namespace: 'ns'
+                , token: 'test-token'
+            });
+            done();
+        });
+    });
+    after(function (done) {
+        server.close(done);
+    });
+    beforeEach(function () {
+        requests = [];
+        respond = function () {};
+    });
+
+    describe('patch', function () {
+        // Strategic merge patches are the default
+        it('should send a strategic merge patch by default', function () {
+            return client.pods.patch('my-pod', { metadata: { labels: { app: 'web' } } }).then(function () {
+                should(requests).have.length(1);
+                should(requests[0]).have.properties({ method: 'PATCH', path: '/api/v1/namespaces/ns/pods/my-pod' });
+                should(requests[0].headers['content-type']).equal('application/strategic-merge-patch+json');
+                should(requests[0].query).eql({});
+                should(requests[0].body).eql({ metadata: { labels: { app: 'web' } } });
+            });
+        });
+        // Each patch type has its own content type
+        it('should set the content type of the patch type', function () {
+            var operations = [{ op: 'replace', path: '/spec/replicas', value: 3 }];
+            return client.replicationControllers.patch('rc', { spec: { replicas: 3 } }, {
+                patchType: 'merge'
+            }).then(function () {
+                return client.replicationControllers.patch('rc', operations, { patchType: 'json' });
+            }).then(function () {
+                should(requests.map(function (request) {
+                    return request.headers['content-type'];
+                })).eql(['application/merge-patch+json', 'application/json-patch+json']);
+                should(requests[1].body).eql(operations);
+                should(requests[1].query).eql({});
+            });
+        });
+        // A Content-Type header in the options takes precedence over the patch type
+        it('should keep a content type set in the options', function () {
+            return client.pods.patch('my-pod', { spec: {} }, {
+                headers: { 'Content-Type': 'application/custom-patch+json' }
+            }).then(function () {
+                should(requests[0].headers['content-type']).equal('application/custom-patch+json');
+            });
+        });
+        // The field manager and force options are sent as query parameters
+        it('should send the field manager and force options', function () {
+            return client.pods.patch('my-pod', { spec: {} }, {
+                patchType: 'apply'
+                , fieldManager: 'my-controller'
+                , force: true
+            }).then(function () {
+                should(requests[0].headers['content-type']).equal('application/apply-patch+yaml');
+                should(requests[0].query).eql({ fieldManager: 'my-controller', force: 'true' });
+            });
+        });
+        // The API server only accepts force for server-side apply
+        it('should only send the force option with apply patches', function () {
+            return client.pods.patch('my-pod', { spec: {} }, {
+                patchType: 'merge'
+                , fieldManager: 'my-controller'
+                , force: true
+            }).then(function () {
+                should(requests[0].headers['content-type']).equal('application/merge-patch+json');
+                should(requests[0].query).eql({ fieldManager: 'my-controller' });
+                return client.pods.update('my-pod', { metadata: { name: 'my-pod' } }, { force: true });
+            }).then(function () {
+                should(requests[1].query).eql({});
+            });
+        });
+        // Unknown patch types are refused before sending the request
+        it('should reject an unsupported patch type', function () {
+            return client.pods.patch('my-pod', { spec: {} }, { patchType: 'yaml' }).then(function () {
+                throw new Error('the patch should fail');
+            }, function (error) {
+                should(error.message).equal('unsupported patchType: \'yaml\'');
+                should(requests).have.length(0);
+            });
+        });
+    });
+
+    describe('apply', function () {
+        // Server-side apply sends the full object with its type, as the default field manager
+        it('should apply the intended state with server-side apply', function () {
+            return client.configMaps.apply({
+                metadata: { name: 'settings', namespace: 'other' }
+                , data: { mode: 'fast' }
+            }).then(function (result) {
+                should(requests).have.length(1);
+                should(requests[0]).have.properties({
+                    method: 'PATCH'
+                    , path: '/api/v1/namespaces/other/configmaps/settings'
+                });
+                should(requests[0].headers['content-type']).equal('application/apply-patch+yaml');
+                should(requests[0].query).eql({ fieldManager: 'cisco-kube-client' });
+                should(requests[0].body).eql({
+                    apiVersion: 'v1'
+                    , kind: 'ConfigMap'
+                    , metadata: { name: 'settings', namespace: 'other' }
+                    , data: { mode: 'fast' }
+                });
+                should(result).eql(requests[0].body);
+            });
+        });
+        // Conflicting fields are only taken over when forced
+        it('should send the field manager and force options', function () {
+            return client.configMaps.apply({ metadata: { name: 'settings' }, data: {} }, {
+                fieldManager: 'my-controller'
+                , force: true
+            }).then(function () {
+                should(requests[0].path).equal('/api/v1/namespaces/ns/configmaps/settings');
+                should(requests[0].query).eql({ fieldManager: 'my-controller', force: 'true' });
+            });
+        });
+        // The object is identified by its name
+        it('should require a name', function () {
+            return client.configMaps.apply({ metadata: {}, data: {} }).then(function () {
+                throw new Error('the apply should fail');
+            }, function (error) {
+                should(error.message).match(/metadata\.name/);
+                should(requests).have.length(0);
+            });
+        });
+    });
+
+    describe('modify', function () {
+        /**
+         * Answer each read with a newer version of a ConfigMap, and updates with a conflict when the condition holds
+         */
+        function respondWith(conflict) {
+            var version = 0;
+            return function (request) {
+                if (request.method === 'GET') {
+                    version++;
+                    return { body: {
+                        kind: 'ConfigMap'
+                        , metadata: { name: 'settings', resourceVersion: String(version) }
+                        , data: { count: String(version) }
+                    } };
+                }
+                if (conflict(request)) {
+                    return { statusCode: 409, body: {
+                        kind: 'Status'
+                        , status: 'Failure'
+                        , message: 'the object has been modified; please apply your changes to the latest version'
+                        , reason: 'Conflict'
+                        , code: 409
+                    } };
+                }
+            };
+        }
+
+        // A conflicting update is repeated with the latest state of the resource
+        it('should retry the modification after a conflict', function () {
+            var seen = [];
+            respond = respondWith(function (request) {
+                return request.body.metadata.resourceVersion === '1';
+            });
+            return client.configMaps.modify('settings', function (object) {
+                seen.push(object.data.count);
+                object.data.mode = 'fast';
+            }, { backoff: { initial: 5 } }).then(function (result) {
+                should(seen).eql(['1', '2']);
+                should(requests.map('method')).eql(['GET', 'PUT', 'GET', 'PUT']);
+                should(requests[3].path).equal('/api/v1/namespaces/ns/configmaps/settings');
+                should(requests[3].body.metadata.resourceVersion).equal('2');
+                should(result.data).eql({ count: '2', mode: 'fast' });
+            });
+        });
+        // The mutator may replace the resource, the version that was read is kept
+        it('should send the object returned by the mutator', function () {
+            respond = respondWith(function () {
+                return false;
+            });
+            return client.configMaps.modify('settings', function () {
+                return Promise.resolve({ metadata: { name: 'settings' }, data: { replaced: 'true' } });
+            }).then(function () {
+                should(requests[1].body).eql({
+                    metadata: { name: 'settings', resourceVersion: '1' }
+                    , data: { replaced: 'true' }
+                });
+            });
+        });
+        // Conflicts are retried up to the retry count
+        it('should give up after the maximum number of retries', function () {
+            respond = respondWith(function () {
+                return true;
+            });
+            return client.configMaps.modify('settings', function () {}, {
+                retryCount: 2
+                , backoff: { initial: 5 }
+            }).then(function () {
+                throw new Error('the modification should fail');
+            }, function (error) {
+                should(error.name).equal('ConflictError');
+                should(error.reason).equal('Conflict');
+                should(requests.map('method')).eql(['GET', 'PUT', 'GET', 'PUT', 'GET', 'PUT']);
+            });
+        });
+        // Other errors are not retried
+        it('should not retry other errors', function () {
+            respond = function (request) {
+                if (request.method === 'GET') {
+                    return { statusCode: 404, body: {
+                        kind: 'Status'
+                        , status: 'Failure'
+                        , reason: 'NotFound'
+                        , code: 404
+                    } };
+                }
+            };
+            return client.configMaps.modify('missing', function () {}).then(function () {
+                throw new Error('the modification should fail');
+            }, function (error) {
+                should(error.name).equal('NotFoundError');
+                should(requests).have.length(1);
+            });
+        });
+    });
+});
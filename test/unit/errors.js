@@ -0,0 +1,136 @@
+require('sugar');
+var should = require('should')
+  , STATUS_CODES = require('http').STATUS_CODES
+  , errors = require('../../lib/errors');
+
+describe('Errors', function () {
+    function status(code, reason, message, details) {
+        return {
+            kind: 'Status'
+            , apiVersion: 'v1'
+            , status: 'Failure'
+            , message: message
+            , reason: reason
+            , details: details
+            , code: code
+        };
+    }
+
+    // Status objects are turned into the error class of their code, with the reason and details
+    it('should map a Status response to a typed error', function () {
+        var details = {
+                name: 'web'
+                , kind: 'pods'
+                , causes: [{ reason: 'FieldValueRequired', message: 'Required value', field: 'spec.containers' }]
+            }
+          , error = errors(null, {
+                statusCode: 422
+                , body: status(422, 'Invalid', 'Pod "web" is invalid', details)
+                , request: { method: 'POST', uri: { href: 'https://kubernetes/api/v1/namespaces/ns/pods' } }
+            });
+        should(error).be.instanceof(errors.UnprocessableEntityError);
+        should(error).be.instanceof(errors.HttpError);
+        should(error).be.instanceof(errors.ClientError);
+        should(error).be.instanceof(Error);
+        should(error).have.properties({
+            name: 'UnprocessableEntityError'
+            , message: 'Pod "web" is invalid'
+            , statusCode: 422
+            , reason: 'Invalid'
+            , details: details
+            , method: 'POST'
+            , url: 'https://kubernetes/api/v1/namespaces/ns/pods'
+            , retryAfterSeconds: null
+            , impersonatedUser: null
+        });
+        should(error.body).have.property('kind', 'Status');
+    });
+    // Every known status code has its own class
+    it('should use the class of each status code', function () {
+        Object.each({
+            400: 'BadRequestError'
+            , 401: 'UnauthorizedError'
+            , 403: 'ForbiddenError'
+            , 404: 'NotFoundError'
+            , 405: 'MethodNotAllowedError'
+            , 406: 'NotAcceptableError'
+            , 409: 'ConflictError'
+            , 410: 'GoneError'
+            , 413: 'RequestEntityTooLargeError'
+            , 415: 'UnsupportedMediaTypeError'
+            , 422: 'UnprocessableEntityError'
+            , 429: 'TooManyRequestsError'
+            , 500: 'InternalServerError'
+            , 502: 'BadGatewayError'
+            , 503: 'ServiceUnavailableError'
+            , 504: 'GatewayTimeoutError'
+        }, function (code, name) {
+            var error = errors(null, { statusCode: parseInt(code), body: null });
+            should(error).be.instanceof(errors[name]);
+            should(error.name).equal(name);
+            should(error.statusCode).equal(parseInt(code));
+        });
+    });
+    // Other status codes are plain HTTP errors
+    it('should map unknown status codes to HttpError', function () {
+        var error = errors(null, { statusCode: 418, body: '' });
+        should(error.constructor).equal(errors.HttpError);
+        should(error.statusCode).equal(418);
+        should(error.message).equal(STATUS_CODES[418]);
+        should(error.reason).be.null();
+    });
+    // Bodies that have not been parsed yet are decoded, and plain text is used as the message
+    it('should decode buffer and text bodies', function () {
+        var fromBuffer = errors(null, {
+                statusCode: 404
+                , body: Buffer.from(JSON.stringify(status(404, 'NotFound', 'pods "web" not found')))
+            })
+          , fromText = errors(null, { statusCode: 502, body: 'upstream connect error\n' });
+        should(fromBuffer.message).equal('pods "web" not found');
+        should(fromBuffer.reason).equal('NotFound');
+        should(fromText).be.instanceof(errors.BadGatewayError);
+        should(fromText.message).equal('upstream connect error');
+        should(fromText.body).equal('upstream connect error\n');
+    });
+    // The delay before retrying comes from the Status details, or else the Retry-After header
+    it('should read the retry delay', function () {
+        should(errors(null, {
+            statusCode: 429
+            , body: status(429, 'TooManyRequests', 'too many requests', { retryAfterSeconds: 3 })
+            , headers: { 'retry-after': '10' }
+        }).retryAfterSeconds).equal(3);
+        should(errors(null, {
+            statusCode: 503
+            , body: 'overloaded'
+            , headers: { 'retry-after': '10' }
+        }).retryAfterSeconds).equal(10);
+    });
+    // Status objects in a successful response also count as errors
+    it('should check the status code of the response body', function () {
+        var error = errors(null, { statusCode: 200, body: { statusCode: 404 } });
+        should(error).be.instanceof(errors.NotFoundError);
+        should(errors(null, { statusCode: 200, body: { kind: 'Pod' } })).be.null();
+    });
+    // Request failures are returned unchanged
+    it('should return request errors unchanged', function () {
+        var original = new Error('connect ECONNREFUSED');
+        should(errors(original, null)).equal(original);
+    });
+    // 409 responses are told apart by their reason
+    it('should tell apart conflicts and existing resources', function () {
+        var conflict = errors(null, { statusCode: 409, body: status(409, 'Conflict', 'modified') })
+          , exists = errors(null, { statusCode: 409, body: status(409, 'AlreadyExists', 'exists') })
+          , unknown = errors(null, { statusCode: 409, body: '' })
+          , missing = errors(null, { statusCode: 404, body: '' });
+        should(errors.isConflict(conflict)).be.true();
+        should(errors.isAlreadyExists(conflict)).be.false();
+        should(errors.isConflict(exists)).be.false();
+        should(errors.isAlreadyExists(exists)).be.true();
+        // Without a reason, only the status code can be checked
+        should(errors.isConflict(unknown)).be.true();
+        should(errors.isAlreadyExists(unknown)).be.false();
+        should(errors.isNotFound(missing)).be.true();
+        should(errors.isNotFound(conflict)).be.false();
+        should(errors.isNotFound(null)).be.false();
+    });
+});
@@ -0,0 +1,134 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , Client = require('../../index')
+  , errors = require('../../lib/errors');
+
+describe('Impersonation', function () {
+    var server
+      , requests
+      , respond;
+
+    // Local stand-in for the API server which records the impersonation headers of each request
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var headers = [];
+            for (var i = 0; i < req.rawHeaders.length; i += 2) {
+                if (/^impersonate-/i.test(req.rawHeaders[i])) {
+                    headers.push(req.rawHeaders[i].toLowerCase() + ': ' + req.rawHeaders[i + 1]);
+                }
+            }
+            requests.push(headers);
+            var response = respond(req);
+            res.statusCode = response ? response.statusCode : 200;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response ? response.body : { kind: 'PodList', items: [] }));
+        }).listen(0, '127.0.0.1', done);
+    });
+    after(function (done) {
+        server.close(done);
+    });
+    beforeEach(function () {
+        requests = [];
+        respond = function () {};
+    });
+
+    function createClient(impersonate) {
+        return Client({
+            host: 'http://127.0.0.1:' + server.address().port
+            , version: 'v1'
+            , namespace: 'ns'
+            , token: 'test-token'
+            , impersonate: impersonate
+        });
+    }
+
+    // A string is the name of the user
+    it('should impersonate the user of the client options', function () {
+        return createClient('jane').pods.get().then(function () {
+            should(requests).eql([['impersonate-user: jane']]);
+        });
+    });
+    // Groups and extra fields with several values are sent as repeated headers
+    it('should send every field of the impersonated user', function () {
+        var client = createClient()
+          , jane = client.as({
+                user: 'jane'
+                , uid: '42'
+                , groups: ['developers', 'admins']
+                , extra: { scopes: ['view', 'edit'], 'example.com/reason': 'debugging' }
+            });
+        return jane.pods.get().then(function () {
+            return client.pods.get();
+        }).then(function () {
+            should(requests[0]).eql([
+                'impersonate-user: jane'
+                , 'impersonate-uid: 42'
+                , 'impersonate-group: developers'
+                , 'impersonate-group: admins'
+                , 'impersonate-extra-scopes: view'
+                , 'impersonate-extra-scopes: edit'
+                , 'impersonate-extra-example.com%2freason: debugging'
+            ]);
+            // The parent client does not impersonate anyone
+            should(requests[1]).eql([]);
+            should(client.config.impersonate).be.null();
+            should(jane.config.impersonate.user).equal('jane');
+        });
+    });
+    // The method option replaces the impersonated user of the client, and null turns impersonation off
+    it('should let each request choose the impersonated user', function () {
+        var client = createClient({ user: 'jane', groups: 'developers' });
+        return client.pods.get(null, { impersonate: 'joe' }).then(function () {
+            return client.pods.get(null, { impersonate: null });
+        }).then(function () {
+            should(requests).eql([['impersonate-user: joe'], []]);
+        });
+    });
+    // Both reasons for a 403 are told apart
+    it('should explain forbidden impersonated requests', function () {
+        var client = createClient('jane');
+        respond = function () {
+            return { statusCode: 403, body: {
+                kind: 'Status'
+                , status: 'Failure'
+                , message: 'users "jane" is forbidden: User "system:serviceaccount:ns:app" cannot impersonate '
+                    + 'resource "users" in API group "" at the cluster scope'
+                , reason: 'Forbidden'
+                , code: 403
+            } };
+        };
+        return client.pods.get().then(function () {
+            throw new Error('the request should fail');
+        }, function (error) {
+            should(error).be.instanceof(errors.ForbiddenError);
+            should(error.message).startWith('not allowed to impersonate user \'jane\': users "jane" is forbidden');
+            should(error.impersonatedUser).equal('jane');
+            respond = function () {
+                return { statusCode: 403, body: {
+                    kind: 'Status'
+                    , status: 'Failure'
+                    , message: 'pods is forbidden: User "jane" cannot list resource "pods" in the namespace "ns"'
+                    , reason: 'Forbidden'
+                    , code: 403
+                } };
+            };
+            return client.pods.get();
+        }).then(function () {
+            throw new Error('the request should fail');
+        }, function (error) {
+            should(error.message).startWith('forbidden for impersonated user \'jane\': pods is forbidden');
+            should(error.impersonatedUser).equal('jane');
+        });
+    });
+    // The user name is required
+    it('should require the name of the impersonated user', function () {
+        var client = createClient();
+        (function () {
+            client.as({ groups: ['developers'] });
+        }).should.throw(errors.ParameterError);
+        (function () {
+            client.as(null);
+        }).should.throw(errors.ParameterError);
+    });
+});
@@ -0,0 +1,261 @@
+require('sugar');
+var should = require('should')
+  , bunyan = require('bunyan')
+  , EventEmitter = require('events')
+  , Promise = require('bluebird')
+  , informer = require('../../lib/informer');
+
+describe('Informer', function () {
+    /**
+     * Endpoint which answers each watch with the next queued result
+     */
+    function FakeEndpoint(results) {
+        this.resource = 'pods';
+        this.results = results;
+        this.emitters = [];
+        this._log = bunyan.createLogger({ name: 'test', level: 'fatal' });
+    }
+    FakeEndpoint.prototype.watch = function () {
+        var self = this
+          , result = this.results.shift();
+        return Promise.delay(5).then(function () {
+            if (result instanceof Error) throw result;
+            var emitter = new EventEmitter();
+            emitter.initialState = { items: result };
+            emitter.start = function () {};
+            emitter.stop = function () {
+                emitter.stopped = true;
+            };
+            self.emitters.push(emitter);
+            return emitter;
+        });
+    };
+
+    function pod(name, version, node) {
+        return {
+            metadata: { name: name, namespace: 'default', resourceVersion: String(version || 1) }
+            , spec: { nodeName: node }
+        };
+    }
+
+    /**
+     * Record the events of an informer or a store by name and resource version
+     */
+    function record(emitter) {
+        var events = [];
+        emitter.on('add', function (object) {
+            events.push('add ' + object.metadata.name + '@' + object.metadata.resourceVersion);
+        }).on('update', function (first, second) {
+            events.push('update ' + first.metadata.name + '@' + first.metadata.resourceVersion + ' '
+                + second.metadata.name + '@' + second.metadata.resourceVersion);
+        }).on('delete', function (object) {
+            events.push('delete ' + object.metadata.name + '@' + object.metadata.resourceVersion);
+        });
+        return events;
+    }
+
+    function names(objects) {
+        return objects.map(function (object) {
+            return object.metadata.name;
+        }).sort();
+    }
+
+    // A failed initial list must not stay cached in the sync promise
+    it('should list again when restarted after a failure', function () {
+        var endpoint = new FakeEndpoint([new Error('list failed'), [pod('a')]])
+          , cache = informer(endpoint);
+        return cache.start().then(function () {
+            throw new Error('the first start should fail');
+        }, function (error) {
+            should(error.message).equal('list failed');
+            should(cache.started).be.false();
+            return cache.start();
+        }).then(function (result) {
+            should(result).equal(cache);
+            should(cache.synced).be.true();
+            should(cache.list()).have.length(1);
+            return cache.hasSynced();
+        }).then(function (result) {
+            should(result).equal(cache);
+            cache.stop();
+        });
+    });
+    // A restart must wait for the new list instead of returning the previous sync
+    it('should wait for the new list when restarted after stop', function () {
+        var endpoint = new FakeEndpoint([[pod('a')], [pod('a'), pod('b')]])
+          , cache = informer(endpoint);
+        return cache.start().then(function () {
+            cache.stop();
+            should(endpoint.emitters[0].stopped).be.true();
+            var restarted = cache.start();
+            should(cache.synced).be.false();
+            return restarted;
+        }).then(function () {
+            should(cache.synced).be.true();
+            should(cache.list()).have.length(2);
+            cache.stop();
+        });
+    });
+    // Callers of hasSynced before the first start follow that start
+    it('should settle an early hasSynced with the first start', function () {
+        var endpoint = new FakeEndpoint([[pod('a')]])
+          , cache = informer(endpoint)
+          , synced = cache.hasSynced();
+        cache.start();
+        return synced.then(function (result) {
+            should(result).equal(cache);
+            cache.stop();
+        });
+    });
+    // Stopping during the initial list rejects its waiters and drops the late watch
+    it('should abandon the initial list when stopped before it arrives', function () {
+        var endpoint = new FakeEndpoint([[pod('a')]])
+          , cache = informer(endpoint)
+          , started = cache.start();
+        cache.stop();
+        return started.then(function () {
+            throw new Error('the stopped start should fail');
+        }, function (error) {
+            should(error.message).match(/stopped/);
+            return Promise.delay(10);
+        }).then(function () {
+            should(endpoint.emitters[0].stopped).be.true();
+            should(cache.list()).have.length(0);
+        });
+    });
+    // Watch events update the store, and update listeners receive the previous and the current state
+    it('should apply watch events to the store', function () {
+        var endpoint = new FakeEndpoint([[pod('a'), pod('b')]])
+          , cache = informer(endpoint)
+          , events = record(cache);
+        return cache.start().then(function () {
+            var emitter = endpoint.emitters[0];
+            emitter.emit('create', pod('c', 2));
+            emitter.emit('update', pod('a', 3));
+            emitter.emit('delete', pod('b', 4));
+            should(events).eql(['add a@1', 'add b@1', 'add c@2', 'update a@1 a@3', 'delete b@4']);
+            should(names(cache.list())).eql(['a', 'c']);
+            should(cache.get('default', 'a').metadata.resourceVersion).equal('3');
+            should(cache.get('default', 'b')).be.null();
+            cache.stop();
+        });
+    });
+    // A relist after the watch expired only reports the differences with the cache
+    it('should reconcile the store after a relist', function () {
+        var endpoint = new FakeEndpoint([[pod('a'), pod('b'), pod('c')]])
+          , cache = informer(endpoint)
+          , events;
+        return cache.start().then(function () {
+            events = record(cache);
+            endpoint.emitters[0].emit('resync', { items: [pod('a'), pod('b', 2), pod('d')] });
+            should(events).eql(['update b@1 b@2', 'add d@1', 'delete c@1']);
+            should(names(cache.list())).eql(['a', 'b', 'd']);
+            cache.stop();
+        });
+    });
+    // Indexes given as options are kept up to date by watch events
+    it('should index the cached resources', function () {
+        var endpoint = new FakeEndpoint([[pod('a', 1, 'node-1'), pod('b', 1, 'node-2')]])
+          , cache = informer(endpoint, {
+                indexers: {
+                    node: function (object) {
+                        return object.spec.nodeName;
+                    }
+                }
+            });
+        return cache.start().then(function () {
+            should(names(cache.byIndex('node', 'node-1'))).eql(['a']);
+            endpoint.emitters[0].emit('update', pod('b', 2, 'node-1'));
+            should(names(cache.byIndex('node', 'node-1'))).eql(['a', 'b']);
+            should(cache.byIndex('node', 'node-2')).eql([]);
+            // Indexes added later include the cached resources
+            cache.addIndexer('version', function (object) {
+                return object.metadata.resourceVersion;
+            });
+            should(names(cache.byIndex('version', '2'))).eql(['b']);
+            cache.stop();
+        });
+    });
+    // Every cached resource is replayed as an update until the informer is stopped
+    it('should resync the cached resources periodically', function () {
+        var endpoint = new FakeEndpoint([[pod('a')]])
+          , cache = informer(endpoint, { resyncPeriod: 10 })
+          , events;
+        return cache.start().then(function () {
+            events = record(cache);
+            return Promise.delay(35);
+        }).then(function () {
+            should(events.length).be.aboveOrEqual(2);
+            events.each(function (event) {
+                should(event).equal('update a@1 a@1');
+            });
+            cache.stop();
+            var count = events.length;
+            return Promise.delay(25).then(function () {
+                should(events).have.length(count);
+            });
+        });
+    });
+
+    describe('Store', function () {
+        // Namespaced resources are keyed by namespace and name, cluster-scoped ones by name
+        it('should key the resources by namespace and name', function () {
+            var store = new informer.Store();
+            store.update(pod('a'));
+            store.update({ metadata: { name: 'node-1', resourceVersion: '1' } });
+            should(store.keys().sort()).eql(['default/a', 'node-1']);
+            should(store.get('default/a').metadata.name).equal('a');
+            should(store.get('a')).be.null();
+        });
+        // Updates report the new and the previous state, and unknown resources are not deleted
+        it('should emit add, update and delete events', function () {
+            var store = new informer.Store()
+              , events = record(store);
+            store.update(pod('a'));
+            store.update(pod('a', 2));
+            store.delete(pod('a', 3));
+            store.delete(pod('b'));
+            should(events).eql(['add a@1', 'update a@2 a@1', 'delete a@3']);
+            should(store.list()).eql([]);
+        });
+        // Resources with the same resource version are left as they are
+        it('should replace the contents of the store', function () {
+            var store = new informer.Store()
+              , events;
+            store.replace([pod('a'), pod('b')]);
+            events = record(store);
+            store.replace([pod('a'), pod('b', 2), pod('c')]);
+            store.replace([]);
+            should(events).eql(['update b@2 b@1', 'add c@1', 'delete a@1', 'delete b@2', 'delete c@1']);
+        });
+        // Index functions may return several values, or none
+        it('should maintain the secondary indexes', function () {
+            var store = new informer.Store({
+                labels: function (object) {
+                    return object.metadata.labels ? Object.keys(object.metadata.labels) : null;
+                }
+            });
+            store.update(Object.merge(pod('a'), { metadata: { labels: { app: 'web', tier: 'front' } } }, true));
+            store.update(Object.merge(pod('b'), { metadata: { labels: { app: 'db' } } }, true));
+            store.update(pod('c'));
+            should(names(store.byIndex('labels', 'app'))).eql(['a', 'b']);
+            should(names(store.byIndex('labels', 'tier'))).eql(['a']);
+            // Changed and deleted resources are removed from their previous values
+            store.update(Object.merge(pod('a', 2), { metadata: { labels: { app: 'web' } } }, true));
+            store.delete(pod('b'));
+            should(names(store.byIndex('labels', 'app'))).eql(['a']);
+            should(store.byIndex('labels', 'tier')).eql([]);
+            should(store.indices.labels).have.keys('app');
+        });
+        // Indexes must exist, and index functions must be functions
+        it('should check the indexes', function () {
+            var store = new informer.Store();
+            (function () {
+                store.byIndex('node', 'node-1');
+            }).should.throw('index \'node\' does not exist');
+            (function () {
+                store.addIndexer('node', 'spec.nodeName');
+            }).should.throw('indexer \'node\' must be a function');
+        });
+    });
+});
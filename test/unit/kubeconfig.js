@@ -0,0 +1,309 @@
+require('sugar');
+var should = require('should')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , Client = require('../../index')
+  , kubeconfig = require('../../lib/kubeconfig')
+  , errors = require('../../lib/errors');
+
+describe('Kubeconfig', function () {
+    var root
+      , env;
+
+    before(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'kube-client-test-'));
+        env = process.env.KUBECONFIG;
+    });
+    after(function () {
+        fs.readdirSync(root).each(function (file) {
+            fs.unlinkSync(path.join(root, file));
+        });
+        fs.rmdirSync(root);
+        if (env === undefined) {
+            delete process.env.KUBECONFIG;
+        } else {
+            process.env.KUBECONFIG = env;
+        }
+    });
+
+    /**
+     * Write a file to the test directory and return its path
+     */
+    function write(name, content) {
+        var file = path.join(root, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    }
+
+    /**
+     * Expect the kubeconfig to be rejected because of the named parameter
+     */
+    function missing(parameter, file, context) {
+        (function () {
+            kubeconfig(file, context);
+        }).should.throw(errors.ParameterError, { message: 'missing required parameter: \'' + parameter + '\'' });
+    }
+
+    // The first file to define an entry or the current context wins, and missing files are ignored
+    it('should merge the files of KUBECONFIG in order', function () {
+        var first = write('first', {
+                'current-context': 'dev'
+                , clusters: [{ name: 'shared', cluster: { server: 'https://first:6443' } }]
+                , contexts: [{ name: 'dev', context: { cluster: 'shared', namespace: 'dev' } }]
+            })
+          , second = write('second', {
+                'current-context': 'prod'
+                , clusters: [
+                    { name: 'shared', cluster: { server: 'https://second:6443' } }
+                    , { name: 'prod', cluster: { server: 'https://prod:6443' } }
+                ]
+                , contexts: [
+                    { name: 'dev', context: { cluster: 'prod', namespace: 'other' } }
+                    , { name: 'prod', context: { cluster: 'prod' } }
+                ]
+            });
+        process.env.KUBECONFIG = [first, path.join(root, 'missing'), second].join(path.delimiter);
+        should(kubeconfig()).eql({ host: 'https://first:6443', namespace: 'dev' });
+        should(kubeconfig(null, 'prod')).eql({ host: 'https://prod:6443' });
+        // Files given explicitly replace KUBECONFIG
+        should(kubeconfig([second, first])).eql({ host: 'https://prod:6443' });
+        should(kubeconfig([second, first], 'dev')).eql({ host: 'https://prod:6443', namespace: 'other' });
+        should(kubeconfig(first, 'dev')).eql({ host: 'https://first:6443', namespace: 'dev' });
+        process.env.KUBECONFIG = path.join(root, 'missing');
+        missing('kubeconfig');
+    });
+    // Certificates are read from inline data or from files relative to the kubeconfig
+    it('should read inline and file certificates', function () {
+        write('ca.crt', 'CA FILE');
+        write('client.crt', 'CERT FILE');
+        write('client.key', 'KEY FILE');
+        var file = write('certificates', {
+            clusters: [
+                { name: 'inline', cluster: {
+                    server: 'https://inline:6443'
+                    , 'certificate-authority-data': Buffer.from('CA DATA').toString('base64')
+                    // Inline data takes precedence over the file
+                    , 'certificate-authority': 'missing.crt'
+                } }
+                , { name: 'files', cluster: {
+                    server: 'https://files:6443'
+                    , 'certificate-authority': 'ca.crt'
+                    , 'insecure-skip-tls-verify': true
+                } }
+            ]
+            , users: [
+                { name: 'inline', user: {
+                    'client-certificate-data': Buffer.from('CERT DATA').toString('base64')
+                    , 'client-key-data': Buffer.from('KEY DATA').toString('base64')
+                } }
+                // Absolute paths are kept
+                , { name: 'files', user: {
+                    'client-certificate': 'client.crt'
+                    , 'client-key': path.join(root, 'client.key')
+                } }
+            ]
+            , contexts: [
+                { name: 'inline', context: { cluster: 'inline', user: 'inline' } }
+                , { name: 'files', context: { cluster: 'files', user: 'files' } }
+            ]
+        });
+        should(kubeconfig(file, 'inline').tls).eql({ ca: 'CA DATA', cert: 'CERT DATA', key: 'KEY DATA' });
+        should(kubeconfig(file, 'files').tls).eql({
+            ca: 'CA FILE'
+            , insecureSkipVerify: true
+            , cert: 'CERT FILE'
+            , key: 'KEY FILE'
+        });
+    });
+    // A token takes precedence over a token file, whose path is resolved like certificates
+    it('should read the user credentials', function () {
+        var file = write('credentials', {
+            clusters: [{ name: 'test', cluster: { server: 'https://test:6443' } }]
+            , users: [
+                { name: 'token', user: { token: 'secret', tokenFile: 'token' } }
+                , { name: 'file', user: { tokenFile: 'token' } }
+                , { name: 'basic', user: { username: 'jane', password: 'pass' } }
+            ]
+            , contexts: [
+                { name: 'token', context: { cluster: 'test', user: 'token' } }
+                , { name: 'file', context: { cluster: 'test', user: 'file' } }
+                , { name: 'basic', context: { cluster: 'test', user: 'basic' } }
+                , { name: 'anonymous', context: { cluster: 'test' } }
+            ]
+        });
+        should(kubeconfig(file, 'token')).eql({ host: 'https://test:6443', token: 'secret' });
+        should(kubeconfig(file, 'file')).eql({ host: 'https://test:6443', tokenFile: path.join(root, 'token') });
+        should(kubeconfig(file, 'basic')).eql({
+            host: 'https://test:6443'
+            , auth: { user: 'jane', pass: 'pass' }
+            , authProvider: 'basic'
+        });
+        should(kubeconfig(file, 'anonymous')).eql({ host: 'https://test:6443' });
+    });
+    // Credential plugins and OIDC users are mapped to authentication providers
+    it('should map exec and oidc users to authentication providers', function () {
+        var file = write('providers', {
+            clusters: [{ name: 'test', cluster: { server: 'https://test:6443' } }]
+            , users: [
+                { name: 'exec', user: { exec: {
+                    apiVersion: 'client.authentication.k8s.io/v1'
+                    , command: 'get-token'
+                    , args: ['--cluster', 'test']
+                    , env: [{ name: 'REGION', value: 'eu' }]
+                } } }
+                , { name: 'oidc', user: { 'auth-provider': { name: 'oidc', config: {
+                    'idp-issuer-url': 'https://issuer'
+                    , 'client-id': 'kube'
+                    , 'client-secret': 'shh'
+                    , 'id-token': 'id'
+                    , 'refresh-token': 'refresh'
+                } } } }
+                , { name: 'gcp', user: { 'auth-provider': { name: 'gcp' } } }
+            ]
+            , contexts: [
+                { name: 'exec', context: { cluster: 'test', user: 'exec' } }
+                , { name: 'oidc', context: { cluster: 'test', user: 'oidc' } }
+                , { name: 'gcp', context: { cluster: 'test', user: 'gcp' } }
+            ]
+        });
+        should(kubeconfig(file, 'exec').authProvider).eql({
+            type: 'exec'
+            , command: 'get-token'
+            , args: ['--cluster', 'test']
+            , env: [{ name: 'REGION', value: 'eu' }]
+            , apiVersion: 'client.authentication.k8s.io/v1'
+        });
+        should(kubeconfig(file, 'oidc').authProvider).eql({
+            type: 'oidc'
+            , issuerUrl: 'https://issuer'
+            , clientId: 'kube'
+            , clientSecret: 'shh'
+            , idToken: 'id'
+            , refreshToken: 'refresh'
+        });
+        // Other auth-providers are not supported
+        should(kubeconfig(file, 'gcp')).not.have.property('authProvider');
+    });
+    // Missing references are reported with the path of the parameter
+    it('should report missing contexts, clusters and users', function () {
+        var file = write('broken', {
+            clusters: [
+                { name: 'test', cluster: { server: 'https://test:6443' } }
+                , { name: 'serverless', cluster: {} }
+            ]
+            , users: [{ name: 'keyless', user: { 'client-certificate-data': 'Q0VSVA==' } }]
+            , contexts: [
+                { name: 'no-cluster', context: { user: 'keyless' } }
+                , { name: 'unknown-cluster', context: { cluster: 'missing' } }
+                , { name: 'unknown-user', context: { cluster: 'test', user: 'nobody' } }
+                , { name: 'no-server', context: { cluster: 'serverless' } }
+                , { name: 'no-key', context: { cluster: 'test', user: 'keyless' } }
+            ]
+        });
+        missing('current-context', file);
+        missing('contexts[\'missing\']', file, 'missing');
+        missing('contexts[\'no-cluster\'].cluster', file, 'no-cluster');
+        missing('clusters[\'missing\']', file, 'unknown-cluster');
+        missing('users[\'nobody\']', file, 'unknown-user');
+        missing('clusters[\'serverless\'].server', file, 'no-server');
+        missing('users[\'keyless\'].client-key', file, 'no-key');
+    });
+    // The client takes its configuration from the context, and the options take precedence
+    it('should create a client from a kubeconfig context', function () {
+        var file = write('client', {
+            'current-context': 'test'
+            , clusters: [{ name: 'test', cluster: { server: 'http://127.0.0.1:1' } }]
+            , users: [{ name: 'test', user: { token: 'secret' } }]
+            , contexts: [{ name: 'test', context: { cluster: 'test', user: 'test', namespace: 'dev' } }]
+        });
+        var client = Client.fromKubeconfig(file, { namespace: 'other' });
+        should(client.config).have.properties({ host: 'http://127.0.0.1:1', namespace: 'other', token: 'secret' });
+        (function () {
+            Client.fromKubeconfig(file, { context: 'missing' });
+        }).should.throw(/contexts\['missing'\]/);
+    });
+
+    describe('inCluster', function () {
+        var account
+          , variables;
+
+        beforeEach(function () {
+            account = fs.mkdtempSync(path.join(os.tmpdir(), 'kube-client-test-'));
+            fs.writeFileSync(path.join(account, 'token'), 'first-test-token');
+            fs.writeFileSync(path.join(account, 'ca.crt'), '-----BEGIN CERTIFICATE-----\n');
+            fs.writeFileSync(path.join(account, 'namespace'), 'pod-namespace');
+            variables = Object.select(process.env, ['KUBERNETES_SERVICE_HOST', 'KUBERNETES_SERVICE_PORT']);
+            process.env.KUBERNETES_SERVICE_HOST = '10.0.0.1';
+            process.env.KUBERNETES_SERVICE_PORT = '443';
+        });
+        afterEach(function () {
+            fs.readdirSync(account).each(function (file) {
+                fs.unlinkSync(path.join(account, file));
+            });
+            fs.rmdirSync(account);
+            ['KUBERNETES_SERVICE_HOST', 'KUBERNETES_SERVICE_PORT'].each(function (name) {
+                if (variables.hasOwnProperty(name)) {
+                    process.env[name] = variables[name];
+                } else {
+                    delete process.env[name];
+                }
+            });
+        });
+
+        // The host comes from the environment, and the token is read from its file by the auth module
+        it('should read the service account', function () {
+            should(kubeconfig.inCluster(account)).eql({
+                host: 'https://10.0.0.1:443'
+                , tokenFile: path.join(account, 'token')
+                , tls: { ca: path.join(account, 'ca.crt') }
+                , namespace: 'pod-namespace'
+            });
+            process.env.KUBERNETES_SERVICE_HOST = 'fd00::1';
+            should(kubeconfig.inCluster(account).host).equal('https://[fd00::1]:443');
+        });
+        // The certificate authority and namespace are optional
+        it('should skip the missing certificate authority and namespace', function () {
+            fs.unlinkSync(path.join(account, 'ca.crt'));
+            fs.unlinkSync(path.join(account, 'namespace'));
+            should(kubeconfig.inCluster(account)).eql({
+                host: 'https://10.0.0.1:443'
+                , tokenFile: path.join(account, 'token')
+            });
+        });
+        // The token and the service environment variables are required
+        it('should require the token and the service address', function () {
+            fs.unlinkSync(path.join(account, 'token'));
+            (function () {
+                kubeconfig.inCluster(account);
+            }).should.throw(errors.ParameterError, {
+                message: 'missing required parameter: \'' + path.join(account, 'token') + '\''
+            });
+            delete process.env.KUBERNETES_SERVICE_PORT;
+            (function () {
+                kubeconfig.inCluster(account);
+            }).should.throw(errors.ParameterError, {
+                message: 'missing required parameter: \'KUBERNETES_SERVICE_PORT\''
+            });
+            delete process.env.KUBERNETES_SERVICE_HOST;
+            (function () {
+                kubeconfig.inCluster(account);
+            }).should.throw(errors.ParameterError, {
+                message: 'missing required parameter: \'KUBERNETES_SERVICE_HOST\''
+            });
+        });
+        // Explicit client options take precedence, and the token file is read again when refreshed
+        it('should configure a client in the pod', function () {
+            var client = Client({ version: 'v1', inCluster: { root: account }, namespace: 'other' });
+            should(client.config).have.properties({ host: 'https://10.0.0.1:443', namespace: 'other' });
+            should(client.config.tls.ca).equal('-----BEGIN CERTIFICATE-----\n');
+            return client.authenticate().then(function (config) {
+                should(config).have.property('token', 'first-test-token');
+                fs.writeFileSync(path.join(account, 'token'), 'second-test-token');
+                return client.authenticate(true);
+            }).then(function (config) {
+                should(config).have.property('token', 'second-test-token');
+            });
+        });
+    });
+});
@@ -0,0 +1,92 @@
+require('sugar');
+var should = require('should')
+  , Promise = require('bluebird')
+  , limiter = require('../../lib/limiter');
+
+describe('Request limiter', function () {
+    /**
+     * Task which records when it starts and how many tasks run alongside it
+     */
+    function Tracker() {
+        var self = this;
+        this.started = [];
+        this.running = 0;
+        this.maxRunning = 0;
+        this.task = function (name, duration, fail) {
+            return function () {
+                self.started.push({ name: name, time: Date.now() });
+                self.running++;
+                self.maxRunning = Math.max(self.maxRunning, self.running);
+                return Promise.delay(duration).then(function () {
+                    if (fail) throw new Error(name + ' failed');
+                    return name;
+                }).finally(function () {
+                    self.running--;
+                });
+            };
+        };
+    }
+
+    // Without limits the tasks run at once
+    it('should run tasks at once without limits', function () {
+        var tracker = new Tracker()
+          , limits = limiter();
+        should(limits).have.properties({ qps: null, burst: null, concurrency: null });
+        return Promise.all([1, 2, 3, 4].map(function (name) {
+            return limits.schedule(tracker.task(name, 10));
+        })).then(function (results) {
+            should(results).eql([1, 2, 3, 4]);
+            should(tracker.maxRunning).equal(4);
+        });
+    });
+    // No more than the concurrency limit run at the same time, and tasks start in order
+    it('should limit the number of running tasks', function () {
+        var tracker = new Tracker()
+          , limits = limiter({ concurrency: 2 });
+        return Promise.all([1, 2, 3, 4, 5].map(function (name) {
+            return limits.schedule(tracker.task(name, 10));
+        })).then(function (results) {
+            should(results).eql([1, 2, 3, 4, 5]);
+            should(tracker.maxRunning).equal(2);
+            should(tracker.started.map('name')).eql([1, 2, 3, 4, 5]);
+            should(limits.active).equal(0);
+        });
+    });
+    // Failed tasks free their slot for the next one
+    it('should release the slot of a failed task', function () {
+        var tracker = new Tracker()
+          , limits = limiter({ concurrency: 1 })
+          , first = limits.schedule(tracker.task('first', 5, true))
+          , second = limits.schedule(function () {
+                throw new Error('second failed');
+            })
+          , third = limits.schedule(tracker.task('third', 5));
+        return Promise.all([first.reflect(), second.reflect(), third]).spread(function (first, second, third) {
+            should(first.reason().message).equal('first failed');
+            should(second.reason().message).equal('second failed');
+            should(third).equal('third');
+            should(limits.active).equal(0);
+        });
+    });
+    // A burst of tasks starts at once, then tasks start at the average rate
+    it('should limit the rate of started tasks', function () {
+        var tracker = new Tracker()
+          , limits = limiter({ qps: 50, burst: 2 });
+        return Promise.all([1, 2, 3, 4].map(function (name) {
+            return limits.schedule(tracker.task(name, 0));
+        })).then(function () {
+            var times = tracker.started.map('time');
+            should(times[1] - times[0]).be.below(10);
+            // One token every 20ms after the burst
+            should(times[2] - times[0]).be.aboveOrEqual(19);
+            should(times[3] - times[0]).be.aboveOrEqual(39);
+            should(tracker.started.map('name')).eql([1, 2, 3, 4]);
+        });
+    });
+    // The burst defaults to the rate, rounded up
+    it('should default the burst to the rate', function () {
+        should(limiter({ qps: 2.5 }).burst).equal(3);
+        should(limiter({ qps: 0.5 }).burst).equal(1);
+        should(limiter({ qps: 0, burst: 5 }).burst).be.null();
+    });
+});
@@ -0,0 +1,189 @@
+require('sugar');
+var should = require('should')
+  , bunyan = require('bunyan')
+  , Promise = require('bluebird')
+  , Endpoint = require('../../lib/endpoints').Endpoint
+  , errors = require('../../lib/errors');
+
+describe('Paginated lists', function () {
+    /**
+     * Endpoint which answers each page request with the page of its continue token
+     */
+    function FakeEndpoint(pages) {
+        var self = this;
+        this.resource = 'pods';
+        this._log = bunyan.createLogger({ name: 'test', level: 'fatal' });
+        this.requests = [];
+        this.get = function (opts) {
+            self.requests.push(opts);
+            var page = pages[opts.qs.continue || ''];
+            if (typeof page === 'function') page = page();
+            return page instanceof Error ? Promise.reject(page) : Promise.resolve(page);
+        };
+    }
+
+    function page(names, next, version) {
+        return {
+            kind: 'PodList'
+            , metadata: { continue: next, resourceVersion: version }
+            , items: names.map(function (name) {
+                return { metadata: { name: name } };
+            })
+        };
+    }
+
+    function expired() {
+        return errors(null, { statusCode: 410, body: {
+            kind: 'Status'
+            , status: 'Failure'
+            , reason: 'Expired'
+            , message: 'The provided continue parameter is too old'
+            , code: 410
+        } });
+    }
+
+    /**
+     * List the endpoint and resolve with the names of the listed resources
+     */
+    function names(iterator) {
+        var result = [];
+        return iterator.each(function (item) {
+            result.push(item.metadata.name);
+        }).then(function () {
+            return result;
+        });
+    }
+
+    // Each page is requested with the continue token of the previous one, and the other options
+    it('should follow continue tokens across pages', function () {
+        var endpoint = new FakeEndpoint({
+                '': page(['a', 'b'], 'first')
+                , first: page(['c'], 'second')
+                , second: page(['d'], undefined, '42')
+            })
+          , iterator = Endpoint.prototype.list.call(endpoint, { limit: 2, labelSelector: 'app=web', verbose: true })
+          , indexes = [];
+        return iterator.each(function (item, index) {
+            indexes.push(item.metadata.name + index);
+        }).then(function (count) {
+            should(count).equal(4);
+            should(indexes).eql(['a0', 'b1', 'c2', 'd3']);
+            should(endpoint.requests).eql([
+                { labelSelector: 'app=web', qs: { limit: 2 } }
+                , { labelSelector: 'app=web', qs: { limit: 2, continue: 'first' } }
+                , { labelSelector: 'app=web', qs: { limit: 2, continue: 'second' } }
+            ]);
+            should(iterator).have.properties({ done: true, continue: null, resourceVersion: '42' });
+        });
+    });
+    // Pages are only requested once the previous one has been consumed, and the limit defaults to 500
+    it('should request pages as they are consumed', function () {
+        var endpoint = new FakeEndpoint({ '': page(['a', 'b'], 'first'), first: page(['c']) })
+          , iterator = Endpoint.prototype.list.call(endpoint);
+        should(iterator.limit).equal(500);
+        should(endpoint.requests).have.length(0);
+        return iterator.next().then(function (result) {
+            should(result).eql({ value: { metadata: { name: 'a' } }, done: false });
+            return iterator.next();
+        }).then(function (result) {
+            should(result.value.metadata.name).equal('b');
+            should(endpoint.requests).have.length(1);
+            should(iterator.continue).equal('first');
+            return iterator.next();
+        }).then(function (result) {
+            should(result.value.metadata.name).equal('c');
+            return iterator.next();
+        }).then(function (result) {
+            should(result).eql({ value: undefined, done: true });
+            should(endpoint.requests.map('qs')).eql([{ limit: 500 }, { limit: 500, continue: 'first' }]);
+        });
+    });
+    // The iterator implements the async iterator protocol, for `for await` loops
+    it('should be an async iterator', function () {
+        var iterator = Endpoint.prototype.list.call(new FakeEndpoint({ '': page(['a']) }));
+        if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+            should(iterator[Symbol.asyncIterator]()).equal(iterator);
+        }
+        should(String(iterator)).equal('[ListIterator pods]');
+        return Promise.all([iterator.next(), iterator.next()]).spread(function (first, second) {
+            // Concurrent calls are answered in order
+            should(first.value.metadata.name).equal('a');
+            should(second.done).be.true();
+        });
+    });
+    // Empty pages in the middle of the list are skipped, and an empty list has no items
+    it('should skip empty pages', function () {
+        var endpoint = new FakeEndpoint({
+            '': page([], 'first')
+            , first: page([], 'second')
+            , second: page(['a'])
+        });
+        return names(Endpoint.prototype.list.call(endpoint)).then(function (result) {
+            should(result).eql(['a']);
+            should(endpoint.requests).have.length(3);
+            return names(Endpoint.prototype.list.call(new FakeEndpoint({ '': { kind: 'PodList', metadata: {} } })));
+        }).then(function (result) {
+            should(result).eql([]);
+        });
+    });
+    // An expired continue token fails the list, unless it may be restarted
+    it('should fail when the continue token expires', function () {
+        var error = expired()
+          , endpoint = new FakeEndpoint({ '': page(['a'], 'first'), first: error })
+          , iterator = Endpoint.prototype.list.call(endpoint)
+          , result = [];
+        return iterator.each(function (item) {
+            result.push(item.metadata.name);
+        }).then(function () {
+            throw new Error('the list should fail');
+        }, function (listError) {
+            should(listError).be.instanceof(errors.ListExpiredError);
+            should(listError).have.properties({ resource: 'pods', error: error, statusCode: 410 });
+            should(result).eql(['a']);
+            // The first page has no continue token, so its error is unchanged
+            return names(Endpoint.prototype.list.call(new FakeEndpoint({ '': error })));
+        }).then(function () {
+            throw new Error('the list should fail');
+        }, function (listError) {
+            should(listError).equal(error);
+        });
+    });
+    // A restarted list is requested again from the first page
+    it('should restart the list when the continue token expires', function () {
+        var restarted = false
+          , endpoint = new FakeEndpoint({
+                '': function () {
+                    return restarted ? page(['a', 'b', 'c']) : page(['a', 'b'], 'first');
+                }
+                , first: function () {
+                    restarted = true;
+                    return expired();
+                }
+            });
+        return names(Endpoint.prototype.list.call(endpoint, { restart: true })).then(function (result) {
+            // Resources listed before the restart are listed again
+            should(result).eql(['a', 'b', 'a', 'b', 'c']);
+            should(endpoint.requests.map('qs')).eql([
+                { limit: 500 }
+                , { limit: 500, continue: 'first' }
+                , { limit: 500 }
+            ]);
+        });
+    });
+    // The iterator function may return a Promise, and the result can be passed to a Node.js callback
+    it('should wait for the iterator function', function (done) {
+        var endpoint = new FakeEndpoint({ '': page(['a', 'b']) })
+          , calls = [];
+        Endpoint.prototype.list.call(endpoint).each(function (item) {
+            calls.push('start ' + item.metadata.name);
+            return Promise.delay(5).then(function () {
+                calls.push('end ' + item.metadata.name);
+            });
+        }, function (error, count) {
+            if (error) return done(error);
+            should(count).equal(2);
+            should(calls).eql(['start a', 'end a', 'start b', 'end b']);
+            done();
+        });
+    });
+});
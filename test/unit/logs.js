@@ -0,0 +1,266 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , url = require('url')
+  , Promise = require('bluebird')
+  , Client = require('../../index')
+  , errors = require('../../lib/errors');
+
+describe('Log streams', function () {
+    var server
+      , client
+      , logs
+      , handler
+      , pod;
+
+    // Local stand-in for the API server which records the query of each log request
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var parsed = url.parse(req.url, true);
+            if (/\/log$/.test(parsed.pathname)) {
+                logs.push({ path: parsed.pathname, query: parsed.query });
+                res.setHeader('Content-Type', 'text/plain');
+                handler(res, logs.length);
+                return;
+            }
+            // The status of the pod tells whether its log may still grow
+            var response = pod();
+            res.statusCode = response.code || 200;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response));
+        }).listen(0, '127.0.0.1', function () {
+            client = Client({
+                host: 'http://127.0.0.1:' + server.address().port
+                , version: 'v1'
+                , namespace: 'ns'
+                , token: 'test-token'
+            });
+            done();
+        });
+    });
+    after(function (done) {
+        server.close(done);
+    });
+    beforeEach(function () {
+        logs = [];
+        pod = function () {
+            return running(false);
+        };
+    });
+
+    function running(app, sidecar) {
+        return {
+            kind: 'Pod'
+            , metadata: { name: 'web' }
+            , status: { containerStatuses: [
+                { name: 'app', state: app ? { running: {} } : { terminated: { exitCode: 0 } } }
+                , { name: 'sidecar', state: sidecar ? { running: {} } : { terminated: { exitCode: 0 } } }
+            ] }
+        };
+    }
+
+    /**
+     * Write each chunk of the response after a short delay, so that the client reads them separately
+     */
+    function send(res, chunks) {
+        return Promise.each(chunks, function (chunk) {
+            return Promise.delay(5).then(function () {
+                res.write(chunk);
+            });
+        }).then(function () {
+            res.end();
+        });
+    }
+
+    /**
+     * Resolve with the lines and reconnections of the stream once it ends, or reject with its error
+     */
+    function read(stream) {
+        var lines = []
+          , reconnects = [];
+        return new Promise(function (resolve, reject) {
+            stream.on('data', function (line) {
+                lines.push(line);
+            }).on('reconnect', function (data) {
+                reconnects.push(data);
+            }).on('end', function () {
+                resolve({ lines: lines, reconnects: reconnects });
+            }).on('error', reject);
+        });
+    }
+
+    // The log is returned as text, and the options are sent as query parameters
+    it('should get the log as text', function () {
+        handler = function (res) {
+            res.end('first\nsecond\n');
+        };
+        return client.pods.log.get('web', {
+            container: 'app'
+            , tailLines: 10
+            , timestamps: true
+            , sinceTime: new Date(Date.UTC(2026, 0, 2, 3, 4, 5))
+            , namespace: 'other'
+        }).then(function (text) {
+            should(text).equal('first\nsecond\n');
+            should(logs).eql([{
+                path: '/api/v1/namespaces/other/pods/web/log'
+                , query: {
+                    container: 'app'
+                    , tailLines: '10'
+                    , timestamps: 'true'
+                    , sinceTime: '2026-01-02T03:04:05.000Z'
+                }
+            }]);
+        });
+    });
+    // The pod name is required
+    it('should require the name of the pod', function () {
+        return client.pods.log.get().then(function () {
+            throw new Error('the request should fail');
+        }, function (error) {
+            should(error).be.instanceof(errors.ParameterError);
+            (function () {
+                client.pods.log.stream();
+            }).should.throw(errors.ParameterError);
+        });
+    });
+    // Lines are emitted once complete, even when a character is split across chunks
+    it('should split the log into lines', function () {
+        var text = Buffer.from('première ligne\nsecond');
+        handler = function (res) {
+            send(res, [text.slice(0, 4), text.slice(4, 12), text.slice(12), '\nlast line without newline']);
+        };
+        return read(client.pods.log.stream('web', { tailLines: 5 })).then(function (result) {
+            should(result.lines).eql(['première ligne', 'second', 'last line without newline']);
+            should(result.reconnects).eql([]);
+            // Logs which are not followed are read once, without timestamps
+            should(logs.map('query')).eql([{ tailLines: '5' }]);
+        });
+    });
+    // A followed log resumes from the last timestamp while the container runs, and skips the lines already read
+    it('should reconnect a followed log until the container stops', function () {
+        var stream;
+        handler = function (res, count) {
+            if (count === 1) {
+                send(res, [
+                    '2026-01-02T03:04:05.1Z one\n'
+                    , '2026-01-02T03:04:06.5Z two\n2026-01-02T03:04:06.5Z two again\n'
+                ]);
+            } else {
+                // The API server returns every line at the requested time, with its own precision
+                pod = function () {
+                    return running(false);
+                };
+                send(res, [
+                    '2026-01-02T03:04:06.500Z two\n2026-01-02T03:04:06.500Z two again\n'
+                    , '2026-01-02T03:04:07Z three\n'
+                ]);
+            }
+        };
+        pod = function () {
+            return running(true);
+        };
+        stream = client.pods.log.stream('web', { follow: true, tailLines: 2, backoff: { initial: 5, jitter: 0 } });
+        return read(stream).then(function (result) {
+            should(result.lines).eql(['one', 'two', 'two again', 'three']);
+            should(result.reconnects).eql([{ attempt: 1, delay: 5, error: null }]);
+            should(logs.map('query')).eql([
+                { follow: 'true', tailLines: '2', timestamps: 'true' }
+                , { follow: 'true', timestamps: 'true', sinceTime: '2026-01-02T03:04:06.500000000Z' }
+            ]);
+            should(stream.closed).be.true();
+        });
+    });
+    // The requested container is checked, and timestamps are kept when they were asked for
+    it('should keep the timestamps of a followed log', function () {
+        handler = function (res) {
+            send(res, ['2026-01-02T03:04:05Z one\n']);
+        };
+        pod = function () {
+            return running(true, false);
+        };
+        return read(client.pods.log.stream('web', { follow: true, container: 'sidecar', timestamps: true }))
+            .then(function (result) {
+                should(result.lines).eql(['2026-01-02T03:04:05Z one']);
+                should(result.reconnects).eql([]);
+                should(logs.map('query')).eql([{ follow: 'true', container: 'sidecar', timestamps: 'true' }]);
+            });
+    });
+    // Server errors are retried for a followed log, and the log is complete once the pod is gone
+    it('should reconnect a followed log after a server error', function () {
+        handler = function (res, count) {
+            if (count === 1) {
+                res.statusCode = 503;
+                res.end('unavailable');
+            } else {
+                send(res, ['2026-01-02T03:04:05Z one\n']);
+            }
+        };
+        pod = function () {
+            return {
+                kind: 'Status'
+                , status: 'Failure'
+                , reason: 'NotFound'
+                , message: 'pods "web" not found'
+                , code: 404
+            };
+        };
+        return read(client.pods.log.stream('web', { follow: true, backoff: { initial: 5, jitter: 0 } }))
+            .then(function (result) {
+                should(result.lines).eql(['one']);
+                should(result.reconnects).have.length(1);
+                should(result.reconnects[0].error).be.instanceof(errors.ServiceUnavailableError);
+                should(logs).have.length(2);
+            });
+    });
+    // Other errors are emitted, then the stream ends
+    it('should emit request errors', function () {
+        var stream;
+        handler = function (res) {
+            res.statusCode = 400;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({
+                kind: 'Status'
+                , status: 'Failure'
+                , reason: 'BadRequest'
+                , message: 'container app is not valid for pod web'
+                , code: 400
+            }));
+        };
+        stream = client.pods.log.stream('web', { follow: true, container: 'app' });
+        return read(stream).then(function () {
+            throw new Error('the stream should fail');
+        }, function (error) {
+            should(error).be.instanceof(errors.BadRequestError);
+            should(error.message).equal('container app is not valid for pod web');
+            should(stream.closed).be.true();
+            should(logs).have.length(1);
+        });
+    });
+    // Closing the stream aborts the request and ends the stream
+    it('should stop reading once closed', function () {
+        var stream
+          , closed = false;
+        handler = function (res) {
+            res.on('close', function () {
+                closed = true;
+            });
+            res.write('2026-01-02T03:04:05Z one\n');
+        };
+        pod = function () {
+            return running(true);
+        };
+        stream = client.pods.log.stream('web', { follow: true });
+        stream.once('data', function () {
+            stream.close();
+        });
+        return read(stream).then(function (result) {
+            should(result.lines).eql(['one']);
+            should(result.reconnects).eql([]);
+            return Promise.delay(20);
+        }).then(function () {
+            should(closed).be.true();
+            should(logs).have.length(1);
+        });
+    });
+});
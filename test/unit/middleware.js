@@ -0,0 +1,160 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , Promise = require('bluebird')
+  , Client = require('../../index')
+  , middleware = require('../../lib/middleware');
+
+describe('Middleware', function () {
+    /**
+     * Middleware which records its name on the way in and out
+     */
+    function recorder(calls, name) {
+        return function (options, next) {
+            calls.push('before ' + name);
+            return next().then(function (response) {
+                calls.push('after ' + name);
+                return response;
+            });
+        };
+    }
+
+    // Middleware runs in order around the request, and unwinds in reverse order
+    it('should call the middleware in order', function () {
+        var calls = []
+          , stack = [recorder(calls, 'first'), recorder(calls, 'second')];
+        return middleware(stack, { url: 'http://host/' }, function (options) {
+            calls.push('send ' + options.url);
+            return { statusCode: 200 };
+        }, { type: 'request' }).then(function (response) {
+            should(response).eql({ statusCode: 200 });
+            should(calls).eql(['before first', 'before second', 'send http://host/', 'after second', 'after first']);
+        });
+    });
+    // Each middleware may change the options and the response, and gets the context
+    it('should pass on modified options and responses', function () {
+        var contexts = []
+          , stack = [function (options, next, context) {
+                contexts.push(context);
+                return next(Object.merge(options, { headers: { 'X-First': '1' } }, true)).then(function (response) {
+                    return Object.merge(response, { first: true });
+                });
+            }, function (options, next, context) {
+                contexts.push(context);
+                options.headers['X-Second'] = options.headers['X-First'] + '2';
+                return next(options);
+            }];
+        return middleware(stack, { headers: {} }, function (options) {
+            return { headers: options.headers };
+        }, { type: 'watch', resource: 'pods' }).then(function (response) {
+            should(response).eql({ headers: { 'X-First': '1', 'X-Second': '12' }, first: true });
+            should(contexts).eql([{ type: 'watch', resource: 'pods' }, { type: 'watch', resource: 'pods' }]);
+        });
+    });
+    // A middleware may answer without sending the request, or recover from a failed request
+    it('should allow replacing the response and handling errors', function () {
+        var sent = 0;
+        function send() {
+            sent++;
+            throw new Error('request failed');
+        }
+        return middleware([function () {
+            return { cached: true };
+        }], {}, send, {}).then(function (response) {
+            should(response).eql({ cached: true });
+            should(sent).equal(0);
+            return middleware([function (options, next) {
+                return next().catch(function (error) {
+                    return { recovered: error.message };
+                });
+            }], {}, send, {});
+        }).then(function (response) {
+            should(response).eql({ recovered: 'request failed' });
+            should(sent).equal(1);
+        });
+    });
+    // Errors thrown by a middleware reject the request
+    it('should reject when a middleware throws', function () {
+        return middleware([function () {
+            throw new Error('denied');
+        }], {}, function () {
+            throw new Error('the request should not be sent');
+        }, {}).then(function () {
+            throw new Error('the request should fail');
+        }, function (error) {
+            should(error.message).equal('denied');
+        });
+    });
+
+    describe('client', function () {
+        var server
+          , requests;
+
+        // Local stand-in for the API server which answers with the request headers
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                requests.push(req);
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ kind: 'Pod', metadata: { name: 'web' }, headers: req.headers }));
+            }).listen(0, '127.0.0.1', done);
+        });
+        after(function (done) {
+            server.close(done);
+        });
+        beforeEach(function () {
+            requests = [];
+        });
+
+        function createClient() {
+            return Client({
+                host: 'http://127.0.0.1:' + server.address().port
+                , version: 'v1'
+                , namespace: 'ns'
+                , token: 'test-token'
+            });
+        }
+
+        // Middleware of the client sees the options of endpoint requests and may change them
+        it('should send endpoint requests through the middleware', function () {
+            var client = createClient()
+              , seen = [];
+            client.use(function (options, next, context) {
+                seen.push(context.type + ' ' + context.resource + ' ' + options.method + ' ' + options.url);
+                options.headers = Object.merge(options.headers || {}, { 'X-Trace-Id': 'abc' });
+                return next(options).then(function (response) {
+                    response.body.traced = true;
+                    return response;
+                });
+            }).use(function (options, next) {
+                seen.push('second ' + options.headers['X-Trace-Id']);
+                return next();
+            });
+            return client.pods.get('web').then(function (pod) {
+                should(seen).eql([
+                    'request pods GET http://127.0.0.1:' + server.address().port + '/api/v1/namespaces/ns/pods/web'
+                    , 'second abc'
+                ]);
+                should(pod.headers).have.property('x-trace-id', 'abc');
+                should(pod.traced).be.true();
+            });
+        });
+        // Rejecting in a middleware fails the request without sending it
+        it('should fail requests rejected by the middleware', function () {
+            var client = createClient().use(function () {
+                return Promise.reject(new Error('not allowed'));
+            });
+            return client.pods.get('web').then(function () {
+                throw new Error('the request should fail');
+            }, function (error) {
+                should(error.message).equal('not allowed');
+                should(requests).have.length(0);
+            });
+        });
+        // Only functions can be used as middleware
+        it('should refuse middleware which is not a function', function () {
+            (function () {
+                createClient().use({});
+            }).should.throw(/middleware must be a function/);
+        });
+    });
+});
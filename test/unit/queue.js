@@ -0,0 +1,153 @@
+require('sugar');
+var should = require('should')
+  , Promise = require('bluebird')
+  , queue = require('../../lib/queue');
+
+describe('Work queue', function () {
+    /**
+     * Handler which records its calls and takes a while to process each key
+     */
+    function Recorder(delay, fail) {
+        var self = this;
+        this.calls = [];
+        this.active = 0;
+        this.maxActive = 0;
+        this.handler = function (key) {
+            self.calls.push(key);
+            self.active++;
+            self.maxActive = Math.max(self.maxActive, self.active);
+            return Promise.delay(delay).then(function () {
+                if (fail && fail(key)) throw new Error('failed ' + key);
+            }).finally(function () {
+                self.active--;
+            });
+        };
+    }
+
+    /**
+     * Resolve with the arguments of the next event of the emitter
+     */
+    function next(emitter, event) {
+        return new Promise(function (resolve) {
+            emitter.once(event, function () {
+                resolve(Array.prototype.slice.call(arguments));
+            });
+        });
+    }
+
+    // A waiting key is only processed once, whether it is added as a key or as a resource
+    it('should process each waiting key once', function () {
+        var recorder = new Recorder(5)
+          , work = queue(recorder.handler);
+        work.add('a');
+        work.add('a');
+        work.add({ metadata: { namespace: 'ns', name: 'b' } });
+        work.add('ns/b');
+        work.add({ metadata: { name: 'node' } });
+        should(work.length).equal(3);
+        return next(work, 'drain').then(function () {
+            should(recorder.calls).eql(['a', 'ns/b', 'node']);
+            should(recorder.maxActive).equal(1);
+        });
+    });
+    // A key added while it is processed runs again afterwards, never at the same time
+    it('should process a key again when it is added while processing', function () {
+        var recorder = new Recorder(20)
+          , work = queue(recorder.handler, { concurrency: 4 });
+        work.add('a');
+        return Promise.delay(5).then(function () {
+            should(recorder.active).equal(1);
+            work.add('a');
+            work.add('a');
+            should(work.length).equal(0);
+            return next(work, 'drain');
+        }).then(function () {
+            should(recorder.calls).eql(['a', 'a']);
+            should(recorder.maxActive).equal(1);
+        });
+    });
+    // Different keys are processed up to the concurrency limit
+    it('should limit the number of keys processed at once', function () {
+        var recorder = new Recorder(10)
+          , work = queue(recorder.handler, { concurrency: 2 });
+        ['a', 'b', 'c', 'd', 'e'].each(function (key) {
+            work.add(key);
+        });
+        return next(work, 'drain').then(function () {
+            should(recorder.calls).eql(['a', 'b', 'c', 'd', 'e']);
+            should(recorder.maxActive).equal(2);
+        });
+    });
+    // Failed keys are retried with a growing delay and dropped after the maximum number of retries
+    it('should retry failed keys and drop them after the maximum retries', function () {
+        var recorder = new Recorder(1, function () {
+                return true;
+            })
+          , work = queue(recorder.handler, { maxRetries: 2, backoff: { initial: 5, jitter: 0 } })
+          , retries = [];
+        work.on('retry', function (key, error, delay) {
+            retries.push([key, error.message, delay]);
+        });
+        work.add('a');
+        return next(work, 'drop').spread(function (key, error) {
+            should(key).equal('a');
+            should(error.message).equal('failed a');
+            should(retries).eql([['a', 'failed a', 5], ['a', 'failed a', 10]]);
+            should(recorder.calls).eql(['a', 'a', 'a']);
+        });
+    });
+    // A successful retry forgets the failures of the key
+    it('should reset the retries of a key once it succeeds', function () {
+        var failures = 1
+          , recorder = new Recorder(1, function () {
+                return failures-- > 0;
+            })
+          , work = queue(recorder.handler, { maxRetries: 1, backoff: { initial: 5, jitter: 0 } });
+        work.add('a');
+        return next(work, 'done').then(function () {
+            should(recorder.calls).eql(['a', 'a']);
+            should(work.backoffs).not.have.property('a');
+        });
+    });
+    // Shutting down discards waiting keys and retries, but lets the active key finish
+    it('should discard waiting keys on shutdown', function () {
+        var recorder = new Recorder(20, function (key) {
+                return key === 'a';
+            })
+          , work = queue(recorder.handler, { backoff: { initial: 5 } })
+          , dropped = [];
+        work.on('drop', function (key) {
+            dropped.push(key);
+        });
+        work.add('a');
+        work.add('b');
+        return Promise.delay(5).then(function () {
+            var finished = work.shutdown();
+            should(work.add('c')).be.false();
+            should(work.addAfter('c', 10)).be.false();
+            return finished;
+        }).then(function () {
+            should(recorder.active).equal(0);
+            should(recorder.calls).eql(['a']);
+            // The failed key is not retried while shutting down
+            should(dropped).eql(['a']);
+            return Promise.delay(20);
+        }).then(function () {
+            should(recorder.calls).eql(['a']);
+        });
+    });
+    // Draining processes the waiting keys before shutting down
+    it('should process waiting keys when draining', function () {
+        var recorder = new Recorder(5)
+          , work = queue(recorder.handler);
+        work.add('a');
+        work.add('b');
+        work.add('c');
+        work.addAfter('d', 50);
+        return work.shutdown(true).then(function () {
+            should(recorder.calls).eql(['a', 'b', 'c']);
+            should(work.length).equal(0);
+            should(work.timers).eql({});
+        });
+    });
+});
@@ -0,0 +1,166 @@
+require('sugar');
+var should = require('should')
+  , bunyan = require('bunyan')
+  , Promise = require('bluebird')
+  , retry = require('../../lib/retry');
+
+describe('Request retries', function () {
+    var log = bunyan.createLogger({ name: 'test', level: 'fatal' });
+
+    /**
+     * Request which fails with the queued errors, then succeeds
+     */
+    function Sender(failures) {
+        var self = this;
+        this.attempts = [];
+        this.send = function () {
+            self.attempts.push(Date.now());
+            var failure = failures.shift();
+            return failure ? Promise.reject(failure) : Promise.resolve('ok');
+        };
+    }
+
+    function failure(statusCode, code, retryAfterSeconds) {
+        var error = new Error(code || 'HTTP ' + statusCode);
+        error.statusCode = statusCode;
+        error.code = code;
+        error.retryAfterSeconds = retryAfterSeconds;
+        return error;
+    }
+
+    function policy(options) {
+        return retry.createPolicy(Object.merge({ backoff: { initial: 5, jitter: 0 } }, options || {}, true));
+    }
+
+    /**
+     * Send the request and resolve with its result, or the error it failed with
+     */
+    function run(sender, method, options) {
+        return retry(sender.send, method, policy(options), log).catch(function (error) {
+            return error;
+        });
+    }
+
+    // Transient failures of idempotent requests are retried until the request succeeds
+    it('should retry transient failures of idempotent methods', function () {
+        var sender = new Sender([failure(503), failure(null, 'ECONNRESET'), failure(504)]);
+        return run(sender, 'GET').then(function (result) {
+            should(result).equal('ok');
+            should(sender.attempts).have.length(4);
+        });
+    });
+    // Every idempotent method may be repeated
+    it('should retry each idempotent method', function () {
+        return Promise.each(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'get'], function (method) {
+            var sender = new Sender([failure(500)]);
+            return run(sender, method).then(function (result) {
+                should(result).equal('ok');
+            });
+        });
+    });
+    // The API server may have processed a failed POST or PATCH already
+    it('should not retry transient failures of other methods', function () {
+        return Promise.each(['POST', 'PATCH'], function (method) {
+            var sender = new Sender([failure(502), failure(null, 'ETIMEDOUT')]);
+            return run(sender, method).then(function (result) {
+                should(result.statusCode).equal(502);
+                should(sender.attempts).have.length(1);
+            });
+        });
+    });
+    // Refused connections and throttled requests are retried like any other transient failure
+    it('should retry refused and throttled requests of idempotent methods only', function () {
+        var sender = new Sender([failure(null, 'ECONNREFUSED'), failure(429)]);
+        return run(sender, 'GET').then(function (result) {
+            should(result).equal('ok');
+            should(sender.attempts).have.length(3);
+            return Promise.each([failure(null, 'ECONNREFUSED'), failure(429)], function (error) {
+                var post = new Sender([error]);
+                return run(post, 'POST').then(function (result) {
+                    should(result).equal(error);
+                    should(post.attempts).have.length(1);
+                });
+            });
+        });
+    });
+    // Non-idempotent methods are retried when the policy allows it
+    it('should retry non-idempotent methods when allowed', function () {
+        var sender = new Sender([failure(503), failure(429), failure(null, 'ECONNREFUSED')]);
+        return run(sender, 'POST', { nonIdempotent: true }).then(function (result) {
+            should(result).equal('ok');
+            should(sender.attempts).have.length(4);
+        });
+    });
+    // Other failures are final
+    it('should not retry other failures', function () {
+        return Promise.each([failure(400), failure(404), failure(409), failure(null, 'ENOTFOUND')], function (error) {
+            var sender = new Sender([error]);
+            return run(sender, 'GET').then(function (result) {
+                should(result).equal(error);
+                should(sender.attempts).have.length(1);
+            });
+        });
+    });
+    // The last error is returned once the retries are used up, after growing delays
+    it('should stop after the maximum number of retries', function () {
+        var sender = new Sender([failure(503), failure(503), failure(503), failure(500)]);
+        return run(sender, 'GET', { retries: 2, backoff: { initial: 20, factor: 2 } }).then(function (result) {
+            should(result.statusCode).equal(503);
+            should(sender.attempts).have.length(3);
+            should(sender.attempts[1] - sender.attempts[0]).be.aboveOrEqual(19);
+            should(sender.attempts[2] - sender.attempts[1]).be.aboveOrEqual(39);
+        });
+    });
+    // The API server may ask for a delay before the next attempt
+    it('should wait for the delay requested by the API server', function () {
+        var sender = new Sender([failure(429, null, 0.05)]);
+        return run(sender, 'GET').then(function (result) {
+            should(result).equal('ok');
+            should(sender.attempts[1] - sender.attempts[0]).be.aboveOrEqual(49);
+        });
+    });
+    // No attempt is started after the deadline
+    it('should not retry past the deadline', function () {
+        var sender = new Sender([failure(503), failure(503), failure(503)]);
+        return run(sender, 'GET', { deadline: 50, backoff: { initial: 30, factor: 2 } }).then(function (result) {
+            should(result.statusCode).equal(503);
+            // The second retry would start 90ms after the first attempt
+            should(sender.attempts).have.length(2);
+            sender = new Sender([failure(503, null, 1)]);
+            return run(sender, 'GET', { deadline: 500 });
+        }).then(function (result) {
+            should(result.statusCode).equal(503);
+            should(sender.attempts).have.length(1);
+        });
+    });
+
+    describe('createPolicy', function () {
+        // The defaults apply unless retries are turned off
+        it('should resolve the retry options', function () {
+            var defaults = retry.createPolicy();
+            should(defaults).eql({
+                retries: 3
+                , deadline: 30000
+                , backoff: { initial: 500, max: 10000 }
+                , nonIdempotent: false
+            });
+            should(retry.createPolicy(true)).eql(defaults);
+            should(retry.createPolicy(null)).eql(defaults);
+            should(retry.createPolicy(false).retries).equal(0);
+            should(retry.createPolicy(0).retries).equal(0);
+            should(retry.createPolicy(5)).eql(Object.merge(Object.clone(defaults, true), { retries: 5 }));
+        });
+        // Missing properties are taken from the base policy and unknown ones are ignored
+        it('should merge the options into the base policy', function () {
+            var base = retry.createPolicy({ retries: 1, backoff: { initial: 100 } })
+              , result = retry.createPolicy({ deadline: 1000, backoff: { max: 200 }, unknown: true }, base);
+            should(result).eql({
+                retries: 1
+                , deadline: 1000
+                , backoff: { initial: 100, max: 200 }
+                , nonIdempotent: false
+            });
+            should(base.deadline).equal(30000);
+        });
+    });
+});
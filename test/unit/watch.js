@@ -0,0 +1,348 @@
+require('sugar');
+var should = require('should')
+  , http = require('http')
+  , url = require('url')
+  , Promise = require('bluebird')
+  , Client = require('../../index')
+  , errors = require('../../lib/errors')
+  , WatchDecoder = require('../../lib/endpoints').WatchDecoder;
+
+describe('Watch streams', function () {
+    function event(type, name, version) {
+        return JSON.stringify({
+            type: type
+            , object: { kind: 'Pod', metadata: { name: name, resourceVersion: String(version) } }
+        }) + '\n';
+    }
+
+    function names(results) {
+        return results.map(function (result) {
+            return result.object && result.object.metadata.name;
+        });
+    }
+
+    /**
+     * Resolve once the condition holds, polling the event loop
+     */
+    function until(condition) {
+        return condition() ? Promise.resolve() : Promise.delay(5).then(until.bind(null, condition));
+    }
+
+    describe('WatchDecoder', function () {
+        // A single chunk may hold several events
+        it('should decode every event of a chunk in order', function () {
+            var decoder = new WatchDecoder(1024)
+              , results = decoder.write(event('ADDED', 'a', 1) + event('MODIFIED', 'a', 2) + event('DELETED', 'a', 3));
+            should(results.map('type')).eql(['ADDED', 'MODIFIED', 'DELETED']);
+            should(results[2].object.metadata.resourceVersion).equal('3');
+            should(decoder.end()).eql([]);
+        });
+        // Events are only returned once their line is complete
+        it('should join events split across chunks', function () {
+            var decoder = new WatchDecoder(1024)
+              , data = event('ADDED', 'a', 1) + event('ADDED', 'b', 2)
+              , split = data.indexOf('"b"');
+            should(decoder.write(data.slice(0, 10))).eql([]);
+            should(names(decoder.write(data.slice(10, split)))).eql(['a']);
+            should(decoder.write(data.slice(split, -1))).eql([]);
+            should(names(decoder.write('\n'))).eql(['b']);
+        });
+        // Multi-byte characters may be split between two buffers
+        it('should decode characters split across buffers', function () {
+            var decoder = new WatchDecoder(1024)
+              , data = Buffer.from(event('ADDED', 'café', 1))
+              , split = data.indexOf(0xc3) + 1;
+            should(decoder.write(data.slice(0, split))).eql([]);
+            should(decoder.write(data.slice(split))[0].object.metadata.name).equal('café');
+        });
+        // The last event does not need a trailing newline
+        it('should decode the remaining event at the end of the stream', function () {
+            var decoder = new WatchDecoder(1024);
+            should(decoder.write(event('ADDED', 'a', 1).trim())).eql([]);
+            should(decoder.end().map('type')).eql(['ADDED']);
+            should(decoder.end()).eql([]);
+        });
+        // Bookmarks and errors are events like any other
+        it('should decode bookmark and error events', function () {
+            var decoder = new WatchDecoder(1024)
+              , status = { kind: 'Status', status: 'Failure', reason: 'Expired', code: 410 }
+              , results = decoder.write(event('BOOKMARK', '', 5) + JSON.stringify({ type: 'ERROR', object: status })
+                    + '\n');
+            should(results.map('type')).eql(['BOOKMARK', 'ERROR']);
+            should(results[1].object).eql(status);
+        });
+        // Malformed lines are reported without losing the events around them
+        it('should report malformed lines as typed errors', function () {
+            var decoder = new WatchDecoder(1024)
+              , results = decoder.write(event('ADDED', 'a', 1) + '{"type":\n\n{"object":{}}\n'
+                    + event('ADDED', 'b', 2));
+            should(results).have.length(4);
+            should(results[1]).be.instanceof(errors.WatchParseError);
+            should(results[1].message).equal('malformed watch event');
+            should(results[1].line).equal('{"type":');
+            should(results[1].error).be.instanceof(SyntaxError);
+            should(results[2]).be.instanceof(errors.WatchParseError);
+            should(results[2].message).equal('watch event has no type');
+            should(names(results)).eql(['a', undefined, undefined, 'b']);
+        });
+        // An oversized event is reported once and skipped up to its end
+        it('should skip events larger than the maximum buffer size', function () {
+            var decoder = new WatchDecoder(64)
+              , large = event('ADDED', 'x'.repeat(100), 1)
+              , results = decoder.write(large.slice(0, 80));
+            should(results).have.length(1);
+            should(results[0]).be.instanceof(errors.WatchParseError);
+            should(results[0].message).match(/maximum buffer size of 64 bytes/);
+            should(decoder.write(large.slice(80, 100))).eql([]);
+            results = decoder.write(large.slice(100) + event('ADDED', 'b', 2));
+            should(names(results)).eql(['b']);
+        });
+    });
+
+    describe('WatchEmitter', function () {
+        var server
+          , client
+          , version
+          , watches
+          , handler
+          , emitter
+          , events;
+
+        // Local stand-in for the API server, lists answer with the current version and each test answers the watches
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                var query = url.parse(req.url, true).query;
+                res.setHeader('Content-Type', 'application/json');
+                if (!query.watch) {
+                    res.end(JSON.stringify({ kind: 'PodList', metadata: { resourceVersion: version }, items: [] }));
+                } else {
+                    watches.push(query.resourceVersion);
+                    handler(res, watches.length);
+                }
+            }).listen(0, '127.0.0.1', function () {
+                client = Client({
+                    host: 'http://127.0.0.1:' + server.address().port
+                    , version: 'v1'
+                    , namespace: 'ns'
+                    , token: 'test-token'
+                });
+                done();
+            });
+        });
+        after(function (done) {
+            server.close(done);
+        });
+        beforeEach(function () {
+            version = '10';
+            watches = [];
+            events = [];
+        });
+        afterEach(function () {
+            if (emitter) emitter.stop();
+            emitter = null;
+        });
+
+        /**
+         * Watch the pods and record the events of the emitter
+         */
+        function watch(opts) {
+            return client.pods.watch(opts).then(function (result) {
+                emitter = result;
+                ['create', 'update', 'delete', 'resync', 'reconnect', 'stop', 'error'].each(function (type) {
+                    emitter.on(type, function (data) {
+                        events.push({ type: type, data: data });
+                    });
+                });
+                return emitter;
+            });
+        }
+
+        function types() {
+            return events.map('type');
+        }
+
+        // Bookmarks only advance the resource version used to resume the watch
+        it('should resume from the version of a bookmark', function () {
+            handler = function (res, count) {
+                if (count === 1) {
+                    res.write(event('ADDED', 'a', 11));
+                    res.end(event('BOOKMARK', '', 15));
+                }
+            };
+            return watch({ backoff: { initial: 10 } }).then(function () {
+                emitter.start();
+                return until(function () {
+                    return watches.length === 2;
+                });
+            }).then(function () {
+                should(watches).eql(['10', '15']);
+                should(types()).eql(['create', 'reconnect']);
+                should(emitter.options.qs.resourceVersion).equal('15');
+            });
+        });
+        // An expired resource version is relisted, announced with a resync event and watched from the new version
+        it('should resync after an expired resource version', function () {
+            handler = function (res, count) {
+                if (count === 1) {
+                    res.write(event('ADDED', 'a', 11));
+                    version = '20';
+                    res.write(JSON.stringify({ type: 'ERROR', object: {
+                        kind: 'Status'
+                        , status: 'Failure'
+                        , message: 'too old resource version: 11 (15)'
+                        , reason: 'Expired'
+                        , code: 410
+                    } }) + '\n');
+                }
+            };
+            return watch().then(function () {
+                emitter.start();
+                return until(function () {
+                    return watches.length === 2;
+                });
+            }).then(function () {
+                should(watches).eql(['10', '20']);
+                should(types()).eql(['create', 'resync']);
+                should(events[1].data.metadata.resourceVersion).equal('20');
+                should(emitter.initialState).equal(events[1].data);
+            });
+        });
+        // The watch request itself may be refused because its resource version is too old
+        it('should resync when the watch is answered with 410 Gone', function () {
+            handler = function (res, count) {
+                if (count === 1) {
+                    version = '20';
+                    res.statusCode = 410;
+                    res.end(JSON.stringify({ kind: 'Status', status: 'Failure', reason: 'Gone', code: 410 }));
+                }
+            };
+            return watch().then(function () {
+                emitter.start();
+                return until(function () {
+                    return watches.length === 2;
+                });
+            }).then(function () {
+                should(watches).eql(['10', '20']);
+                should(types()).eql(['resync']);
+            });
+        });
+        // Other statuses are emitted as typed errors and the watch goes on
+        it('should emit other error events as typed errors', function () {
+            handler = function (res) {
+                res.write(JSON.stringify({ type: 'ERROR', object: {
+                    kind: 'Status'
+                    , status: 'Failure'
+                    , message: 'internal error'
+                    , reason: 'InternalError'
+                    , code: 500
+                } }) + '\n');
+                res.write('{"type": "UNKNOWN", "object": {}}\n');
+                res.write(event('MODIFIED', 'a', 12));
+            };
+            return watch().then(function () {
+                emitter.start();
+                return until(function () {
+                    return events.length === 3;
+                });
+            }).then(function () {
+                should(types()).eql(['error', 'error', 'update']);
+                should(events[0].data).be.instanceof(errors.HttpError);
+                should(events[0].data.name).equal('InternalServerError');
+                should(events[0].data.message).equal('internal error');
+                should(events[1].data).be.instanceof(errors.WatchParseError);
+                should(events[1].data.message).match(/unknown watch event type: UNKNOWN/);
+                should(emitter.stopped).be.false();
+            });
+        });
+        // The API server ends watches after a timeout, so the watch resumes from the last version it saw
+        it('should reconnect when the server ends the watch', function () {
+            handler = function (res, count) {
+                if (count === 1) res.end(event('ADDED', 'a', 11) + event('MODIFIED', 'a', 12));
+            };
+            return watch({ backoff: { initial: 10, jitter: 0 } }).then(function () {
+                emitter.start();
+                return until(function () {
+                    return watches.length === 2;
+                });
+            }).then(function () {
+                should(watches).eql(['10', '12']);
+                should(types()).eql(['create', 'update', 'reconnect']);
+                should(events[2].data).eql({ attempt: 1, delay: 10, error: null });
+            });
+        });
+        // Server errors and reset connections are retried with a growing delay, which is reset by the next watch
+        it('should back off while the watch fails', function () {
+            handler = function (res, count) {
+                if (count === 1) {
+                    res.statusCode = 503;
+                    res.end(JSON.stringify({ kind: 'Status', status: 'Failure', code: 503 }));
+                } else if (count === 2) {
+                    res.socket.destroy();
+                } else if (count === 3) {
+                    res.end();
+                }
+            };
+            return watch({ backoff: { initial: 10, factor: 3, jitter: 0 } }).then(function () {
+                emitter.start();
+                return until(function () {
+                    return watches.length === 4;
+                });
+            }).then(function () {
+                var reconnects = events.map('data');
+                should(types()).eql(['reconnect', 'reconnect', 'reconnect']);
+                should(reconnects.map('attempt')).eql([1, 2, 1]);
+                should(reconnects.map('delay')).eql([10, 30, 10]);
+                should(reconnects[0].error.name).equal('ServiceUnavailableError');
+                should(reconnects[1].error.code).equal('ECONNRESET');
+                should(reconnects[2].error).be.null();
+            });
+        });
+        // The retry count limits the reconnections in a row, then the last error is emitted and the watch stops
+        it('should stop after the maximum number of reconnections', function () {
+            handler = function (res) {
+                res.statusCode = 500;
+                res.end(JSON.stringify({ kind: 'Status', status: 'Failure', code: 500 }));
+            };
+            return watch({ backoff: { initial: 10 } }).then(function () {
+                emitter.start(2);
+                return until(function () {
+                    return emitter.stopped;
+                });
+            }).then(function () {
+                should(watches).have.length(3);
+                should(types()).eql(['reconnect', 'reconnect', 'error', 'stop']);
+                should(events[2].data.name).equal('InternalServerError');
+                return Promise.delay(50);
+            }).then(function () {
+                should(watches).have.length(3);
+            });
+        });
+        // Stopping aborts the open watch request and does not reconnect
+        it('should abort the watch request on stop', function () {
+            var closed = false;
+            handler = function (res) {
+                res.write(event('ADDED', 'a', 11));
+                res.on('close', function () {
+                    closed = true;
+                });
+            };
+            return watch({ backoff: { initial: 10 } }).then(function () {
+                emitter.start();
+                return until(function () {
+                    return events.length === 1;
+                });
+            }).then(function () {
+                emitter.stop();
+                return until(function () {
+                    return closed;
+                });
+            }).then(function () {
+                return Promise.delay(50);
+            }).then(function () {
+                should(watches).have.length(1);
+                should(types()).eql(['create', 'stop']);
+                should(emitter.started).be.false();
+            });
+        });
+    });
+});